@@ -0,0 +1,206 @@
+/**
+ * assets.js for Gesture Rock Paper Scissors Game
+ * Asset packs: the gesture and state icons, sounds and colors the game is dressed in.
+ * Each pack is a JSON manifest in packs/, loaded at runtime. Anything a pack leaves out,
+ * or that fails to load, falls back to the default pack and then to built-in placeholders,
+ * so a pack can be as small as a few colors.
+ * Sounds are only resolved to a list of sources here; mixer.js loads and plays them.
+ * No DOM access here apart from fetch().
+ */
+
+// --- Pack Configuration ---
+const ASSET_PACK_SCHEMA_VERSION = 1;
+
+// Pack names are settingChoices.assetPack.<id> in the message catalogs (name is the English fallback)
+export const ASSET_PACKS = {
+    classic: { id: 'classic', name: 'Classic', manifest: 'packs/classic.json' },
+    arcade: { id: 'arcade', name: 'Arcade', manifest: 'packs/arcade.json' }
+};
+
+export const DEFAULT_ASSET_PACK_ID = 'classic';
+
+// Icons shown instead of a gesture: no gesture yet, or one that is locked but not revealed
+export const ICON_STATES = ['waiting', 'locked'];
+
+// Sounds a pack can provide, and the mixer channel (see mixer.js) each one plays on
+export const PACK_SOUNDS = {
+    tick: 'countdown',   // Every countdown number
+    shoot: 'countdown',  // "Shoot!"
+    win: 'effects',
+    lose: 'effects',
+    draw: 'effects'
+};
+
+// Pack colors and the style.css custom properties they set
+export const PACK_COLORS = {
+    primary: '--primary-color',
+    secondary: '--secondary-color',
+    accent: '--accent-color',
+    background: '--background-color',
+    text: '--text-color',
+    card: '--card-bg'
+};
+
+// Last fallback when no pack has a usable waiting icon
+export const PLACEHOLDER_ICON = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="#bdc3c7"/>' +
+    '<text x="50" y="66" font-size="48" font-family="sans-serif" text-anchor="middle" fill="#fff">?</text></svg>'
+);
+
+// Last fallback for each sound: a short synthesized tone (see renderTone() in mixer.js)
+const DEFAULT_TONES = {
+    tick: { frequency: 660, durationMs: 90 },
+    shoot: { frequency: 880, slideTo: 1320, durationMs: 220 },
+    win: { frequency: 523, slideTo: 1046, durationMs: 350 },
+    lose: { frequency: 392, slideTo: 196, durationMs: 400 },
+    draw: { frequency: 440, durationMs: 250 }
+};
+
+// Manifest (version 1). Every section is optional; paths are relative to the manifest.
+// {
+//   version: 1, id: 'classic', name: 'Classic',
+//   icons: {
+//     gestures: { rock: '../icons/rock.jpeg', ... },      // Any gesture of any rule set
+//     states: { waiting: '../icons/unknown.svg', locked: '../icons/locked.svg' }
+//   },
+//   sounds: {                                            // Names from PACK_SOUNDS
+//     win: '../sounds/win.mp3',                          // A file,
+//     tick: { tone: { frequency: 660, durationMs: 90 } }, // a tone (optional: slideTo, wave, gain)
+//     lose: { src: '../sounds/lose.mp3', tone: { ... } }  // or a file with a tone if it won't load
+//   },
+//   colors: { primary: '#3498db', ... }                  // Names from PACK_COLORS
+// }
+
+
+// --- Manifest Validation ---
+
+// Returns a list of problems with a manifest (empty when it is usable)
+export function validateAssetPack(manifest) {
+    if (!manifest || typeof manifest !== 'object') {
+        return ['Asset pack manifest must be an object.'];
+    }
+    const errors = [];
+    if (manifest.version !== ASSET_PACK_SCHEMA_VERSION) {
+        errors.push(`Unsupported asset pack version ${manifest.version} (expected ${ASSET_PACK_SCHEMA_VERSION}).`);
+    }
+    const icons = manifest.icons || {};
+    for (const state of Object.keys(icons.states || {})) {
+        if (!ICON_STATES.includes(state)) errors.push(`Unknown icon state "${state}".`);
+    }
+    for (const [gesture, path] of Object.entries(icons.gestures || {})) {
+        if (typeof path !== 'string') errors.push(`Icon for "${gesture}" must be a path.`);
+    }
+    for (const [name, sound] of Object.entries(manifest.sounds || {})) {
+        if (!(name in PACK_SOUNDS)) {
+            errors.push(`Unknown sound "${name}".`);
+        } else if (typeof sound !== 'string' && !(sound && (sound.src || sound.tone))) {
+            errors.push(`Sound "${name}" needs a file or a tone.`);
+        }
+    }
+    for (const name of Object.keys(manifest.colors || {})) {
+        if (!(name in PACK_COLORS)) errors.push(`Unknown color "${name}".`);
+    }
+    return errors;
+}
+
+
+// --- Loading ---
+
+// Fetches and checks a pack's manifest. Returns null (after logging why) if it can't be used.
+async function fetchManifest(info) {
+    try {
+        const response = await fetch(info.manifest);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const manifest = await response.json();
+        const errors = validateAssetPack(manifest);
+        if (errors.length > 0) {
+            console.error(`Asset pack "${info.id}" rejected:`, errors);
+            return null;
+        }
+        manifest.baseUrl = new URL(info.manifest, location.href).href; // Paths are relative to the manifest
+        return manifest;
+    } catch (error) {
+        console.error(`Could not load asset pack "${info.id}":`, error);
+        return null;
+    }
+}
+
+// Loads a pack (and the default pack for whatever it leaves out), checking that its icons exist.
+// Resolves to:
+// {
+//   id: 'arcade',
+//   icons: { rock: 'http://.../icons/rock.jpeg', ... },          // Gestures with a usable icon
+//   stateIcons: { waiting: '...', locked: '...' },                // Always set
+//   sounds: { tick: { channel: 'countdown', sources: [{ src } | { tone }, ...] }, ... },
+//   colors: { '--primary-color': '#8e44ad', ... }                 // Only the colors some pack sets
+// }
+// Sound sources are in order of preference; the mixer plays the first one that loads.
+export async function loadAssetPack(packId) {
+    const info = ASSET_PACKS[packId] || ASSET_PACKS[DEFAULT_ASSET_PACK_ID];
+    if (!ASSET_PACKS[packId]) {
+        console.warn(`Unknown asset pack "${packId}". Using "${info.id}".`);
+    }
+    const infos = info.id === DEFAULT_ASSET_PACK_ID ? [info] : [info, ASSET_PACKS[DEFAULT_ASSET_PACK_ID]];
+    const manifests = (await Promise.all(infos.map(fetchManifest))).filter(Boolean);
+
+    // The first icon in preference order that can be fetched (this also preloads it)
+    const checked = new Map();
+    const isAvailable = (url) => {
+        if (!checked.has(url)) {
+            checked.set(url, fetch(url).then(response => response.ok, () => false));
+        }
+        return checked.get(url);
+    };
+    async function resolveIcon(pick) {
+        for (const manifest of manifests) {
+            const path = pick(manifest.icons || {});
+            if (!path) continue;
+            const url = new URL(path, manifest.baseUrl).href;
+            if (await isAvailable(url)) return url;
+            console.warn(`Asset pack "${manifest.id}": icon ${url} is missing.`);
+        }
+        return null;
+    }
+
+    const gestures = new Set(manifests.flatMap(manifest => Object.keys((manifest.icons && manifest.icons.gestures) || {})));
+    const icons = {};
+    await Promise.all([...gestures].map(async (gesture) => {
+        const url = await resolveIcon(pack => pack.gestures && pack.gestures[gesture]);
+        if (url) icons[gesture] = url;
+    }));
+    const waiting = (await resolveIcon(pack => pack.states && pack.states.waiting)) || PLACEHOLDER_ICON;
+    const locked = (await resolveIcon(pack => pack.states && pack.states.locked)) || waiting;
+
+    const sounds = {};
+    for (const [name, channel] of Object.entries(PACK_SOUNDS)) {
+        const sources = [];
+        for (const manifest of manifests) {
+            const sound = manifest.sounds && manifest.sounds[name];
+            if (!sound) continue;
+            const src = typeof sound === 'string' ? sound : sound.src;
+            if (src) sources.push({ src: new URL(src, manifest.baseUrl).href });
+            if (sound.tone) sources.push({ tone: sound.tone });
+        }
+        sources.push({ tone: DEFAULT_TONES[name] });
+        sounds[name] = { channel: channel, sources: sources };
+    }
+
+    const colors = {};
+    for (const [name, property] of Object.entries(PACK_COLORS)) {
+        const manifest = manifests.find(pack => pack.colors && pack.colors[name]);
+        if (manifest) colors[property] = manifest.colors[name];
+    }
+
+    return { id: info.id, icons: icons, stateIcons: { waiting: waiting, locked: locked }, sounds: sounds, colors: colors };
+}
+
+// What to show before any pack has loaded (or if none can be): the placeholder and default tones
+export function createFallbackAssetPack() {
+    const sounds = {};
+    for (const [name, channel] of Object.entries(PACK_SOUNDS)) {
+        sounds[name] = { channel: channel, sources: [{ tone: DEFAULT_TONES[name] }] };
+    }
+    return { id: DEFAULT_ASSET_PACK_ID, icons: {}, stateIcons: { waiting: PLACEHOLDER_ICON, locked: PLACEHOLDER_ICON }, sounds: sounds, colors: {} };
+}
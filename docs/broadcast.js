@@ -0,0 +1,145 @@
+/**
+ * broadcast.js for Gesture Rock Paper Scissors Game
+ * Spectator feed: the game publishes its round events (scoreboard, countdown, reveal) and
+ * spectator.html shows them, e.g. on a big screen next to the laptop the player stands at,
+ * or as a transparent overlay in streaming software. The spectator needs no camera or MediaPipe.
+ * Events go over a BroadcastChannel, so any window of the same browser can follow the game;
+ * where BroadcastChannel is missing they are posted to the windows the game opened instead.
+ * A spectator says "hello" when it opens and the game sends the events it has kept
+ * (the latest scoreboard, theme and the state of the round), so it starts up to date.
+ */
+
+// --- Feed Configuration ---
+export const SPECTATOR_CHANNEL = 'rps-spectator';
+const SPECTATOR_PROTOCOL_VERSION = 1;
+
+// Message (version 1):
+// { v: 1, type: 'reveal', time: 1700000000000, replay: false, data: { ... } }
+// replay is true for kept events resent to a spectator that just said hello.
+// Types and their data:
+//   hello        (from a spectator, no data)
+//   scoreboard   { locale, sides: { a: { name, score }, b: { ... } }, matchStatus }
+//   theme        { colors: { '--primary-color': '#3498db', ... }, icons: { waiting, locked } }
+//   roundReset   { message }                  New round: waiting for gestures
+//   countdown    { secondsLeft, text }        secondsLeft 0 is "Shoot!"
+//   revealing    { }                          Waiting for side B's move (e.g. online)
+//   reveal       { sides: { a: { gesture, name, icon }, b: { ... } },
+//                  result,                    'win', 'lose' or 'draw' for side A (null if the round is void)
+//                  message }
+//   matchResult  { winner, message }          winner: 'a' or 'b'
+//   message      { text }                     Round aborted or cancelled
+const KEPT_EVENT_TYPES = ['scoreboard', 'theme', 'roundReset', 'countdown', 'revealing', 'reveal', 'matchResult', 'message'];
+const ROUND_EVENT_TYPES = ['countdown', 'revealing', 'reveal', 'matchResult', 'message']; // Forgotten at roundReset
+
+function isFeedMessage(data) {
+    return !!data && data.v === SPECTATOR_PROTOCOL_VERSION && typeof data.type === 'string';
+}
+
+
+// --- Publisher (the game) ---
+
+// Creates the game's side of the feed. publish(type, data) sends an event to every spectator.
+export function createSpectatorFeed() {
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SPECTATOR_CHANNEL) : null;
+    const spectatorWindows = new Set(); // Opened by the game (only used without BroadcastChannel)
+    const kept = new Map();             // Event type -> latest message, in the order they were sent
+
+    function post(message, target = null) {
+        if (channel) {
+            channel.postMessage(message);
+            return;
+        }
+        for (const spectator of target ? [target] : spectatorWindows) {
+            if (spectator.closed) {
+                spectatorWindows.delete(spectator);
+            } else {
+                spectator.postMessage(message, location.origin);
+            }
+        }
+    }
+
+    // A spectator opened: send it everything it needs to catch up
+    function resend(target = null) {
+        for (const message of kept.values()) {
+            post(Object.assign({}, message, { replay: true }), target);
+        }
+    }
+
+    if (channel) {
+        channel.onmessage = (event) => {
+            if (isFeedMessage(event.data) && event.data.type === 'hello') resend();
+        };
+    } else {
+        window.addEventListener('message', (event) => {
+            if (event.origin !== location.origin || !isFeedMessage(event.data) || event.data.type !== 'hello') return;
+            spectatorWindows.add(event.source);
+            resend(event.source);
+        });
+    }
+
+    return {
+        publish(type, data = {}) {
+            const message = { v: SPECTATOR_PROTOCOL_VERSION, type: type, time: Date.now(), replay: false, data: data };
+            if (type === 'roundReset') {
+                ROUND_EVENT_TYPES.forEach(roundType => kept.delete(roundType));
+            }
+            if (KEPT_EVENT_TYPES.includes(type)) {
+                kept.delete(type); // Re-inserted last, so a resend keeps the order of events
+                kept.set(type, message);
+            }
+            post(message);
+        },
+
+        // Opens the spectator page in a new window (spectators can also be opened by URL)
+        openSpectator(url = 'spectator.html') {
+            const spectator = window.open(url, SPECTATOR_CHANNEL);
+            if (!spectator) {
+                console.warn("The spectator window was blocked by the browser.");
+                return null;
+            }
+            spectatorWindows.add(spectator);
+            return spectator;
+        }
+    };
+}
+
+
+// --- Subscriber (spectator.html) ---
+
+// Calls onEvent(message) for every event from the game and asks it for the kept ones.
+// Returns { close() }.
+export function subscribeToSpectatorFeed(onEvent) {
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SPECTATOR_CHANNEL) : null;
+    const hello = { v: SPECTATOR_PROTOCOL_VERSION, type: 'hello', time: Date.now(), replay: false, data: {} };
+
+    const handleMessage = (data) => {
+        if (!isFeedMessage(data) || data.type === 'hello') return;
+        try {
+            onEvent(data);
+        } catch (error) {
+            console.error(`Error showing spectator event "${data.type}":`, error);
+        }
+    };
+    const handleWindowMessage = (event) => {
+        if (event.origin === location.origin) handleMessage(event.data);
+    };
+
+    if (channel) {
+        channel.onmessage = (event) => handleMessage(event.data);
+        channel.postMessage(hello);
+    } else {
+        window.addEventListener('message', handleWindowMessage);
+        if (window.opener) {
+            window.opener.postMessage(hello, location.origin);
+        } else {
+            console.warn("No BroadcastChannel here: open the spectator view from the game to follow it.");
+        }
+    }
+
+    return {
+        close() {
+            if (channel) channel.close();
+            window.removeEventListener('message', handleWindowMessage);
+        }
+    };
+}
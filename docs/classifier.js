@@ -0,0 +1,180 @@
+/**
+ * classifier.js for Gesture Rock Paper Scissors Game
+ * Rotation-invariant geometric hand pose classifier.
+ * Works only with joint angles and distances normalized to the hand size,
+ * so it doesn't care how the hand is tilted, which way it points, how far it is
+ * from the camera, or whether it's a left or right hand.
+ * Returns a confidence score per pose instead of a bare string/null.
+ */
+
+// --- Landmark Indices (MediaPipe Hands) ---
+export const HAND_LANDMARKS = {
+    WRIST: 0,
+    THUMB_CMC: 1, THUMB_MCP: 2, THUMB_IP: 3, THUMB_TIP: 4,
+    INDEX_MCP: 5, INDEX_PIP: 6, INDEX_DIP: 7, INDEX_TIP: 8,
+    MIDDLE_MCP: 9, MIDDLE_PIP: 10, MIDDLE_DIP: 11, MIDDLE_TIP: 12,
+    RING_MCP: 13, RING_PIP: 14, RING_DIP: 15, RING_TIP: 16,
+    PINKY_MCP: 17, PINKY_PIP: 18, PINKY_DIP: 19, PINKY_TIP: 20
+};
+
+// Joint chains (MCP, PIP, DIP, TIP) of the four main fingers
+export const FINGER_CHAINS = {
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Every hand shape the classifier can score. Rule sets map their gestures onto these (see rules.js).
+export const HAND_POSES = ['rock', 'paper', 'scissors', 'lizard', 'spock', 'point', 'three'];
+
+// --- Classifier Thresholds ---
+// Bend is the total joint angle of a finger in radians (0 = perfectly straight).
+// Reach is tip-to-wrist distance divided by knuckle-to-wrist distance.
+// Distances are divided by the palm size (wrist to middle knuckle).
+export const CLASSIFIER_THRESHOLDS = {
+    bendStraight: 0.9,   // At or below: fully extended
+    bendCurled: 2.4,     // At or above: fully curled
+    reachCurled: 1.15,   // At or below: tip folded back to the palm
+    reachStraight: 1.7,  // At or above: tip far out from the palm
+    thumbTucked: 0.55,   // Thumb tip to middle finger PIP, at or below: thumb folded over the fist
+    thumbOut: 0.95,      // ... at or above: thumb sticking out
+    pinchClosed: 0.25,   // Thumb tip to index/middle tip, at or below: touching
+    pinchOpen: 0.5,      // ... at or above: apart
+    spockSplitMin: 1.4,  // Middle-ring gap relative to the other gaps where a split starts to count
+    spockSplitMax: 2.2,  // ... where it clearly is a Spock split
+    minConfidence: 0.5   // Best score below this means "no gesture"
+};
+
+
+// --- Vector Helpers ---
+
+// 3D vector from landmark a to landmark b. x is scaled by the frame aspect ratio so
+// distances are isotropic (MediaPipe normalizes x and y to the frame width and height).
+function landmarkVector(landmarks, a, b, aspectRatio) {
+    return {
+        x: (landmarks[b].x - landmarks[a].x) * aspectRatio,
+        y: landmarks[b].y - landmarks[a].y,
+        z: (landmarks[b].z || 0) - (landmarks[a].z || 0)
+    };
+}
+
+function vectorLength(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+// Angle in radians between two vectors (0 when they point the same way)
+function angleBetween(u, v) {
+    const lengths = vectorLength(u) * vectorLength(v);
+    if (lengths === 0) return 0;
+    const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / lengths;
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+// 0 below edge0, 1 above edge1, smooth in between (works with edge0 > edge1 for a falling ramp)
+export function smoothstep(edge0, edge1, value) {
+    const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+
+// --- Feature Extraction ---
+
+// Computes orientation- and scale-free features of a hand:
+//   fingers:   per finger { bend, reach, extension (0 = curled .. 1 = extended) }
+//   thumbTuck: 0..1, how much the thumb is folded over the fingers
+//   pinch:     0..1, how much the thumb tip touches the index and middle tips
+//   split:     middle-ring tip gap relative to the index-middle and ring-pinky gaps
+//   handSize:  palm size in (aspect corrected) normalized image units
+export function extractHandFeatures(landmarks, aspectRatio = 1) {
+    const L = HAND_LANDMARKS;
+    const T = CLASSIFIER_THRESHOLDS;
+    const vec = (a, b) => landmarkVector(landmarks, a, b, aspectRatio);
+    const dist = (a, b) => vectorLength(vec(a, b));
+
+    const handSize = dist(L.WRIST, L.MIDDLE_MCP) || 1e-6;
+
+    const fingers = {};
+    for (const [name, [mcp, pip, dip, tip]] of Object.entries(FINGER_CHAINS)) {
+        // Sum of the bend at the knuckle, middle and end joints
+        const bend = angleBetween(vec(L.WRIST, mcp), vec(mcp, pip)) +
+                     angleBetween(vec(mcp, pip), vec(pip, dip)) +
+                     angleBetween(vec(pip, dip), vec(dip, tip));
+        const reach = dist(L.WRIST, tip) / (dist(L.WRIST, mcp) || 1e-6);
+        // Joint angles and reach vote equally; each alone is fooled by some camera angles
+        const extension = 0.5 * smoothstep(T.bendCurled, T.bendStraight, bend) +
+                          0.5 * smoothstep(T.reachCurled, T.reachStraight, reach);
+        fingers[name] = { bend: bend, reach: reach, extension: extension };
+    }
+
+    const thumbToMiddlePip = dist(L.THUMB_TIP, L.MIDDLE_PIP) / handSize;
+    const thumbTuck = smoothstep(T.thumbOut, T.thumbTucked, Math.min(thumbToMiddlePip, dist(L.THUMB_TIP, L.INDEX_PIP) / handSize));
+
+    const pinchDistance = Math.max(dist(L.THUMB_TIP, L.INDEX_TIP), dist(L.THUMB_TIP, L.MIDDLE_TIP)) / handSize;
+    const pinch = smoothstep(T.pinchOpen, T.pinchClosed, pinchDistance);
+
+    const sideGap = Math.max(dist(L.INDEX_TIP, L.MIDDLE_TIP), dist(L.RING_TIP, L.PINKY_TIP)) || 1e-6;
+    const split = dist(L.MIDDLE_TIP, L.RING_TIP) / sideGap;
+
+    return {
+        fingers: fingers,
+        thumbTuck: thumbTuck,
+        thumbToIndexDistance: dist(L.THUMB_TIP, L.INDEX_PIP) / handSize,
+        pinch: pinch,
+        split: split,
+        handSize: handSize
+    };
+}
+
+
+// --- Gesture Classification Function ---
+// Scores every pose in HAND_POSES from the hand features (fuzzy AND = minimum).
+// Returns { pose, confidence, scores, features }; pose is null when nothing is confident enough.
+// onResults maps the scores to a gesture of the active rule set (see classificationToGesture in rules.js).
+export function classifyGesture(landmarks, aspectRatio = 1) {
+    const scores = Object.fromEntries(HAND_POSES.map(pose => [pose, 0]));
+    if (!landmarks || landmarks.length < 21) {
+        return { pose: null, confidence: 0, scores: scores, features: null }; // Need all 21 landmarks
+    }
+
+    const T = CLASSIFIER_THRESHOLDS;
+    const features = extractHandFeatures(landmarks, aspectRatio);
+    const f = features.fingers;
+    const up = (name) => f[name].extension;
+    const down = (name) => 1 - f[name].extension;
+    const spockness = smoothstep(T.spockSplitMin, T.spockSplitMax, features.split);
+
+    const openHand = Math.min(up('index'), up('middle'), up('ring'), up('pinky'));
+    // Lizard: fingers reaching forward (not folded into a fist) with the thumb pinched against them
+    const reachingForward = Math.min(
+        smoothstep(T.reachCurled, T.reachCurled + 0.25, f.index.reach),
+        smoothstep(T.reachCurled, T.reachCurled + 0.25, f.middle.reach)
+    );
+
+    // ROCK: All 4 main fingers curled; a thumb folded over the fist makes it more certain
+    scores.rock = Math.min(down('index'), down('middle'), down('ring'), down('pinky')) * (0.7 + 0.3 * features.thumbTuck);
+    // PAPER / SPOCK: All 4 main fingers extended, told apart by the middle-ring split
+    scores.paper = openHand * (1 - spockness);
+    scores.spock = openHand * spockness;
+    // SCISSORS: Index and Middle extended, Ring and Pinky curled
+    scores.scissors = Math.min(up('index'), up('middle'), down('ring'), down('pinky'));
+    // POINT: Only the Index finger extended
+    scores.point = Math.min(up('index'), down('middle'), down('ring'), down('pinky'));
+    // THREE: Index, Middle and Ring extended, Pinky curled
+    scores.three = Math.min(up('index'), up('middle'), up('ring'), down('pinky'));
+    // LIZARD: "Sock puppet", thumb tip touching the index and middle tips
+    scores.lizard = Math.min(features.pinch, reachingForward);
+
+    let pose = null;
+    let confidence = 0;
+    for (const [name, score] of Object.entries(scores)) {
+        if (score > confidence) {
+            pose = name;
+            confidence = score;
+        }
+    }
+    if (confidence < T.minConfidence) {
+        pose = null;
+    }
+    return { pose: pose, confidence: confidence, scores: scores, features: features };
+}
@@ -0,0 +1,253 @@
+/**
+ * clips.js for Gesture Rock Paper Scissors Game
+ * Replay clips: a rolling buffer of the last few seconds of the webcam picture with the
+ * landmark overlay, and a highlight clip cut from it at every reveal, result banner burned in.
+ * The picture is composited into a canvas the way the player sees it (mirrored) and recorded
+ * with MediaRecorder from canvas.captureStream().
+ * A WebM recording can't be trimmed at the front, so the buffer is a set of overlapping
+ * recorders, a new one started every CLIP_SEGMENT_MS: a clip is the recorder that started
+ * just long enough ago, stopped. Recorders older than the buffer are dropped, and so are the
+ * oldest ones when the buffer grows past CLIP_BUFFER_MAX_BYTES.
+ * Clips only live in memory (see createClipGallery) until they are downloaded.
+ */
+
+// --- Clip Configuration ---
+const CLIP_WIDTH = 480;                         // Recorded picture width (height follows the camera)
+const CLIP_FPS = 24;
+const CLIP_BITS_PER_SECOND = 1000000;
+const CLIP_SEGMENT_MS = 2000;                   // How often a new buffer recorder starts
+const CLIP_CHUNK_MS = 500;                      // Recorders hand over their data this often (for the size cap)
+const CLIP_POST_ROLL_MS = 1500;                 // Recording kept going after the reveal, to show the result
+export const CLIP_BUFFER_MAX_BYTES = 24 * 1024 * 1024;
+export const CLIP_GALLERY_MAX_BYTES = 64 * 1024 * 1024;
+export const MAX_CLIPS = 12;
+const CLIP_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Clip (as kept in the gallery):
+// {
+//   id: 3,
+//   createdAt: 1700000000000,
+//   title: "Rock crushes Scissors. You Win!",   // The result banner
+//   result: 'win',                              // 'win', 'lose' or 'draw' for side A (null if void)
+//   blob: Blob (video/webm), url: 'blob:...',   // url is revoked when the clip leaves the gallery
+//   durationMs: 4800,
+//   size: 612345                                // Bytes
+// }
+
+
+// --- Support Detection ---
+
+// First WebM type this browser's MediaRecorder can write (null if it can't record canvases)
+function pickMimeType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined' ||
+        !HTMLCanvasElement.prototype.captureStream) {
+        return null;
+    }
+    return CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+export function isClipRecordingSupported() {
+    return pickMimeType() !== null;
+}
+
+
+// --- Rolling Buffer & Clip Recorder ---
+
+// Creates the clip recorder for a video element and the landmark canvas drawn over it.
+// Call drawFrame() for every camera frame (recording starts with the first one), setBanner()
+// at the reveal and saveClip() to cut a clip. clipSeconds is the clip length to aim for.
+export function createClipRecorder({ video, overlay, clipSeconds = 4 }) {
+    const mimeType = pickMimeType();
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    let stream = null;
+    let segmentTimer = null;
+    let recorders = [];          // Buffer recorders, oldest first: { recorder, startedAt, chunks, size }
+    let banner = null;           // { text, color } drawn over the bottom of the picture
+    let targetMs = clipSeconds * 1000;
+    let enabled = true;
+
+    function bufferBytes() {
+        return recorders.reduce((sum, entry) => sum + entry.size, 0);
+    }
+
+    // Stops a buffer recorder and throws its data away
+    function dropRecorder(entry) {
+        recorders = recorders.filter(other => other !== entry);
+        entry.dropped = true;
+        entry.chunks = [];
+        if (entry.recorder.state !== 'inactive') entry.recorder.stop();
+    }
+
+    function startRecorder() {
+        const entry = { recorder: new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: CLIP_BITS_PER_SECOND }), startedAt: Date.now(), chunks: [], size: 0 };
+        entry.recorder.ondataavailable = (event) => {
+            if (entry.dropped || !event.data || event.data.size === 0) return;
+            entry.chunks.push(event.data);
+            entry.size += event.data.size;
+            // Memory cap: the oldest recorders go first (the newest one always stays)
+            while (bufferBytes() > CLIP_BUFFER_MAX_BYTES && recorders.length > 1) {
+                console.warn("Clip buffer is over its memory cap. Dropping the oldest recording.");
+                dropRecorder(recorders[0]);
+            }
+        };
+        entry.recorder.start(CLIP_CHUNK_MS);
+        recorders.push(entry);
+    }
+
+    // Starts the next overlapping recorder and drops those older than the buffer needs
+    function rollBuffer() {
+        const now = Date.now();
+        for (const entry of recorders.slice()) {
+            if (now - entry.startedAt > targetMs + CLIP_SEGMENT_MS) dropRecorder(entry);
+        }
+        startRecorder();
+    }
+
+    function start() {
+        if (stream || !mimeType || !enabled) return;
+        stream = canvas.captureStream(CLIP_FPS);
+        rollBuffer();
+        segmentTimer = setInterval(rollBuffer, CLIP_SEGMENT_MS);
+    }
+
+    function stop() {
+        if (!stream) return;
+        clearInterval(segmentTimer);
+        segmentTimer = null;
+        recorders.slice().forEach(dropRecorder);
+        stream.getTracks().forEach(track => track.stop());
+        stream = null;
+    }
+
+    // The banner: a band in the given color with the text centered, shrunk to fit
+    function drawBanner() {
+        const height = Math.round(canvas.height * 0.18);
+        ctx.fillStyle = banner.color;
+        ctx.globalAlpha = 0.85;
+        ctx.fillRect(0, canvas.height - height, canvas.width, height);
+        ctx.globalAlpha = 1;
+        let fontSize = Math.round(height * 0.45);
+        ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+        while (fontSize > 10 && ctx.measureText(banner.text).width > canvas.width * 0.94) {
+            fontSize--;
+            ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+        }
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(banner.text, canvas.width / 2, canvas.height - height / 2);
+    }
+
+    // Promise of one recorder's complete WebM once it has stopped
+    function finishRecorder(entry) {
+        return new Promise((resolve) => {
+            recorders = recorders.filter(other => other !== entry);
+            entry.recorder.onstop = () => resolve(new Blob(entry.chunks, { type: mimeType.split(';')[0] }));
+            entry.recorder.stop();
+        });
+    }
+
+    return {
+        isSupported: () => mimeType !== null,
+        isRecording: () => stream !== null,
+        getBufferBytes: bufferBytes,
+
+        // Composites the current video frame and landmark overlay, mirrored like on screen
+        drawFrame() {
+            if (!enabled || !mimeType || !video.videoWidth) return;
+            const height = Math.round(CLIP_WIDTH * video.videoHeight / video.videoWidth);
+            if (canvas.width !== CLIP_WIDTH || canvas.height !== height) {
+                canvas.width = CLIP_WIDTH;
+                canvas.height = height;
+            }
+            if (!stream) start();
+            ctx.save();
+            ctx.scale(-1, 1);
+            ctx.translate(-canvas.width, 0);
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            ctx.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+            ctx.restore();
+            if (banner) drawBanner();
+        },
+
+        // { text, color } to burn into the picture from now on, or null to remove it
+        setBanner(value) {
+            banner = value;
+        },
+
+        // Cuts a clip around now: keeps recording for CLIP_POST_ROLL_MS, then stops the buffer
+        // recorder that covers the clip length best. Resolves with
+        // { blob, durationMs } (null when not recording).
+        async saveClip() {
+            if (!stream) return null;
+            await new Promise(resolve => setTimeout(resolve, CLIP_POST_ROLL_MS));
+            if (!stream || recorders.length === 0) return null;
+            const now = Date.now();
+            // Newest recorder that is long enough, else the longest there is
+            const long = recorders.filter(entry => now - entry.startedAt >= targetMs);
+            const entry = long.length > 0 ? long[long.length - 1] : recorders[0];
+            const durationMs = now - entry.startedAt;
+            if (recorders.length === 1) startRecorder(); // Never leave the buffer empty
+            const blob = await finishRecorder(entry);
+            return blob.size > 0 ? { blob: blob, durationMs: durationMs } : null;
+        },
+
+        setClipSeconds(seconds) {
+            targetMs = seconds * 1000;
+        },
+
+        // Turns recording on (it starts with the next frame) or off (the buffer is dropped)
+        setEnabled(value) {
+            enabled = value;
+            if (!enabled) stop();
+        },
+
+        stop: stop
+    };
+}
+
+
+// --- Gallery ---
+
+// Keeps the most recent clips within MAX_CLIPS and CLIP_GALLERY_MAX_BYTES, dropping the
+// oldest first. add() returns the stored clip (see the Clip format above).
+export function createClipGallery({ maxClips = MAX_CLIPS, maxBytes = CLIP_GALLERY_MAX_BYTES } = {}) {
+    let clips = [];
+    let nextId = 1;
+
+    const totalBytes = () => clips.reduce((sum, clip) => sum + clip.size, 0);
+
+    function remove(id) {
+        const clip = clips.find(other => other.id === id);
+        if (!clip) return;
+        URL.revokeObjectURL(clip.url);
+        clips = clips.filter(other => other !== clip);
+    }
+
+    return {
+        add({ blob, durationMs, title, result }) {
+            const clip = {
+                id: nextId++,
+                createdAt: Date.now(),
+                title: title,
+                result: result,
+                blob: blob,
+                url: URL.createObjectURL(blob),
+                durationMs: durationMs,
+                size: blob.size
+            };
+            clips.push(clip);
+            while (clips.length > 1 && (clips.length > maxClips || totalBytes() > maxBytes)) {
+                remove(clips[0].id);
+            }
+            return clip;
+        },
+        remove: remove,
+        clear() {
+            clips.slice().forEach(clip => remove(clip.id));
+        },
+        list: () => clips.slice(),
+        totalBytes: totalBytes
+    };
+}
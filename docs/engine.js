@@ -0,0 +1,443 @@
+/**
+ * engine.js for Gesture Rock Paper Scissors Game
+ * The round state machine: idle -> tracking -> locking -> countdown -> reveal -> result.
+ * It is fed the already-classified gesture of each human side once per frame and
+ * emits events; script.js subscribes to them and updates the page.
+ * No DOM, MediaPipe or camera access here, so it runs the same in a browser or in Node.
+ */
+
+// --- Game States ---
+// idle:      no human hand in view
+// tracking:  hands in view, but nobody is holding a gesture yet
+// locking:   at least one side is holding a gesture, timing it towards the lock
+// countdown: every human side is locked, counting down to "Shoot!" (gestures are still
+//            tracked, and the throw is the gesture shown at "Shoot!", see shootGraceMs)
+// reveal:    gestures are final; waiting for the round to be resolved (computer / opponent move)
+// result:    the round has been shown; waiting for reset() ("Play Again" / "New Match")
+export const GAME_STATES = {
+    IDLE: 'idle',
+    TRACKING: 'tracking',
+    LOCKING: 'locking',
+    COUNTDOWN: 'countdown',
+    REVEAL: 'reveal',
+    RESULT: 'result'
+};
+
+// Transitions allowed out of each state. Anything else is a bug and is refused.
+const TRANSITIONS = {
+    idle: ['tracking', 'locking'],
+    tracking: ['idle', 'locking'],
+    locking: ['idle', 'tracking', 'countdown'],
+    countdown: ['idle', 'reveal'],
+    reveal: ['result', 'idle'],
+    result: ['idle']
+};
+
+// Locking is time based, so it takes as long at 15 fps as at 60 fps. Each side's gesture
+// is a vote over the last voteWindowMs of frames, weighted by classification confidence.
+// Hysteresis: a gesture is adopted once it has enterShare of the vote, and kept until
+// its share falls below exitShare, so a stray frame or two doesn't restart the lock.
+export const DEFAULT_ENGINE_CONFIG = {
+    humanSides: ['a'],     // Sides fed by hands at the camera ('a' solo/online, 'a' and 'b' two-player)
+    lockMs: 500,           // How long a gesture must be held to lock (about 15 frames at 30 fps)
+    voteWindowMs: 300,     // Sliding window of frames that vote on the gesture
+    enterShare: 0.6,       // Vote share a gesture needs to become the held gesture
+    exitShare: 0.35,       // Vote share below which the held gesture is dropped
+    unknownWeight: 0.5,    // Vote weight of a frame with a hand but no recognized gesture
+    dropoutMs: 250,        // A hand missing for up to this long keeps its gesture
+    countdownSeconds: 3,
+    shootGraceMs: 300      // After "Shoot!", how long a side without a clear gesture may still throw (flagged late)
+};
+
+// --- Throw Flags & Cheat Policy ---
+// Each side's throw can be flagged:
+//   late:    no clear gesture at "Shoot!", shown within the grace window after it
+//   changed: differs from the gesture locked when the countdown started
+// The policy says what a flag costs, per flag:
+//   ignore:  nothing, not even shown
+//   warn:    the round counts, the flag is shown
+//   replay:  the round is void and played again
+//   forfeit: the flagged side loses the round (a draw if both sides forfeit)
+export const THROW_FLAGS = ['late', 'changed'];
+export const CHEAT_ACTIONS = ['ignore', 'warn', 'replay', 'forfeit'];
+export const DEFAULT_CHEAT_POLICY = { late: 'forfeit', changed: 'warn' };
+
+// Applies a cheat policy to the flags of each side ({ a: ['late'], b: [] }).
+// Returns { replay, forfeits: [side ids], warnings: { side: [flags] } }.
+export function judgeThrows(flags, policy = DEFAULT_CHEAT_POLICY) {
+    const verdict = { replay: false, forfeits: [], warnings: {} };
+    for (const [sideId, sideFlags] of Object.entries(flags)) {
+        for (const flag of sideFlags) {
+            const action = CHEAT_ACTIONS.includes(policy[flag]) ? policy[flag] : DEFAULT_CHEAT_POLICY[flag];
+            if (action === 'ignore') continue;
+            (verdict.warnings[sideId] = verdict.warnings[sideId] || []).push(flag);
+            if (action === 'replay') {
+                verdict.replay = true;
+            } else if (action === 'forfeit' && !verdict.forfeits.includes(sideId)) {
+                verdict.forfeits.push(sideId);
+            }
+        }
+    }
+    return verdict;
+}
+
+// Per-side detection state
+function createDetectionState() {
+    return {
+        currentGesture: null,      // The gesture currently being held (winner of the vote)
+        heldSince: null,           // Time currentGesture was adopted
+        votes: [],                 // Recent frames: { t, gesture (null = unrecognized), weight }
+        share: 0,                  // Vote share of currentGesture in the latest frame
+        lastSeen: null,            // Time the hand was last in view
+        present: false,            // Hand seen in the latest frame
+        confidence: null           // Hand detection confidence of the latest frame with a hand
+    };
+}
+
+
+// --- Game Engine ---
+// Creates an engine. Options override DEFAULT_ENGINE_CONFIG; options.timers can replace
+// { setTimeout, clearTimeout } and options.now the millisecond clock (e.g. with fake timers).
+// Events (subscribe with on(event, handler)):
+//   stateChange    { from, to }
+//   sideUpdate     { side, status, gesture, progress (0..1 towards the lock), othersReady }
+//                  status: 'waiting' (no hand), 'unrecognized', 'detected', 'holding', 'locked'
+//   countdownStart { seconds, gestures, confidence }   gestures/confidence keyed by side id
+//   countdownTick  { secondsLeft }                      0 means "Shoot!"
+//   reveal         { gestures, confidence, flags }         flags: { side: ['late', 'changed'] }
+//   roundAborted   { reason }                           'hand-lost' or 'no-throw'
+//   reset          {}
+export function createGameEngine(options = {}) {
+    const config = Object.assign({}, DEFAULT_ENGINE_CONFIG, options);
+    const timers = options.timers || {
+        setTimeout: (handler, ms) => setTimeout(handler, ms),
+        clearTimeout: (id) => clearTimeout(id)
+    };
+    const now = options.now || (() => Date.now());
+    const listeners = {};
+    const sides = { a: createDetectionState(), b: createDetectionState() };
+    let state = GAME_STATES.IDLE;
+    let countdownTimer = null;
+    let shoot = null;              // While waiting for throws after "Shoot!": { time, timer, locked, throws }
+
+    function on(event, handler) {
+        (listeners[event] = listeners[event] || []).push(handler);
+        return () => off(event, handler);
+    }
+
+    function off(event, handler) {
+        const handlers = listeners[event] || [];
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    function emit(event, payload) {
+        for (const handler of (listeners[event] || []).slice()) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        }
+    }
+
+    function setState(next) {
+        if (next === state) return;
+        if (!TRANSITIONS[state].includes(next)) {
+            console.error(`Invalid state transition ${state} -> ${next}. Ignoring.`);
+            return;
+        }
+        const previous = state;
+        state = next;
+        emit('stateChange', { from: previous, to: next });
+    }
+
+    function humanDetections() {
+        return config.humanSides.map(id => sides[id]);
+    }
+
+    // Fraction of the lock time the current gesture has been held (0..1)
+    function lockProgress(detection, time) {
+        if (!detection.currentGesture) return 0;
+        return Math.min(1, (time - detection.heldSince) / config.lockMs);
+    }
+
+    // Locked: held long enough, clearly winning the vote, and the hand is in view right now
+    function isLocked(detection, time = now()) {
+        return detection.present && detection.share >= config.enterShare && lockProgress(detection, time) >= 1;
+    }
+
+    // Still in view, allowing for short dropouts
+    function isInView(detection, time) {
+        return detection.lastSeen !== null && time - detection.lastSeen <= config.dropoutMs;
+    }
+
+    // Gestures (or confidences) of the human sides, keyed by side id
+    function collect(field) {
+        return Object.fromEntries(config.humanSides.map(id => [id, sides[id][field]]));
+    }
+
+    function resetSide(detection) {
+        detection.currentGesture = null;
+        detection.heldSince = null;
+        detection.votes = [];
+        detection.share = 0;
+    }
+
+    // --- Frame Handling ---
+
+    // Feeds one frame. hands maps each human side id to { gesture, confidence, gestureConfidence }
+    // (gesture null when the hand shows no known gesture) or null when its hand is missing.
+    // confidence is the hand detection score, gestureConfidence (0..1, default 1) weighs the vote.
+    // time defaults to the engine clock.
+    function handleFrame(hands, time = now()) {
+        // Presence is tracked in every state, so the countdown's final check knows
+        // whether every hand is still there
+        for (const id of config.humanSides) {
+            const hand = hands[id] || null;
+            sides[id].present = !!hand;
+            if (hand) {
+                sides[id].lastSeen = time;
+                sides[id].confidence = hand.confidence;
+            }
+        }
+
+        // Gestures are final once revealed
+        if (state === GAME_STATES.REVEAL || state === GAME_STATES.RESULT) {
+            return;
+        }
+        // During the countdown gestures are tracked quietly; the throw is taken at "Shoot!"
+        if (state === GAME_STATES.COUNTDOWN) {
+            for (const id of config.humanSides) {
+                updateSide(id, hands[id] || null, time, false);
+            }
+            if (shoot) {
+                collectThrows(time);
+            }
+            return;
+        }
+
+        for (const id of config.humanSides) {
+            updateSide(id, hands[id] || null, time, true);
+        }
+
+        const detections = humanDetections();
+        if (detections.every(detection => isLocked(detection, time))) {
+            setState(GAME_STATES.LOCKING); // Passes through locking even with an instant lock
+            startCountdown();
+        } else if (detections.some(detection => detection.currentGesture)) {
+            setState(GAME_STATES.LOCKING);
+        } else if (detections.some(detection => detection.present)) {
+            setState(GAME_STATES.TRACKING);
+        } else {
+            setState(GAME_STATES.IDLE);
+        }
+    }
+
+    // Vote shares of the gestures in the side's window ({ gesture: 0..1 }; unrecognized frames count against all)
+    function voteShares(detection) {
+        const totals = {};
+        let sum = 0;
+        for (const vote of detection.votes) {
+            sum += vote.weight;
+            if (vote.gesture) totals[vote.gesture] = (totals[vote.gesture] || 0) + vote.weight;
+        }
+        const shares = {};
+        for (const gesture of Object.keys(totals)) {
+            shares[gesture] = sum > 0 ? totals[gesture] / sum : 0;
+        }
+        return shares;
+    }
+
+    // Tracks one human side's gesture (emitting sideUpdate if announce is set)
+    function updateSide(id, hand, time, announce) {
+        const detection = sides[id];
+        let status;
+
+        if (hand) {
+            const weight = hand.gesture
+                ? (Number.isFinite(hand.gestureConfidence) ? hand.gestureConfidence : 1)
+                : config.unknownWeight;
+            detection.votes.push({ t: time, gesture: hand.gesture || null, weight: weight });
+        }
+        detection.votes = detection.votes.filter(vote => time - vote.t < config.voteWindowMs);
+
+        if (!hand && !isInView(detection, time)) {
+            // Gone for longer than a dropout
+            if (detection.currentGesture) {
+                console.log(`Hand lost during detection phase (side ${id}).`);
+            }
+            resetSide(detection);
+            status = 'waiting';
+        } else if (!hand) {
+            // Short dropout: keep the gesture (it can't lock until the hand is back)
+            status = detection.currentGesture ? 'holding' : 'waiting';
+        } else {
+            const shares = voteShares(detection);
+            let leader = null;
+            for (const gesture of Object.keys(shares)) {
+                if (!leader || shares[gesture] > shares[leader]) leader = gesture;
+            }
+            const current = detection.currentGesture;
+
+            if (current && (shares[current] || 0) >= config.exitShare) {
+                status = 'holding'; // Hysteresis: keep it
+            } else if (leader && shares[leader] >= config.enterShare) {
+                console.log(`New gesture detected (side ${id}): ${leader}`);
+                detection.currentGesture = leader;
+                detection.heldSince = time;
+                status = 'detected';
+            } else {
+                if (current) {
+                    console.log(`Gesture lost or became unclear (side ${id}).`);
+                }
+                detection.currentGesture = null;
+                detection.heldSince = null;
+                status = 'unrecognized';
+            }
+            detection.share = detection.currentGesture ? shares[detection.currentGesture] : 0;
+            if (isLocked(detection, time)) status = 'locked';
+        }
+
+        if (!announce) return;
+        emit('sideUpdate', {
+            side: id,
+            status: status,
+            gesture: detection.currentGesture,
+            progress: lockProgress(detection, time),
+            othersReady: humanDetections().every(detection => isLocked(detection, time))
+        });
+    }
+
+
+    // --- Countdown ---
+
+    function startCountdown() {
+        if (countdownTimer) return;
+
+        console.log(`Starting countdown for gestures: ${Object.values(collect('currentGesture')).join(', ')}`);
+        setState(GAME_STATES.COUNTDOWN);
+        const locked = collect('currentGesture');
+        let secondsLeft = config.countdownSeconds;
+        emit('countdownStart', { seconds: secondsLeft, gestures: locked, confidence: collect('confidence') });
+
+        // Each tick is timed from the start of the countdown rather than from the previous
+        // tick, so a late tick (busy main thread) doesn't push back the ones after it
+        const startedAt = now();
+        const scheduleTick = () => {
+            const tickAt = startedAt + (config.countdownSeconds - secondsLeft + 1) * 1000;
+            countdownTimer = timers.setTimeout(tick, Math.max(0, tickAt - now()));
+        };
+        const tick = () => {
+            secondsLeft--;
+            emit('countdownTick', { secondsLeft: Math.max(secondsLeft, 0) });
+            if (!countdownTimer) return; // Stopped by a listener (e.g. reset)
+            if (secondsLeft > 0) {
+                scheduleTick();
+                return;
+            }
+
+            stopCountdown();
+            // "Shoot!": take each side's throw now, or within the grace window
+            const time = now();
+            shoot = {
+                time: time,
+                locked: locked,
+                throws: {},
+                timer: timers.setTimeout(() => finishShoot(now()), config.shootGraceMs)
+            };
+            collectThrows(time);
+        };
+        scheduleTick();
+    }
+
+    function stopCountdown() {
+        if (countdownTimer) {
+            timers.clearTimeout(countdownTimer);
+            countdownTimer = null;
+        }
+        if (shoot) {
+            timers.clearTimeout(shoot.timer);
+            shoot = null;
+        }
+    }
+
+    // Records the throw of every side that clearly shows a gesture and hasn't thrown yet.
+    // Reveals as soon as every side has thrown.
+    function collectThrows(time) {
+        for (const id of config.humanSides) {
+            const detection = sides[id];
+            const clear = detection.currentGesture && detection.present && detection.share >= config.enterShare;
+            if (shoot.throws[id] || !clear) continue;
+
+            const flags = [];
+            if (time > shoot.time) flags.push('late');
+            if (detection.currentGesture !== shoot.locked[id]) flags.push('changed');
+            shoot.throws[id] = { gesture: detection.currentGesture, flags: flags };
+            if (flags.length > 0) {
+                console.log(`Side ${id} threw ${detection.currentGesture} (${flags.join(', ')}).`);
+            }
+        }
+        if (config.humanSides.every(id => shoot.throws[id])) {
+            finishShoot(time);
+        }
+    }
+
+    // Ends the grace window: reveals the throws, or aborts if a side never threw
+    function finishShoot(time) {
+        if (!shoot) return;
+        const throws = shoot.throws;
+        stopCountdown();
+
+        const missing = config.humanSides.filter(id => !throws[id]);
+        if (missing.length === 0) {
+            console.log("Countdown finished. Locking gestures and playing.");
+            setState(GAME_STATES.REVEAL);
+            emit('reveal', {
+                gestures: Object.fromEntries(config.humanSides.map(id => [id, throws[id].gesture])),
+                confidence: collect('confidence'),
+                flags: Object.fromEntries(config.humanSides.map(id => [id, throws[id].flags]))
+            });
+            return;
+        }
+        const handLost = missing.some(id => !isInView(sides[id], time));
+        console.warn(`${handLost ? "Hand lost" : "No clear throw"} at "Shoot!" (side ${missing.join(', ')}). Resetting.`);
+        emit('roundAborted', { reason: handLost ? 'hand-lost' : 'no-throw' });
+        reset();
+    }
+
+
+    // --- Round Control ---
+
+    // Marks the revealed round as shown (reveal -> result)
+    function finishRound() {
+        setState(GAME_STATES.RESULT);
+    }
+
+    // Drops any round in progress and waits for hands again (any state -> idle)
+    function reset() {
+        stopCountdown();
+        resetSide(sides.a);
+        resetSide(sides.b);
+        setState(GAME_STATES.IDLE);
+        emit('reset', {});
+    }
+
+    // Changes the configuration (e.g. a new game mode) and resets the round
+    function configure(changes) {
+        Object.assign(config, changes);
+        reset();
+    }
+
+    return {
+        on: on,
+        off: off,
+        handleFrame: handleFrame,
+        finishRound: finishRound,
+        reset: reset,
+        configure: configure,
+        getState: () => state,
+        getSide: (id) => Object.assign({}, sides[id]),
+        getConfig: () => Object.assign({}, config)
+    };
+}
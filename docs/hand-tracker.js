@@ -0,0 +1,126 @@
+/**
+ * hand-tracker.js for Gesture Rock Paper Scissors Game
+ * Runs MediaPipe Hands for script.js, preferably in a Web Worker (hand-worker.js) so that
+ * inference doesn't block the main thread. Where the worker can't run it (no OffscreenCanvas
+ * or createImageBitmap, or the worker fails to load the model) it runs on the page as before.
+ * Both backends look the same from outside: initialize(), setOptions(), send(video), and
+ * results passed to onResults in MediaPipe's shape ({ multiHandLandmarks, multiHandedness }).
+ * The page backend needs the Hands global from vendor/mediapipe/hands/hands.js.
+ */
+
+// --- Tracker Configuration ---
+const HAND_WORKER_URL = 'hand-worker.js';
+
+// True if this browser can run MediaPipe in a worker
+export function canTrackInWorker() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+}
+
+
+// --- Backends ---
+
+// MediaPipe on the main thread
+function createPageBackend(handsPath, onResults) {
+    const hands = new Hands({ locateFile: (file) => `${handsPath}/${file}` });
+    hands.onResults(onResults);
+    return {
+        name: 'page',
+        initialize: () => hands.initialize(),
+        setOptions: (options) => hands.setOptions(options),
+        send: (video) => hands.send({ image: video }),
+        close: () => hands.close()
+    };
+}
+
+// MediaPipe in hand-worker.js. Each frame is copied into an ImageBitmap and transferred;
+// send() resolves once its results have been passed to onResults.
+function createWorkerBackend(handsPath, onResults) {
+    const worker = new Worker(HAND_WORKER_URL);
+    const pending = new Map(); // Message id -> { resolve, reject }
+    let nextId = 1;
+
+    function failPending(error) {
+        for (const request of pending.values()) {
+            request.reject(error);
+        }
+        pending.clear();
+    }
+
+    worker.onmessage = (event) => {
+        const message = event.data;
+        const request = pending.get(message.id);
+        if (!request) return;
+        pending.delete(message.id);
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+            return;
+        }
+        if (message.type === 'results') {
+            onResults({ image: null, multiHandLandmarks: message.multiHandLandmarks, multiHandedness: message.multiHandedness });
+        }
+        request.resolve();
+    };
+    // Script errors (e.g. the worker file or hands.js missing) end every pending request
+    worker.onerror = (event) => {
+        event.preventDefault();
+        failPending(new Error(event.message || "The hand tracking worker failed."));
+    };
+
+    function request(message, transfer = []) {
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve: resolve, reject: reject });
+            worker.postMessage(Object.assign({ id: id }, message), transfer);
+        });
+    }
+
+    return {
+        name: 'worker',
+        initialize: () => request({ type: 'initialize', handsPath: handsPath }),
+        setOptions: (options) => worker.postMessage({ type: 'setOptions', options: options }),
+        async send(video) {
+            const image = await createImageBitmap(video);
+            return request({ type: 'frame', image: image }, [image]);
+        },
+        close() {
+            worker.terminate();
+            failPending(new Error("Hand tracking stopped."));
+        }
+    };
+}
+
+
+// --- Hand Tracker ---
+// Creates a tracker. useWorker: try the worker first (falls back to the page when it can't).
+export function createHandTracker({ handsPath, onResults, useWorker = true }) {
+    let backend = useWorker && canTrackInWorker()
+        ? createWorkerBackend(handsPath, onResults)
+        : createPageBackend(handsPath, onResults);
+    const options = {}; // Every option set so far, to hand over to the page backend
+
+    // Loads the model. If the worker can't, the page backend takes over and tries.
+    async function initialize() {
+        if (backend.name === 'worker') {
+            try {
+                await backend.initialize();
+                return;
+            } catch (error) {
+                console.warn("Hand tracking worker failed, running it on the page instead:", error);
+                backend.close();
+                backend = createPageBackend(handsPath, onResults);
+                backend.setOptions(options);
+            }
+        }
+        await backend.initialize();
+    }
+
+    return {
+        initialize: initialize,
+        setOptions(changes) {
+            Object.assign(options, changes);
+            backend.setOptions(changes);
+        },
+        send: (video) => backend.send(video),    // Resolves once the frame's results are out
+        getBackend: () => backend.name           // 'worker' or 'page'
+    };
+}
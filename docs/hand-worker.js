@@ -0,0 +1,62 @@
+/**
+ * hand-worker.js for Gesture Rock Paper Scissors Game
+ * Web Worker that runs MediaPipe Hands off the main thread (started by hand-tracker.js),
+ * so hand tracking can't hold up the countdown or the page on slow machines.
+ * This is a classic worker script, not a module: MediaPipe loads its wasm and assets with
+ * importScripts, which module workers don't have. Without a document it renders to an
+ * OffscreenCanvas and takes ImageBitmaps as input.
+ *
+ * Messages in:   { id, type: 'initialize', handsPath }
+ *                { type: 'setOptions', options }
+ *                { id, type: 'frame', image }       image: ImageBitmap of a video frame (transferred)
+ * Messages out:  { id, type: 'ready' }
+ *                { id, type: 'results', multiHandLandmarks, multiHandedness }
+ *                { id, type: 'error', message }
+ */
+
+let hands = null;
+let latestResults = null;
+const options = {};             // Every option set so far, applied when Hands is created
+let queue = Promise.resolve();  // Messages are handled one at a time, in order
+
+self.onmessage = (event) => {
+    const message = event.data;
+    queue = queue
+        .then(() => handleMessage(message))
+        .catch(error => {
+            if (message.type === 'frame') message.image.close();
+            self.postMessage({ id: message.id, type: 'error', message: String((error && error.message) || error) });
+        });
+};
+
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'initialize':
+            importScripts(`${message.handsPath}/hands.js`);
+            hands = new Hands({ locateFile: (file) => `${message.handsPath}/${file}` });
+            hands.setOptions(options);
+            hands.onResults((results) => { latestResults = results; });
+            await hands.initialize();
+            self.postMessage({ id: message.id, type: 'ready' });
+            break;
+        case 'setOptions':
+            Object.assign(options, message.options);
+            if (hands) hands.setOptions(message.options);
+            break;
+        case 'frame':
+            if (!hands) throw new Error("Hand tracking isn't initialized.");
+            latestResults = null;
+            await hands.send({ image: message.image });
+            message.image.close();
+            // Only the landmarks go back; results.image stays here
+            self.postMessage({
+                id: message.id,
+                type: 'results',
+                multiHandLandmarks: (latestResults && latestResults.multiHandLandmarks) || [],
+                multiHandedness: (latestResults && latestResults.multiHandedness) || []
+            });
+            break;
+        default:
+            console.warn(`Hand worker: unknown message type "${message.type}".`);
+    }
+}
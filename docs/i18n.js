@@ -0,0 +1,164 @@
+/**
+ * i18n.js for Gesture Rock Paper Scissors Game
+ * Locales and message lookup for all game text. The messages live in one catalog per
+ * locale (locales/*.js), under the same flat keys, e.g. 'result.youWin'.
+ * Messages can have {placeholders}, filled from the params of t(), and plural forms:
+ *   { one: "{count} sample", other: "{count} samples" }
+ * picked by params.count with Intl.PluralRules ('zero', 'one', 'two', 'few', 'many', 'other'),
+ * or by an exact number first ('=2': "...", used for the Japanese jan-ken-pon countdown).
+ * The locale comes from ?lang=, the language picked in the game, or navigator.languages.
+ * No DOM access here apart from localStorage.
+ */
+
+import { EN_CATALOG } from './locales/en.js';
+import { ES_CATALOG } from './locales/es.js';
+import { JA_CATALOG } from './locales/ja.js';
+
+// --- Locale Configuration ---
+const LOCALE_STORAGE_KEY = 'rps-locale';
+
+export const LOCALES = {
+    en: { id: 'en', name: 'English', catalog: EN_CATALOG },
+    es: { id: 'es', name: 'Español', catalog: ES_CATALOG },
+    ja: { id: 'ja', name: '日本語', catalog: JA_CATALOG }
+};
+
+export const DEFAULT_LOCALE_ID = 'en'; // Its catalog is the reference: every key exists there
+
+let activeLocale = LOCALES[DEFAULT_LOCALE_ID];
+let pluralRules = new Intl.PluralRules(activeLocale.id);
+const reportedMissing = new Set(); // Keys already warned about, so a missing key doesn't flood the console
+
+
+// --- Locale Selection ---
+
+// First supported locale for a list of language tags (e.g. navigator.languages),
+// matching 'es-MX' to 'es'. Returns null if none is supported.
+export function matchLocale(languages) {
+    for (const language of languages || []) {
+        if (!language) continue;
+        const tag = String(language).toLowerCase();
+        if (LOCALES[tag]) return tag;
+        const primary = tag.split(/[-_]/)[0];
+        if (LOCALES[primary]) return primary;
+    }
+    return null;
+}
+
+export function setLocale(localeId) {
+    activeLocale = LOCALES[localeId] || LOCALES[DEFAULT_LOCALE_ID];
+    pluralRules = new Intl.PluralRules(activeLocale.id);
+}
+
+export function getLocale() {
+    return activeLocale.id;
+}
+
+
+// --- Message Lookup ---
+
+// Picks the form of a plural message for count: exact '=N' first, then the plural category
+function selectForm(forms, count) {
+    if (count === undefined) return forms.other;
+    return forms[`=${count}`] ?? forms[pluralRules.select(count)] ?? forms.other;
+}
+
+// Replaces each {name} with params.name (placeholders without a value are left as they are)
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// The message for key in the active locale, with params filled in.
+// Falls back to English, then to fallback (e.g. a rule set's own English verb), then to the key.
+export function t(key, params = {}, fallback) {
+    let message = activeLocale.catalog[key] ?? LOCALES[DEFAULT_LOCALE_ID].catalog[key];
+    if (message === undefined) {
+        if (fallback !== undefined) return interpolate(fallback, params);
+        if (!reportedMissing.has(key)) {
+            reportedMissing.add(key);
+            console.warn(`Missing message "${key}".`);
+        }
+        return key;
+    }
+    if (typeof message === 'object') {
+        message = selectForm(message, params.count);
+    }
+    return interpolate(message, params);
+}
+
+// True if the active (or English) catalog has a message for key
+export function hasMessage(key) {
+    return key in activeLocale.catalog || key in LOCALES[DEFAULT_LOCALE_ID].catalog;
+}
+
+// "Rock, Paper, or Scissors" ('disjunction') or "A and B" ('conjunction') in the active locale
+export function formatList(items, type = 'conjunction') {
+    if (typeof Intl.ListFormat === 'function') {
+        return new Intl.ListFormat(activeLocale.id, { style: 'long', type: type }).format(items);
+    }
+    return items.join(', ');
+}
+
+
+// --- Catalog Checks ---
+
+// Placeholder names used anywhere in a message (all plural forms together)
+function placeholdersOf(message) {
+    const texts = typeof message === 'object' ? Object.values(message) : [message];
+    const names = new Set();
+    for (const text of texts) {
+        for (const match of text.matchAll(/\{(\w+)\}/g)) {
+            names.add(match[1]);
+        }
+    }
+    return [...names].sort().join(', ');
+}
+
+// Compares every catalog with the English one. Returns a list of problems (empty when all is well):
+// missing or extra keys, different placeholders, and plural messages without an 'other' form.
+// script.js logs these at startup, so a catalog that falls behind shows up in the console.
+export function findCatalogProblems() {
+    const problems = [];
+    const reference = LOCALES[DEFAULT_LOCALE_ID].catalog;
+    for (const locale of Object.values(LOCALES)) {
+        const catalog = locale.catalog;
+        for (const key of Object.keys(reference)) {
+            if (!(key in catalog)) {
+                problems.push(`${locale.id}: missing "${key}"`);
+            } else if (placeholdersOf(catalog[key]) !== placeholdersOf(reference[key])) {
+                problems.push(`${locale.id}: "${key}" uses {${placeholdersOf(catalog[key])}}, expected {${placeholdersOf(reference[key])}}`);
+            }
+        }
+        for (const key of Object.keys(catalog)) {
+            if (!(key in reference)) {
+                problems.push(`${locale.id}: unknown key "${key}"`);
+            }
+            if (typeof catalog[key] === 'object' && !('other' in catalog[key])) {
+                problems.push(`${locale.id}: "${key}" has no 'other' form`);
+            }
+        }
+    }
+    return problems;
+}
+
+
+// --- localStorage Access ---
+
+// The locale picked in the game earlier, or null
+export function loadLocale() {
+    try {
+        const localeId = localStorage.getItem(LOCALE_STORAGE_KEY);
+        return LOCALES[localeId] ? localeId : null;
+    } catch (error) {
+        console.error("Error loading locale:", error);
+        return null;
+    }
+}
+
+export function saveLocale(localeId) {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, localeId);
+    } catch (error) {
+        console.error("Error saving locale:", error);
+    }
+}
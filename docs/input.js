@@ -0,0 +1,141 @@
+/**
+ * input.js for Gesture Rock Paper Scissors Game
+ * Input providers: where each human side's gesture comes from.
+ * The webcam detector (set up in script.js) is one provider; the keyboard and the
+ * on-screen buttons here are the others, used when there's no camera or MediaPipe.
+ * Every provider reports frames in the shape engine.handleFrame() takes
+ * ({ a: { gesture, confidence } | null, ... }), so all of them go through the same
+ * lock -> countdown -> reveal pipeline.
+ */
+
+// --- Input Configuration ---
+const MANUAL_FRAME_MS = 33; // Manual inputs report their choice at about camera frame rate
+
+// Keyboard shortcuts for a rule set's gestures: the first letter of each gesture's name
+// that an earlier gesture hasn't taken (R/P/S for the classic rules), plus 1..N.
+// Returns { key: gesture }.
+export function gestureKeyBindings(gestures) {
+    const bindings = {};
+    gestures.forEach((gesture, i) => {
+        bindings[String(i + 1)] = gesture;
+        const letter = Array.from(gesture.toLowerCase()).find(char => /[a-z]/.test(char) && !bindings[char]);
+        if (letter) bindings[letter] = gesture;
+    });
+    return bindings;
+}
+
+// Letter shortcut of a gesture (falls back to its number)
+export function gestureKeyLabel(bindings, gesture) {
+    const keys = Object.keys(bindings).filter(key => bindings[key] === gesture);
+    return (keys.find(key => /[a-z]/.test(key)) || keys[0] || '').toUpperCase();
+}
+
+
+// Default button label: the gesture id, capitalized
+function capitalizeGesture(gesture) {
+    return `${gesture.charAt(0).toUpperCase()}${gesture.slice(1)}`;
+}
+
+
+// --- Manual Hand ---
+
+// What the keyboard and button providers drive: once a gesture is chosen it is
+// "held up" on every tick, the way the camera keeps seeing a hand, so the engine
+// locks it exactly like a detected gesture. clear() takes the hand down again.
+// All manual providers share one hand, so using both the keys and the buttons can't
+// make them report different things on alternate frames.
+export function createManualHand({ onFrame, sideId = 'a' }) {
+    let choice = null;
+    let timer = null;
+
+    function tick() {
+        onFrame({ [sideId]: choice ? { gesture: choice, confidence: 1 } : null });
+    }
+
+    return {
+        start() {
+            if (!timer) timer = setInterval(tick, MANUAL_FRAME_MS);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+            choice = null;
+        },
+        choose(gesture) {
+            choice = gesture;
+        },
+        clear() {
+            choice = null;
+        },
+        getChoice: () => choice
+    };
+}
+
+
+// --- Manual Providers ---
+// Providers are { id, name, start(), stop() }; start() returns a promise that
+// rejects when the input isn't available.
+
+// Keyboard provider. getGestures() returns the active rule set's gestures.
+// Keys typed into form fields are ignored.
+export function createKeyboardProvider({ hand, getGestures, target = document }) {
+    function handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+        if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+        const gesture = gestureKeyBindings(getGestures())[event.key.toLowerCase()];
+        if (gesture) {
+            event.preventDefault();
+            hand.choose(gesture);
+        }
+    }
+
+    return {
+        id: 'keyboard',
+        name: 'Keyboard',
+        start() {
+            target.addEventListener('keydown', handleKeyDown);
+            return Promise.resolve();
+        },
+        stop() {
+            target.removeEventListener('keydown', handleKeyDown);
+        }
+    };
+}
+
+// Click/tap provider: one button per gesture in container.
+// getIcon(gesture) returns the icon URL and getName(gesture) the label (e.g. translated);
+// call render() after the rule set or language changes.
+export function createButtonProvider({ hand, getGestures, getIcon, getName = capitalizeGesture, container }) {
+    function render() {
+        container.innerHTML = '';
+        const gestures = getGestures();
+        const bindings = gestureKeyBindings(gestures);
+        for (const gesture of gestures) {
+            const button = document.createElement('button');
+            button.className = 'manual-input-button';
+            button.dataset.gesture = gesture;
+            const icon = document.createElement('img');
+            icon.src = getIcon(gesture);
+            icon.alt = '';
+            const label = document.createElement('span');
+            label.textContent = `${getName(gesture)} (${gestureKeyLabel(bindings, gesture)})`;
+            button.append(icon, label);
+            button.addEventListener('click', () => hand.choose(gesture));
+            container.appendChild(button);
+        }
+    }
+
+    return {
+        id: 'buttons',
+        name: 'Buttons',
+        render: render,
+        start() {
+            render();
+            container.classList.remove('hidden');
+            return Promise.resolve();
+        },
+        stop() {
+            container.classList.add('hidden');
+        }
+    };
+}
@@ -0,0 +1,372 @@
+/**
+ * en.js for Gesture Rock Paper Scissors Game
+ * English messages: the reference catalog. Every key used by the game is here, and
+ * findCatalogProblems() (i18n.js) checks the other catalogs against it.
+ * Keys are grouped by where the text appears; see i18n.js for {placeholders} and plural forms.
+ */
+
+export const EN_CATALOG = {
+    // --- Page ---
+    'app.title': "Gesture Rock Paper Scissors",
+    'app.heading': "Rock, Paper, Scissors!",
+    'app.loading': "Loading models and camera...",
+    'app.cameraError': "Error starting camera. Please grant permission and refresh.",
+    'modelError.title': "The hand tracking model couldn't be loaded.",
+    'modelError.timeout': "No response after {seconds} seconds.",
+    'modelError.retry': "Try Again",
+    'modelError.keyboard': "Play with Keyboard",
+
+    // --- Game Options ---
+    'options.rules': "Rules:",
+    'options.mode': "Mode:",
+    'options.computer': "Computer:",
+    'options.match': "Match:",
+    'options.language': "Language:",
+    'options.train': "Train Gestures",
+    'options.tournament': "Tournament",
+    'options.spectator': "Spectator View",
+    'options.mute': "Mute sounds",
+    'options.useKeyboard': "Use Keyboard",
+    'options.useCamera': "Use Camera",
+    'options.recordLandmarks': "Record Landmarks",
+    'options.stopRecording': "Stop Recording",
+    'input.noCamera': "⌨️ No camera: pick your move with the keys or buttons",
+    'input.manual': "⌨️ Pick your move with the keys or buttons",
+    'input.replay': "▶️ Replaying recorded hands",
+    'input.camera': "🎥 Camera",
+
+    // --- Rule Sets and Gestures ---
+    'ruleSets.classic': "Rock, Paper, Scissors",
+    'ruleSets.rpsls': "Rock, Paper, Scissors, Lizard, Spock",
+    'ruleSets.rpssw': "Rock, Paper, Scissors, Sponge, Water",
+    'gestures.rock': "Rock",
+    'gestures.paper': "Paper",
+    'gestures.scissors': "Scissors",
+    'gestures.lizard': "Lizard",
+    'gestures.spock': "Spock",
+    'gestures.sponge': "Sponge",
+    'gestures.water': "Water",
+    'hints.lizard': "touch your thumb to your fingertips (sock puppet)",
+    'hints.spock': "open hand split between middle and ring fingers",
+    'hints.sponge': "three fingers up (index, middle, ring)",
+    'hints.water': "point with your index finger",
+    // What happens when one gesture beats another: beats.<winner>.<loser>
+    'beats.rock.scissors': "{winner} crushes {loser}",
+    'beats.rock.lizard': "{winner} crushes {loser}",
+    'beats.rock.sponge': "{winner} crushes {loser}",
+    'beats.paper.rock': "{winner} covers {loser}",
+    'beats.paper.spock': "{winner} disproves {loser}",
+    'beats.paper.water': "{winner} floats on {loser}",
+    'beats.scissors.paper': "{winner} cuts {loser}",
+    'beats.scissors.lizard': "{winner} decapitates {loser}",
+    'beats.scissors.sponge': "{winner} cut up {loser}",
+    'beats.lizard.paper': "{winner} eats {loser}",
+    'beats.lizard.spock': "{winner} poisons {loser}",
+    'beats.spock.rock': "{winner} vaporizes {loser}",
+    'beats.spock.scissors': "{winner} smashes {loser}",
+    'beats.sponge.paper': "{winner} soaks {loser}",
+    'beats.sponge.water': "{winner} absorbs {loser}",
+    'beats.water.rock': "{winner} erodes {loser}",
+    'beats.water.scissors': "{winner} rusts {loser}",
+    'instructions.initial': "Show your hand (✊ 🤚 ✌️) to the camera!",
+    'instructions.camera': "Show your hand ({gestures}) to the camera!",
+    'instructions.manual': "Press a key or tap a button to pick {gestures}!",
+    'instructions.hint': "{gesture}: {hint}.",
+
+    // --- Players and Modes ---
+    'modes.solo': "vs Computer",
+    'modes.local': "Two Players",
+    'modes.online': "Online",
+    'sides.you': "You",
+    'sides.computer': "Computer",
+    'sides.leftPlayer': "Left Player",
+    'sides.rightPlayer': "Right Player",
+    'sides.opponent': "Opponent",
+    'sides.gestureAlt': "{name} Gesture",
+    'sides.choiceAlt': "{name}: {gesture}",
+    'strategies.random': "Easy (Random)",
+    'strategies.frequency': "Medium (Frequency)",
+    'strategies.markov': "Hard (Markov, last 2 moves)",
+    'strategies.wsls': "Expert (Win-Stay / Lose-Shift)",
+
+    // --- Scoreboard and Matches ---
+    'score.title': "Score",
+    'matchFormats.free': "Free Play",
+    'matchFormats.bo3': "Best of 3",
+    'matchFormats.bo5': "Best of 5",
+    'matchFormats.bo7': "Best of 7",
+    'matchFormats.ft3': "First to 3",
+    'matchFormats.ft5': "First to 5",
+    'matchFormats.ft10': "First to 10",
+    'match.round': "Round {round}",
+    'match.status': "{format} · Round {round} · {nameA} {scoreA} – {scoreB} {nameB}",
+    'match.youWon': "🏆 You won the match {score}!",
+    'match.computerWon': "💻 The computer won the match {score}.",
+    'match.sideWon': "🏆 {name} won the match {score}!",
+    'match.history': "Match History",
+    'match.historyItem': {
+        one: "{name} won {score} ({format}, {count} round)",
+        other: "{name} won {score} ({format}, {count} rounds)"
+    },
+    'match.playAgain': "Play Again",
+    'match.newMatch': "New Match",
+
+    // --- Round Progress ---
+    'side.detecting': "Detecting...",
+    'side.waiting': "Waiting...",
+    'side.pickMove': "Pick a Move",
+    'side.showHand': "Show Hand",
+    'side.showGestures': "Show {gestures}",
+    'side.detected': "{gesture} Detected! Hold...",
+    'side.holding': "Hold {gesture}... ({percent}%)",
+    'side.locked': "{gesture} Locked!",
+    'side.lockedWaiting': "{gesture} Locked! Waiting for other player...",
+    'side.getReady': "{gesture} Locked! Get Ready...",
+    'side.choosing': "Choosing...",
+    'side.waitingOpponent': "Waiting for opponent...",
+    'side.connectFirst': "Connect to an opponent first",
+    'announce.detected': "{gesture} detected, hold it.",
+    'announce.locked': "{gesture} locked.",
+    'announce.unrecognized': "Gesture not recognized.",
+    'announce.handLost': "Hand lost.",
+    'announce.side': "{name}: {message}",
+    // Shown (and spoken) for each second left; the count is the number of seconds
+    'countdown.tick': { other: "{count}" },
+    'countdown.shoot': "Shoot!",
+    'detection.found': "Hand detected",
+    'detection.none': "No hand detected",
+    'webcam.label': "Camera view",
+
+    // --- Results ---
+    'result.showHand': "Show your hand to start!",
+    'result.revealing': "Revealing...",
+    'result.roundCancelled': "Round cancelled: {reason}",
+    'result.roundVoid': "Round void: {reasons}. Play it again!",
+    'result.decided': "{clause}. {outcome}",
+    'result.youWin': "You Win!",
+    'result.youLose': "You Lose!",
+    'result.sideWins': "{name} Wins!",
+    'result.draw': "It's a Draw!",
+    'result.bothChose': "It's a Draw! Both chose {gesture}.",
+    'result.forfeit': "Forfeit: {reasons}. {outcome}",
+    'result.warnings': "{reasons}.",
+    'result.gameOver': "Game Over",
+    'result.noThrow': "No clear throw at \"Shoot!\". Show your hand to try again!",
+    'result.handLost': "Hand lost at \"Shoot!\". Show your hand to try again!",
+    'flags.side': "{name} {flags}",
+    'flags.late': "threw late",
+    'flags.changed': "changed gesture during the countdown",
+
+    // --- Stats Panel ---
+    'stats.title': "Stats & History",
+    'stats.rounds': "Rounds",
+    'stats.winRate': "Win rate",
+    'stats.wld': "W / L / D",
+    'stats.longestStreak': "Longest streak",
+    'stats.currentStreak': "Current streak",
+    'stats.gestures': "Your Gestures",
+    'stats.overTime': "Results Over Time",
+    'stats.empty': "No rounds played yet.",
+    'stats.day': "{win}W {lose}L {draw}D",
+    'stats.exportJson': "Export JSON",
+    'stats.exportCsv': "Export CSV",
+    'stats.import': "Import",
+    'stats.clear': "Clear History",
+    'stats.confirmClear': "Delete all saved rounds and reset the score?",
+    'files.importFailed': "Could not import {file}: {reason}",
+
+    // --- Training Screen ---
+    'training.title': "Train Your Gestures",
+    'training.help': "Show a gesture to the camera and press Record. Move your hand a little while recording so it learns different angles.",
+    'training.recording': "Recording... {done}/{total}",
+    'training.samples': { one: "{count} sample", other: "{count} samples" },
+    'training.record': "Record",
+    'training.builtIn': "Using built-in detection. Record each gesture to train your own.",
+    'training.partial': "Using your model; built-in detection for: {gestures}.",
+    'training.complete': "Using your trained model for all gestures.",
+    'training.noSamples': "No usable samples in file.",
+    'training.export': "Export Model",
+    'training.import': "Import Model",
+    'training.reset': "Reset",
+    'training.done': "Done",
+    'training.confirmReset': "Delete your trained gestures and go back to built-in detection?",
+
+    // --- Online Play ---
+    'online.title': "Play Online",
+    'online.help': "Host: press Host Game and send the code. Guest: paste it and press Join Game, then send your reply code back. Host: paste the reply and press Connect.",
+    'online.code': "Connection code",
+    'online.host': "Host Game",
+    'online.join': "Join Game",
+    'online.accept': "Connect",
+    'online.tab': "Connect to Other Tab",
+    'online.disconnect': "Disconnect",
+    'netplay.status.versionMismatch': "The opponent runs a different version of the game.",
+    'netplay.status.connected': "Connected!",
+    'netplay.status.disconnected': "Disconnected.",
+    'netplay.status.failed': "Connection failed. Are both players on the same network?",
+    'netplay.status.offerReady': "Send this code to your opponent, then paste their reply.",
+    'netplay.status.answerReady': "Send this reply code back to the host.",
+    'netplay.status.connecting': "Connecting...",
+    'netplay.status.waitingForTab': "Waiting for another tab to connect...",
+    'netplay.status.notConnected': "Not connected.",
+    'netplay.status.connectFailed': "Could not connect: {reason}",
+    'netplay.errors.badCode': "That doesn't look like a connection code.",
+    'netplay.errors.opponentCancelled': "The opponent cancelled the round.",
+    'netplay.errors.connectionLost': "Connection lost.",
+    'netplay.errors.opponentTimeout': "The opponent took too long.",
+    'netplay.errors.hostFirst': "Host a game first.",
+    'netplay.errors.notConnected': "Not connected to an opponent.",
+    'netplay.errors.badReveal': "The opponent's move didn't match their commitment. Round void.",
+
+    // --- Tournament ---
+    'tournament.title': "Tournament",
+    'tournament.help': "Add players and bots, then start. Players take turns at the camera; bots play each other on their own. Matches use the rules and match format picked above.",
+    'tournament.name': "Tournament name",
+    'tournament.playerName': "Player name",
+    'tournament.addPlayer': "Add Player",
+    'tournament.addBot': "Add Bot",
+    'tournament.start': "Start Tournament",
+    'tournament.close': "Close",
+    'tournament.playNext': "Play Next Match",
+    'tournament.exportStandings': "Export Standings CSV",
+    'tournament.exportJson': "Export JSON",
+    'tournament.end': "End Tournament",
+    'tournament.defaultName': "Tournament",
+    'tournament.duplicatePlayer': "There's already a player called {name}.",
+    'tournament.botOption': "{name} – {strategy}",
+    'tournament.botEntry': "🤖 {name} ({strategy})",
+    'tournament.remove': "Remove {name}",
+    'tournament.champion': "🏆 {name} wins the tournament!",
+    'tournament.sharedFirst': "The tournament is over: first place is shared!",
+    'tournament.nowPlayingLocal': "Now playing: {nameA} (left) vs {nameB} (right).",
+    'tournament.nowPlaying': "Now playing: {nameA} vs {nameB}.",
+    'tournament.next': "Next: {nameA} vs {nameB}.",
+    'tournament.nextBots': "Next: {nameA} vs {nameB} (bots, played instantly).",
+    'tournament.botResult': "{winner} beat {loser} {score}.",
+    'tournament.needsCamera': "Matches between two players need the camera.",
+    'tournament.bye': "bye",
+    'tournament.tbd': "TBD",
+    'tournament.rank': "#",
+    'tournament.player': "Player",
+    'tournament.wins': "W",
+    'tournament.losses': "L",
+    'tournament.rounds': "Rounds",
+    'tournament.confirmClose': "Close this tournament?",
+    'tournament.confirmEnd': "End the tournament? Its results will be lost.",
+    'tournament.round.final': "Final",
+    'tournament.round.semifinals': "Semifinals",
+    'tournament.round.quarterfinals': "Quarterfinals",
+    'tournament.round.other': "Round {round}",
+    'tournamentFormats.single': "Single Elimination",
+    'tournamentFormats.roundRobin': "Round Robin",
+    'bots.random': "Throws whatever comes to mind",
+    'bots.frequency': "Counters your favourite gesture",
+    'bots.markov': "Reads patterns in your last moves",
+    'bots.wsls': "Knows how winners and losers react",
+
+    // --- Replay Clips ---
+    'clips.title': "Replay Clips",
+    'clips.help': "From the moment this panel is first opened, a short clip of every reveal is kept here while the game is open. Download the ones you want to keep.",
+    'clips.status': { one: "{count} clip · {size} of {max} MB", other: "{count} clips · {size} of {max} MB" },
+    'clips.empty': "No clips yet. Play a round with the camera on.",
+    'clips.off': "Clip recording is off (see Settings).",
+    'clips.unsupported': "This browser can't record clips.",
+    'clips.caption': "{time} · {title}",
+    'clips.videoLabel': "Replay: {title}",
+    'clips.download': "Download",
+    'clips.delete': "Delete",
+    'clips.clear': "Delete All Clips",
+    'clips.confirmClear': "Delete all replay clips?",
+
+    // --- Spectator View ---
+    'spectator.title': "Rock, Paper, Scissors – Spectator View",
+    'spectator.waiting': "Waiting for the game... Open it in another window of this browser.",
+
+    // --- Performance Metrics ---
+    'metrics.camera': "Camera {fps} fps",
+    'metrics.tracking': "Tracking {fps} fps (cap {cap}, {where})",
+    'metrics.latency': "Latency {ms} ms (p95 {p95})",
+    'metrics.timerLag': "Timer lag {ms} ms",
+    'metrics.backend.worker': "worker",
+    'metrics.backend.page': "page",
+    'metrics.backend.off': "off",
+
+    // --- Explain Overlay ---
+    'explain.seen': "{gesture} {percent}%",
+    'explain.noGesture': "No gesture",
+    'explain.poseAs': "{pose} ({gesture})",
+    'explain.title': "{name}: {seen}",
+    'explain.titleTrained': "{name}: {seen} (trained)",
+    'explain.locked': "LOCKED",
+    'explain.summary': "{name}: {seen}, thumb-index {distance}",
+    'explain.status': "Explain mode (press ` to hide). {hands}",
+    'explain.noHand': "No hand detected.",
+    'poses.rock': "Rock",
+    'poses.paper': "Paper",
+    'poses.scissors': "Scissors",
+    'poses.lizard': "Lizard",
+    'poses.spock': "Spock",
+    'poses.point': "Point",
+    'poses.three': "Three",
+
+    // --- Settings Panel ---
+    'settings.title': "Settings",
+    'settings.help': "Changes apply right away and are saved in this browser. Share a link to use the same settings on another device.",
+    'settings.share': "Copy Share Link",
+    'settings.reset': "Reset to Defaults",
+    'settings.fromLink': { one: "{count} setting loaded from the link.", other: "{count} settings loaded from the link." },
+    'settings.copied': "Link copied to the clipboard.",
+    'settings.copyPrompt': "Copy this link to share your settings:",
+    'settings.confirmReset': "Reset all settings to their defaults?",
+    'settingGroups.detection': "Hand Detection",
+    'settingGroups.classifier': "Gesture Classifier",
+    'settingGroups.timing': "Timing",
+    'settingGroups.fairPlay': "Fair Play",
+    'settingGroups.appearance': "Look",
+    'settingGroups.audio': "Audio",
+    'settingGroups.clips': "Replay Clips",
+    'settingLabels.modelComplexity': "Model",
+    'settingChoices.modelComplexity.0': "Lite (faster)",
+    'settingChoices.modelComplexity.1': "Full (more accurate)",
+    'settingLabels.minDetectionConfidence': "Detection confidence",
+    'settingLabels.minTrackingConfidence': "Tracking confidence",
+    'settingLabels.trackInWorker': "Track hands in a background worker (after reload)",
+    'settingLabels.maxTrackingFps': "Frame cap (fps)",
+    'settingLabels.showMetrics': "Show performance metrics",
+    'settingLabels.minConfidence': "Minimum gesture score",
+    'settingLabels.bendStraight': "Finger straight (bend)",
+    'settingLabels.bendCurled': "Finger curled (bend)",
+    'settingLabels.reachCurled': "Finger curled (reach)",
+    'settingLabels.reachStraight': "Finger straight (reach)",
+    'settingLabels.thumbTucked': "Thumb tucked",
+    'settingLabels.thumbOut': "Thumb out",
+    'settingLabels.pinchClosed': "Pinch closed",
+    'settingLabels.pinchOpen': "Pinch open",
+    'settingLabels.spockSplitMin': "Spock split starts",
+    'settingLabels.spockSplitMax': "Spock split clear",
+    'settingLabels.lockMs': "Hold to lock (ms)",
+    'settingLabels.voteWindowMs': "Smoothing window (ms)",
+    'settingLabels.dropoutMs': "Hand dropout allowed (ms)",
+    'settingLabels.countdownSeconds': "Countdown (seconds)",
+    'settingLabels.shootGraceMs': "Late throw grace (ms)",
+    'settingLabels.lateThrow': "Late throw",
+    'settingChoices.lateThrow.ignore': "Ignore",
+    'settingChoices.lateThrow.warn': "Warn",
+    'settingChoices.lateThrow.replay': "Replay the round",
+    'settingChoices.lateThrow.forfeit': "Forfeit",
+    'settingLabels.changedThrow': "Changed throw",
+    'settingChoices.changedThrow.ignore': "Ignore",
+    'settingChoices.changedThrow.warn': "Warn",
+    'settingChoices.changedThrow.replay': "Replay the round",
+    'settingChoices.changedThrow.forfeit': "Forfeit",
+    'settingLabels.assetPack': "Theme",
+    'settingChoices.assetPack.classic': "Classic",
+    'settingChoices.assetPack.arcade': "Arcade",
+    'settingLabels.soundEnabled': "Sound effects",
+    'settingLabels.soundVolume': "Volume",
+    'settingLabels.effectsVolume': "Result sounds",
+    'settingLabels.countdownVolume': "Countdown sounds",
+    'settingLabels.speakCountdown': "Spoken countdown",
+    'settingLabels.recordClips': "Save a clip of every reveal",
+    'settingLabels.clipSeconds': "Clip length (seconds)"
+};
@@ -0,0 +1,368 @@
+/**
+ * es.js for Gesture Rock Paper Scissors Game
+ * Spanish messages. Same keys as en.js (the reference catalog).
+ */
+
+export const ES_CATALOG = {
+    // --- Page ---
+    'app.title': "Piedra, papel o tijera con gestos",
+    'app.heading': "¡Piedra, papel o tijera!",
+    'app.loading': "Cargando modelos y cámara...",
+    'app.cameraError': "No se pudo iniciar la cámara. Concede el permiso y recarga la página.",
+    'modelError.title': "No se pudo cargar el modelo de seguimiento de manos.",
+    'modelError.timeout': "Sin respuesta tras {seconds} segundos.",
+    'modelError.retry': "Reintentar",
+    'modelError.keyboard': "Jugar con el teclado",
+
+    // --- Game Options ---
+    'options.rules': "Reglas:",
+    'options.mode': "Modo:",
+    'options.computer': "Ordenador:",
+    'options.match': "Partida:",
+    'options.language': "Idioma:",
+    'options.train': "Entrenar gestos",
+    'options.tournament': "Torneo",
+    'options.spectator': "Vista de espectador",
+    'options.mute': "Silenciar sonidos",
+    'options.useKeyboard': "Usar teclado",
+    'options.useCamera': "Usar cámara",
+    'options.recordLandmarks': "Grabar puntos",
+    'options.stopRecording': "Detener grabación",
+    'input.noCamera': "⌨️ Sin cámara: elige tu jugada con las teclas o los botones",
+    'input.manual': "⌨️ Elige tu jugada con las teclas o los botones",
+    'input.replay': "▶️ Reproduciendo manos grabadas",
+    'input.camera': "🎥 Cámara",
+
+    // --- Rule Sets and Gestures ---
+    'ruleSets.classic': "Piedra, papel o tijera",
+    'ruleSets.rpsls': "Piedra, papel, tijera, lagarto o Spock",
+    'ruleSets.rpssw': "Piedra, papel, tijera, esponja o agua",
+    'gestures.rock': "Piedra",
+    'gestures.paper': "Papel",
+    'gestures.scissors': "Tijera",
+    'gestures.lizard': "Lagarto",
+    'gestures.spock': "Spock",
+    'gestures.sponge': "Esponja",
+    'gestures.water': "Agua",
+    'hints.lizard': "junta el pulgar con las yemas de los dedos (como un títere)",
+    'hints.spock': "mano abierta separada entre el dedo corazón y el anular",
+    'hints.sponge': "tres dedos arriba (índice, corazón y anular)",
+    'hints.water': "señala con el dedo índice",
+    'beats.rock.scissors': "{winner} aplasta a {loser}",
+    'beats.rock.lizard': "{winner} aplasta a {loser}",
+    'beats.rock.sponge': "{winner} aplasta a {loser}",
+    'beats.paper.rock': "{winner} envuelve a {loser}",
+    'beats.paper.spock': "{winner} refuta a {loser}",
+    'beats.paper.water': "{winner} flota sobre {loser}",
+    'beats.scissors.paper': "{winner} corta a {loser}",
+    'beats.scissors.lizard': "{winner} decapita a {loser}",
+    'beats.scissors.sponge': "{winner} trocea a {loser}",
+    'beats.lizard.paper': "{winner} se come a {loser}",
+    'beats.lizard.spock': "{winner} envenena a {loser}",
+    'beats.spock.rock': "{winner} vaporiza a {loser}",
+    'beats.spock.scissors': "{winner} rompe a {loser}",
+    'beats.sponge.paper': "{winner} empapa a {loser}",
+    'beats.sponge.water': "{winner} absorbe a {loser}",
+    'beats.water.rock': "{winner} erosiona a {loser}",
+    'beats.water.scissors': "{winner} oxida a {loser}",
+    'instructions.initial': "¡Muestra tu mano (✊ 🤚 ✌️) a la cámara!",
+    'instructions.camera': "¡Muestra tu mano ({gestures}) a la cámara!",
+    'instructions.manual': "¡Pulsa una tecla o toca un botón para elegir {gestures}!",
+    'instructions.hint': "{gesture}: {hint}.",
+
+    // --- Players and Modes ---
+    'modes.solo': "Contra el ordenador",
+    'modes.local': "Dos jugadores",
+    'modes.online': "En línea",
+    'sides.you': "Tú",
+    'sides.computer': "Ordenador",
+    'sides.leftPlayer': "Jugador izquierdo",
+    'sides.rightPlayer': "Jugador derecho",
+    'sides.opponent': "Rival",
+    'sides.gestureAlt': "Gesto de {name}",
+    'sides.choiceAlt': "{name}: {gesture}",
+    'strategies.random': "Fácil (aleatorio)",
+    'strategies.frequency': "Medio (frecuencia)",
+    'strategies.markov': "Difícil (Markov, últimas 2 jugadas)",
+    'strategies.wsls': "Experto (gana-repite / pierde-cambia)",
+
+    // --- Scoreboard and Matches ---
+    'score.title': "Marcador",
+    'matchFormats.free': "Juego libre",
+    'matchFormats.bo3': "Al mejor de 3",
+    'matchFormats.bo5': "Al mejor de 5",
+    'matchFormats.bo7': "Al mejor de 7",
+    'matchFormats.ft3': "El primero en llegar a 3",
+    'matchFormats.ft5': "El primero en llegar a 5",
+    'matchFormats.ft10': "El primero en llegar a 10",
+    'match.round': "Ronda {round}",
+    'match.status': "{format} · Ronda {round} · {nameA} {scoreA} – {scoreB} {nameB}",
+    'match.youWon': "🏆 ¡Has ganado la partida {score}!",
+    'match.computerWon': "💻 El ordenador ha ganado la partida {score}.",
+    'match.sideWon': "🏆 ¡{name} ha ganado la partida {score}!",
+    'match.history': "Historial de partidas",
+    'match.historyItem': {
+        one: "{name} ganó {score} ({format}, {count} ronda)",
+        other: "{name} ganó {score} ({format}, {count} rondas)"
+    },
+    'match.playAgain': "Jugar otra vez",
+    'match.newMatch': "Nueva partida",
+
+    // --- Round Progress ---
+    'side.detecting': "Detectando...",
+    'side.waiting': "Esperando...",
+    'side.pickMove': "Elige una jugada",
+    'side.showHand': "Muestra la mano",
+    'side.showGestures': "Muestra {gestures}",
+    'side.detected': "¡{gesture} detectado! Mantén...",
+    'side.holding': "Mantén {gesture}... ({percent}%)",
+    'side.locked': "¡{gesture} fijado!",
+    'side.lockedWaiting': "¡{gesture} fijado! Esperando al otro jugador...",
+    'side.getReady': "¡{gesture} fijado! Prepárate...",
+    'side.choosing': "Eligiendo...",
+    'side.waitingOpponent': "Esperando al rival...",
+    'side.connectFirst': "Conéctate antes con un rival",
+    'announce.detected': "{gesture} detectado, mantenlo.",
+    'announce.locked': "{gesture} fijado.",
+    'announce.unrecognized': "Gesto no reconocido.",
+    'announce.handLost': "Mano perdida.",
+    'announce.side': "{name}: {message}",
+    'countdown.tick': { other: "{count}" },
+    'countdown.shoot': "¡Ya!",
+    'detection.found': "Mano detectada",
+    'detection.none': "No se detecta ninguna mano",
+    'webcam.label': "Imagen de la cámara",
+
+    // --- Results ---
+    'result.showHand': "¡Muestra tu mano para empezar!",
+    'result.revealing': "Revelando...",
+    'result.roundCancelled': "Ronda cancelada: {reason}",
+    'result.roundVoid': "Ronda nula: {reasons}. ¡Repetidla!",
+    'result.decided': "{clause}. {outcome}",
+    'result.youWin': "¡Ganas!",
+    'result.youLose': "¡Pierdes!",
+    'result.sideWins': "¡Gana {name}!",
+    'result.draw': "¡Empate!",
+    'result.bothChose': "¡Empate! Los dos habéis elegido {gesture}.",
+    'result.forfeit': "Ronda perdida por sanción: {reasons}. {outcome}",
+    'result.warnings': "{reasons}.",
+    'result.gameOver': "Fin del juego",
+    'result.noThrow': "No hubo una jugada clara al decir «¡Ya!». ¡Muestra tu mano para intentarlo de nuevo!",
+    'result.handLost': "Se perdió la mano al decir «¡Ya!». ¡Muestra tu mano para intentarlo de nuevo!",
+    'flags.side': "{name}: {flags}",
+    'flags.late': "jugó tarde",
+    'flags.changed': "cambió de gesto durante la cuenta atrás",
+
+    // --- Stats Panel ---
+    'stats.title': "Estadísticas e historial",
+    'stats.rounds': "Rondas",
+    'stats.winRate': "Victorias",
+    'stats.wld': "G / P / E",
+    'stats.longestStreak': "Mejor racha",
+    'stats.currentStreak': "Racha actual",
+    'stats.gestures': "Tus gestos",
+    'stats.overTime': "Resultados por día",
+    'stats.empty': "Aún no se ha jugado ninguna ronda.",
+    'stats.day': "{win}G {lose}P {draw}E",
+    'stats.exportJson': "Exportar JSON",
+    'stats.exportCsv': "Exportar CSV",
+    'stats.import': "Importar",
+    'stats.clear': "Borrar historial",
+    'stats.confirmClear': "¿Borrar todas las rondas guardadas y reiniciar el marcador?",
+    'files.importFailed': "No se pudo importar {file}: {reason}",
+
+    // --- Training Screen ---
+    'training.title': "Entrena tus gestos",
+    'training.help': "Muestra un gesto a la cámara y pulsa Grabar. Mueve un poco la mano mientras graba para que aprenda distintos ángulos.",
+    'training.recording': "Grabando... {done}/{total}",
+    'training.samples': { one: "{count} muestra", other: "{count} muestras" },
+    'training.record': "Grabar",
+    'training.builtIn': "Se usa la detección integrada. Graba cada gesto para entrenar la tuya.",
+    'training.partial': "Se usa tu modelo; detección integrada para: {gestures}.",
+    'training.complete': "Se usa tu modelo entrenado para todos los gestos.",
+    'training.noSamples': "El archivo no tiene muestras utilizables.",
+    'training.export': "Exportar modelo",
+    'training.import': "Importar modelo",
+    'training.reset': "Restablecer",
+    'training.done': "Hecho",
+    'training.confirmReset': "¿Borrar tus gestos entrenados y volver a la detección integrada?",
+
+    // --- Online Play ---
+    'online.title': "Jugar en línea",
+    'online.help': "Anfitrión: pulsa Crear partida y envía el código. Invitado: pégalo, pulsa Unirse y envía de vuelta tu código de respuesta. Anfitrión: pega la respuesta y pulsa Conectar.",
+    'online.code': "Código de conexión",
+    'online.host': "Crear partida",
+    'online.join': "Unirse",
+    'online.accept': "Conectar",
+    'online.tab': "Conectar con otra pestaña",
+    'online.disconnect': "Desconectar",
+    'netplay.status.versionMismatch': "El rival usa otra versión del juego.",
+    'netplay.status.connected': "¡Conectado!",
+    'netplay.status.disconnected': "Desconectado.",
+    'netplay.status.failed': "Falló la conexión. ¿Estáis los dos en la misma red?",
+    'netplay.status.offerReady': "Envía este código a tu rival y pega su respuesta.",
+    'netplay.status.answerReady': "Envía este código de respuesta al anfitrión.",
+    'netplay.status.connecting': "Conectando...",
+    'netplay.status.waitingForTab': "Esperando a que se conecte otra pestaña...",
+    'netplay.status.notConnected': "Sin conexión.",
+    'netplay.status.connectFailed': "No se pudo conectar: {reason}",
+    'netplay.errors.badCode': "Eso no parece un código de conexión.",
+    'netplay.errors.opponentCancelled': "El rival canceló la ronda.",
+    'netplay.errors.connectionLost': "Se perdió la conexión.",
+    'netplay.errors.opponentTimeout': "El rival tardó demasiado.",
+    'netplay.errors.hostFirst': "Primero crea una partida.",
+    'netplay.errors.notConnected': "No estás conectado con ningún rival.",
+    'netplay.errors.badReveal': "La jugada del rival no coincide con su compromiso. Ronda nula.",
+
+    // --- Tournament ---
+    'tournament.title': "Torneo",
+    'tournament.help': "Añade jugadores y bots y empieza. Los jugadores se turnan ante la cámara; los bots juegan entre ellos solos. Las partidas usan las reglas y el formato elegidos arriba.",
+    'tournament.name': "Nombre del torneo",
+    'tournament.playerName': "Nombre del jugador",
+    'tournament.addPlayer': "Añadir jugador",
+    'tournament.addBot': "Añadir bot",
+    'tournament.start': "Empezar torneo",
+    'tournament.close': "Cerrar",
+    'tournament.playNext': "Jugar siguiente partida",
+    'tournament.exportStandings': "Exportar clasificación CSV",
+    'tournament.exportJson': "Exportar JSON",
+    'tournament.end': "Terminar torneo",
+    'tournament.defaultName': "Torneo",
+    'tournament.duplicatePlayer': "Ya hay un jugador llamado {name}.",
+    'tournament.botOption': "{name} – {strategy}",
+    'tournament.botEntry': "🤖 {name} ({strategy})",
+    'tournament.remove': "Quitar a {name}",
+    'tournament.champion': "🏆 ¡{name} gana el torneo!",
+    'tournament.sharedFirst': "El torneo ha terminado: ¡el primer puesto es compartido!",
+    'tournament.nowPlayingLocal': "Jugando: {nameA} (izquierda) contra {nameB} (derecha).",
+    'tournament.nowPlaying': "Jugando: {nameA} contra {nameB}.",
+    'tournament.next': "Siguiente: {nameA} contra {nameB}.",
+    'tournament.nextBots': "Siguiente: {nameA} contra {nameB} (bots, se juega al instante).",
+    'tournament.botResult': "{winner} ganó a {loser} {score}.",
+    'tournament.needsCamera': "Las partidas entre dos jugadores necesitan la cámara.",
+    'tournament.bye': "exento",
+    'tournament.tbd': "Por decidir",
+    'tournament.rank': "#",
+    'tournament.player': "Jugador",
+    'tournament.wins': "G",
+    'tournament.losses': "P",
+    'tournament.rounds': "Rondas",
+    'tournament.confirmClose': "¿Cerrar este torneo?",
+    'tournament.confirmEnd': "¿Terminar el torneo? Se perderán sus resultados.",
+    'tournament.round.final': "Final",
+    'tournament.round.semifinals': "Semifinales",
+    'tournament.round.quarterfinals': "Cuartos de final",
+    'tournament.round.other': "Ronda {round}",
+    'tournamentFormats.single': "Eliminación directa",
+    'tournamentFormats.roundRobin': "Todos contra todos",
+    'bots.random': "Saca lo primero que se le ocurre",
+    'bots.frequency': "Contrarresta tu gesto favorito",
+    'bots.markov': "Lee patrones en tus últimas jugadas",
+    'bots.wsls': "Sabe cómo reaccionan ganadores y perdedores",
+
+    // --- Replay Clips ---
+    'clips.title': "Repeticiones",
+    'clips.help': "Desde que abres este panel por primera vez, aquí se guarda un clip corto de cada revelación mientras el juego está abierto. Descarga los que quieras conservar.",
+    'clips.status': { one: "{count} clip · {size} de {max} MB", other: "{count} clips · {size} de {max} MB" },
+    'clips.empty': "Todavía no hay clips. Juega una ronda con la cámara encendida.",
+    'clips.off': "La grabación de clips está desactivada (ver Ajustes).",
+    'clips.unsupported': "Este navegador no puede grabar clips.",
+    'clips.caption': "{time} · {title}",
+    'clips.videoLabel': "Repetición: {title}",
+    'clips.download': "Descargar",
+    'clips.delete': "Eliminar",
+    'clips.clear': "Eliminar todos los clips",
+    'clips.confirmClear': "¿Eliminar todas las repeticiones?",
+
+    // --- Spectator View ---
+    'spectator.title': "Piedra, papel o tijera – Vista de espectador",
+    'spectator.waiting': "Esperando a la partida... Ábrela en otra ventana de este navegador.",
+
+    // --- Performance Metrics ---
+    'metrics.camera': "Cámara {fps} fps",
+    'metrics.tracking': "Seguimiento {fps} fps (límite {cap}, {where})",
+    'metrics.latency': "Latencia {ms} ms (p95 {p95})",
+    'metrics.timerLag': "Retraso del temporizador {ms} ms",
+    'metrics.backend.worker': "worker",
+    'metrics.backend.page': "página",
+    'metrics.backend.off': "apagado",
+
+    // --- Explain Overlay ---
+    'explain.seen': "{gesture} {percent}%",
+    'explain.noGesture': "Sin gesto",
+    'explain.poseAs': "{pose} ({gesture})",
+    'explain.title': "{name}: {seen}",
+    'explain.titleTrained': "{name}: {seen} (entrenado)",
+    'explain.locked': "FIJADO",
+    'explain.summary': "{name}: {seen}, pulgar-índice {distance}",
+    'explain.status': "Modo explicación (pulsa ` para ocultarlo). {hands}",
+    'explain.noHand': "No se detecta ninguna mano.",
+    'poses.rock': "Piedra",
+    'poses.paper': "Papel",
+    'poses.scissors': "Tijera",
+    'poses.lizard': "Lagarto",
+    'poses.spock': "Spock",
+    'poses.point': "Señalar",
+    'poses.three': "Tres",
+
+    // --- Settings Panel ---
+    'settings.title': "Ajustes",
+    'settings.help': "Los cambios se aplican al momento y se guardan en este navegador. Comparte un enlace para usar los mismos ajustes en otro dispositivo.",
+    'settings.share': "Copiar enlace",
+    'settings.reset': "Restablecer valores",
+    'settings.fromLink': { one: "{count} ajuste cargado desde el enlace.", other: "{count} ajustes cargados desde el enlace." },
+    'settings.copied': "Enlace copiado al portapapeles.",
+    'settings.copyPrompt': "Copia este enlace para compartir tus ajustes:",
+    'settings.confirmReset': "¿Restablecer todos los ajustes a sus valores predeterminados?",
+    'settingGroups.detection': "Detección de manos",
+    'settingGroups.classifier': "Clasificador de gestos",
+    'settingGroups.timing': "Tiempos",
+    'settingGroups.fairPlay': "Juego limpio",
+    'settingGroups.appearance': "Aspecto",
+    'settingGroups.audio': "Sonido",
+    'settingGroups.clips': "Repeticiones",
+    'settingLabels.modelComplexity': "Modelo",
+    'settingChoices.modelComplexity.0': "Ligero (más rápido)",
+    'settingChoices.modelComplexity.1': "Completo (más preciso)",
+    'settingLabels.minDetectionConfidence': "Confianza de detección",
+    'settingLabels.minTrackingConfidence': "Confianza de seguimiento",
+    'settingLabels.trackInWorker': "Seguir las manos en segundo plano (tras recargar)",
+    'settingLabels.maxTrackingFps': "Límite de fotogramas (fps)",
+    'settingLabels.showMetrics': "Mostrar métricas de rendimiento",
+    'settingLabels.minConfidence': "Puntuación mínima del gesto",
+    'settingLabels.bendStraight': "Dedo estirado (flexión)",
+    'settingLabels.bendCurled': "Dedo doblado (flexión)",
+    'settingLabels.reachCurled': "Dedo doblado (alcance)",
+    'settingLabels.reachStraight': "Dedo estirado (alcance)",
+    'settingLabels.thumbTucked': "Pulgar recogido",
+    'settingLabels.thumbOut': "Pulgar fuera",
+    'settingLabels.pinchClosed': "Pinza cerrada",
+    'settingLabels.pinchOpen': "Pinza abierta",
+    'settingLabels.spockSplitMin': "Inicio de la separación Spock",
+    'settingLabels.spockSplitMax': "Separación Spock clara",
+    'settingLabels.lockMs': "Mantener para fijar (ms)",
+    'settingLabels.voteWindowMs': "Ventana de suavizado (ms)",
+    'settingLabels.dropoutMs': "Pérdida de mano tolerada (ms)",
+    'settingLabels.countdownSeconds': "Cuenta atrás (segundos)",
+    'settingLabels.shootGraceMs': "Margen para jugar tarde (ms)",
+    'settingLabels.lateThrow': "Jugada tardía",
+    'settingChoices.lateThrow.ignore': "Ignorar",
+    'settingChoices.lateThrow.warn': "Avisar",
+    'settingChoices.lateThrow.replay': "Repetir la ronda",
+    'settingChoices.lateThrow.forfeit': "Perder la ronda",
+    'settingLabels.changedThrow': "Jugada cambiada",
+    'settingChoices.changedThrow.ignore': "Ignorar",
+    'settingChoices.changedThrow.warn': "Avisar",
+    'settingChoices.changedThrow.replay': "Repetir la ronda",
+    'settingChoices.changedThrow.forfeit': "Perder la ronda",
+    'settingLabels.assetPack': "Tema",
+    'settingChoices.assetPack.classic': "Clásico",
+    'settingChoices.assetPack.arcade': "Arcade",
+    'settingLabels.soundEnabled': "Efectos de sonido",
+    'settingLabels.soundVolume': "Volumen",
+    'settingLabels.effectsVolume': "Sonidos del resultado",
+    'settingLabels.countdownVolume': "Sonidos de la cuenta atrás",
+    'settingLabels.speakCountdown': "Cuenta atrás hablada",
+    'settingLabels.recordClips': "Guardar un clip de cada revelación",
+    'settingLabels.clipSeconds': "Duración del clip (segundos)"
+};
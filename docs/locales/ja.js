@@ -0,0 +1,367 @@
+/**
+ * ja.js for Gesture Rock Paper Scissors Game
+ * Japanese messages. Same keys as en.js (the reference catalog).
+ * The countdown is called out the jan-ken-pon way: 最初はグー、じゃん、けん、ぽん！
+ */
+
+export const JA_CATALOG = {
+    // --- Page ---
+    'app.title': "ジェスチャーじゃんけん",
+    'app.heading': "じゃんけんぽん！",
+    'app.loading': "モデルとカメラを読み込み中...",
+    'app.cameraError': "カメラを起動できませんでした。カメラの使用を許可してから再読み込みしてください。",
+    'modelError.title': "手のトラッキングモデルを読み込めませんでした。",
+    'modelError.timeout': "{seconds} 秒たっても応答がありません。",
+    'modelError.retry': "再試行",
+    'modelError.keyboard': "キーボードで遊ぶ",
+
+    // --- Game Options ---
+    'options.rules': "ルール：",
+    'options.mode': "モード：",
+    'options.computer': "コンピューター：",
+    'options.match': "試合：",
+    'options.language': "言語：",
+    'options.train': "ジェスチャーを学習",
+    'options.tournament': "トーナメント",
+    'options.spectator': "観戦ビュー",
+    'options.mute': "音を消す",
+    'options.useKeyboard': "キーボードを使う",
+    'options.useCamera': "カメラを使う",
+    'options.recordLandmarks': "ランドマークを記録",
+    'options.stopRecording': "記録を停止",
+    'input.noCamera': "⌨️ カメラなし：キーかボタンで手を選んでください",
+    'input.manual': "⌨️ キーかボタンで手を選んでください",
+    'input.replay': "▶️ 記録した手を再生中",
+    'input.camera': "🎥 カメラ",
+
+    // --- Rule Sets and Gestures ---
+    'ruleSets.classic': "グー・チョキ・パー",
+    'ruleSets.rpsls': "グー・チョキ・パー・トカゲ・スポック",
+    'ruleSets.rpssw': "グー・チョキ・パー・スポンジ・水",
+    'gestures.rock': "グー",
+    'gestures.paper': "パー",
+    'gestures.scissors': "チョキ",
+    'gestures.lizard': "トカゲ",
+    'gestures.spock': "スポック",
+    'gestures.sponge': "スポンジ",
+    'gestures.water': "水",
+    'hints.lizard': "親指を指先につける（影絵のキツネのように）",
+    'hints.spock': "手を開き、中指と薬指の間を離す",
+    'hints.sponge': "指を3本立てる（人差し指・中指・薬指）",
+    'hints.water': "人差し指で指さす",
+    'beats.rock.scissors': "{winner}は{loser}を砕く",
+    'beats.rock.lizard': "{winner}は{loser}を押しつぶす",
+    'beats.rock.sponge': "{winner}は{loser}を押しつぶす",
+    'beats.paper.rock': "{winner}は{loser}を包む",
+    'beats.paper.spock': "{winner}は{loser}を論破する",
+    'beats.paper.water': "{winner}は{loser}に浮かぶ",
+    'beats.scissors.paper': "{winner}は{loser}を切る",
+    'beats.scissors.lizard': "{winner}は{loser}の首をはねる",
+    'beats.scissors.sponge': "{winner}は{loser}を切り刻む",
+    'beats.lizard.paper': "{winner}は{loser}を食べる",
+    'beats.lizard.spock': "{winner}は{loser}に毒を盛る",
+    'beats.spock.rock': "{winner}は{loser}を蒸発させる",
+    'beats.spock.scissors': "{winner}は{loser}を壊す",
+    'beats.sponge.paper': "{winner}は{loser}を濡らす",
+    'beats.sponge.water': "{winner}は{loser}を吸い込む",
+    'beats.water.rock': "{winner}は{loser}を削る",
+    'beats.water.scissors': "{winner}は{loser}を錆びさせる",
+    'instructions.initial': "手（✊ 🤚 ✌️）をカメラに見せてください！",
+    'instructions.camera': "手（{gestures}）をカメラに見せてください！",
+    'instructions.manual': "キーを押すかボタンをタップして、{gestures}を選んでください！",
+    'instructions.hint': "{gesture}：{hint}。",
+
+    // --- Players and Modes ---
+    'modes.solo': "コンピューターと対戦",
+    'modes.local': "2人で対戦",
+    'modes.online': "オンライン",
+    'sides.you': "あなた",
+    'sides.computer': "コンピューター",
+    'sides.leftPlayer': "左のプレイヤー",
+    'sides.rightPlayer': "右のプレイヤー",
+    'sides.opponent': "相手",
+    'sides.gestureAlt': "{name}の手",
+    'sides.choiceAlt': "{name}：{gesture}",
+    'strategies.random': "かんたん（ランダム）",
+    'strategies.frequency': "ふつう（頻度）",
+    'strategies.markov': "むずかしい（マルコフ、直近2手）",
+    'strategies.wsls': "達人（勝ったら同じ手・負けたら変える）",
+
+    // --- Scoreboard and Matches ---
+    'score.title': "スコア",
+    'matchFormats.free': "フリープレイ",
+    'matchFormats.bo3': "3本勝負",
+    'matchFormats.bo5': "5本勝負",
+    'matchFormats.bo7': "7本勝負",
+    'matchFormats.ft3': "3勝先取",
+    'matchFormats.ft5': "5勝先取",
+    'matchFormats.ft10': "10勝先取",
+    'match.round': "第{round}ラウンド",
+    'match.status': "{format} · 第{round}ラウンド · {nameA} {scoreA} – {scoreB} {nameB}",
+    'match.youWon': "🏆 {score}であなたの勝利！",
+    'match.computerWon': "💻 {score}でコンピューターの勝利。",
+    'match.sideWon': "🏆 {score}で{name}の勝利！",
+    'match.history': "試合の履歴",
+    'match.historyItem': { other: "{name}の勝ち {score}（{format}、{count}ラウンド）" },
+    'match.playAgain': "もう一度",
+    'match.newMatch': "新しい試合",
+
+    // --- Round Progress ---
+    'side.detecting': "検出中...",
+    'side.waiting': "待機中...",
+    'side.pickMove': "手を選んでください",
+    'side.showHand': "手を見せてください",
+    'side.showGestures': "{gestures}を見せてください",
+    'side.detected': "{gesture}を検出！そのまま...",
+    'side.holding': "{gesture}をキープ...（{percent}%）",
+    'side.locked': "{gesture}で決定！",
+    'side.lockedWaiting': "{gesture}で決定！相手を待っています...",
+    'side.getReady': "{gesture}で決定！いくよ...",
+    'side.choosing': "考え中...",
+    'side.waitingOpponent': "相手を待っています...",
+    'side.connectFirst': "先に相手と接続してください",
+    'announce.detected': "{gesture}を検出、そのままキープ。",
+    'announce.locked': "{gesture}で決定。",
+    'announce.unrecognized': "手の形を認識できません。",
+    'announce.handLost': "手を見失いました。",
+    'announce.side': "{name}：{message}",
+    // 3, 2, 1 are called out as 最初はグー、じゃん、けん (longer countdowns start with numbers)
+    'countdown.tick': { '=3': "最初はグー", '=2': "じゃん", '=1': "けん", other: "{count}" },
+    'countdown.shoot': "ぽん！",
+    'detection.found': "手を検出しました",
+    'detection.none': "手が検出されていません",
+    'webcam.label': "カメラの映像",
+
+    // --- Results ---
+    'result.showHand': "手を見せるとスタート！",
+    'result.revealing': "せーの...",
+    'result.roundCancelled': "ラウンド中止：{reason}",
+    'result.roundVoid': "ラウンド無効：{reasons}。もう一度！",
+    'result.decided': "{clause}。{outcome}",
+    'result.youWin': "あなたの勝ち！",
+    'result.youLose': "あなたの負け！",
+    'result.sideWins': "{name}の勝ち！",
+    'result.draw': "あいこ！",
+    'result.bothChose': "あいこ！どちらも{gesture}。",
+    'result.forfeit': "反則負け：{reasons}。{outcome}",
+    'result.warnings': "{reasons}。",
+    'result.gameOver': "ゲーム終了",
+    'result.noThrow': "「ぽん」で手がはっきりしませんでした。手を見せてもう一度！",
+    'result.handLost': "「ぽん」で手を見失いました。手を見せてもう一度！",
+    'flags.side': "{name}は{flags}",
+    'flags.late': "後出しした",
+    'flags.changed': "カウントダウン中に手を変えた",
+
+    // --- Stats Panel ---
+    'stats.title': "成績と履歴",
+    'stats.rounds': "ラウンド数",
+    'stats.winRate': "勝率",
+    'stats.wld': "勝 / 負 / 分",
+    'stats.longestStreak': "最長連勝",
+    'stats.currentStreak': "現在の連勝",
+    'stats.gestures': "あなたの手",
+    'stats.overTime': "日ごとの結果",
+    'stats.empty': "まだラウンドをプレイしていません。",
+    'stats.day': "{win}勝 {lose}敗 {draw}分",
+    'stats.exportJson': "JSONを書き出す",
+    'stats.exportCsv': "CSVを書き出す",
+    'stats.import': "読み込む",
+    'stats.clear': "履歴を消去",
+    'stats.confirmClear': "保存したラウンドをすべて削除して、スコアをリセットしますか？",
+    'files.importFailed': "{file} を読み込めませんでした：{reason}",
+
+    // --- Training Screen ---
+    'training.title': "ジェスチャーを学習",
+    'training.help': "カメラに手の形を見せて「記録」を押してください。いろいろな角度を覚えるように、記録中は手を少し動かしましょう。",
+    'training.recording': "記録中... {done}/{total}",
+    'training.samples': { other: "{count} サンプル" },
+    'training.record': "記録",
+    'training.builtIn': "内蔵の検出を使用中。自分用に学習させるには各ジェスチャーを記録してください。",
+    'training.partial': "学習モデルを使用中。内蔵の検出を使うもの：{gestures}。",
+    'training.complete': "すべてのジェスチャーに学習モデルを使用中。",
+    'training.noSamples': "ファイルに使えるサンプルがありません。",
+    'training.export': "モデルを書き出す",
+    'training.import': "モデルを読み込む",
+    'training.reset': "リセット",
+    'training.done': "完了",
+    'training.confirmReset': "学習したジェスチャーを削除して、内蔵の検出に戻しますか？",
+
+    // --- Online Play ---
+    'online.title': "オンライン対戦",
+    'online.help': "ホスト：「ホストになる」を押してコードを送ります。ゲスト：コードを貼り付けて「参加する」を押し、返信コードを送り返します。ホスト：返信コードを貼り付けて「接続」を押します。",
+    'online.code': "接続コード",
+    'online.host': "ホストになる",
+    'online.join': "参加する",
+    'online.accept': "接続",
+    'online.tab': "別のタブと接続",
+    'online.disconnect': "切断",
+    'netplay.status.versionMismatch': "相手のゲームのバージョンが違います。",
+    'netplay.status.connected': "接続しました！",
+    'netplay.status.disconnected': "切断されました。",
+    'netplay.status.failed': "接続に失敗しました。2人とも同じネットワークにいますか？",
+    'netplay.status.offerReady': "このコードを相手に送り、返信コードを貼り付けてください。",
+    'netplay.status.answerReady': "この返信コードをホストに送ってください。",
+    'netplay.status.connecting': "接続中...",
+    'netplay.status.waitingForTab': "別のタブからの接続を待っています...",
+    'netplay.status.notConnected': "未接続。",
+    'netplay.status.connectFailed': "接続できませんでした：{reason}",
+    'netplay.errors.badCode': "接続コードではないようです。",
+    'netplay.errors.opponentCancelled': "相手がラウンドを中止しました。",
+    'netplay.errors.connectionLost': "接続が切れました。",
+    'netplay.errors.opponentTimeout': "相手の応答がありません。",
+    'netplay.errors.hostFirst': "先にホストになってください。",
+    'netplay.errors.notConnected': "相手と接続していません。",
+    'netplay.errors.badReveal': "相手の手が事前の約束と一致しません。ラウンドは無効です。",
+
+    // --- Tournament ---
+    'tournament.title': "トーナメント",
+    'tournament.help': "プレイヤーとボットを追加してスタートします。プレイヤーは交代でカメラの前に立ち、ボット同士は自動で対戦します。試合には上で選んだルールと試合形式が使われます。",
+    'tournament.name': "トーナメント名",
+    'tournament.playerName': "プレイヤー名",
+    'tournament.addPlayer': "プレイヤーを追加",
+    'tournament.addBot': "ボットを追加",
+    'tournament.start': "トーナメント開始",
+    'tournament.close': "閉じる",
+    'tournament.playNext': "次の試合へ",
+    'tournament.exportStandings': "順位表をCSVで書き出す",
+    'tournament.exportJson': "JSONを書き出す",
+    'tournament.end': "トーナメント終了",
+    'tournament.defaultName': "トーナメント",
+    'tournament.duplicatePlayer': "{name} という名前のプレイヤーはすでにいます。",
+    'tournament.botOption': "{name} – {strategy}",
+    'tournament.botEntry': "🤖 {name}（{strategy}）",
+    'tournament.remove': "{name} を削除",
+    'tournament.champion': "🏆 {name} がトーナメントで優勝！",
+    'tournament.sharedFirst': "トーナメント終了：同率1位です！",
+    'tournament.nowPlayingLocal': "対戦中：{nameA}（左）対 {nameB}（右）。",
+    'tournament.nowPlaying': "対戦中：{nameA} 対 {nameB}。",
+    'tournament.next': "次の試合：{nameA} 対 {nameB}。",
+    'tournament.nextBots': "次の試合：{nameA} 対 {nameB}（ボット同士、すぐに決着）。",
+    'tournament.botResult': "{winner} が {score} で {loser} に勝利。",
+    'tournament.needsCamera': "2人のプレイヤーの試合にはカメラが必要です。",
+    'tournament.bye': "不戦勝",
+    'tournament.tbd': "未定",
+    'tournament.rank': "#",
+    'tournament.player': "プレイヤー",
+    'tournament.wins': "勝",
+    'tournament.losses': "敗",
+    'tournament.rounds': "ラウンド",
+    'tournament.confirmClose': "このトーナメントを閉じますか？",
+    'tournament.confirmEnd': "トーナメントを終了しますか？結果は失われます。",
+    'tournament.round.final': "決勝",
+    'tournament.round.semifinals': "準決勝",
+    'tournament.round.quarterfinals': "準々決勝",
+    'tournament.round.other': "{round}回戦",
+    'tournamentFormats.single': "シングルエリミネーション",
+    'tournamentFormats.roundRobin': "総当たり",
+    'bots.random': "思いつきで手を出す",
+    'bots.frequency': "あなたのお気に入りの手を狙う",
+    'bots.markov': "直前の手からパターンを読む",
+    'bots.wsls': "勝者と敗者の反応を知り尽くしている",
+
+    // --- Replay Clips ---
+    'clips.title': "リプレイ",
+    'clips.help': "このパネルを初めて開いた時から、ゲームを開いている間、出した手を見せる瞬間の短い動画がここに残ります。残したいものはダウンロードしてください。",
+    'clips.status': { other: "{count} 本・{size} / {max} MB" },
+    'clips.empty': "まだ動画がありません。カメラをオンにして1回遊んでください。",
+    'clips.off': "動画の録画はオフです（設定を参照）。",
+    'clips.unsupported': "このブラウザでは動画を録画できません。",
+    'clips.caption': "{time}・{title}",
+    'clips.videoLabel': "リプレイ：{title}",
+    'clips.download': "ダウンロード",
+    'clips.delete': "削除",
+    'clips.clear': "すべての動画を削除",
+    'clips.confirmClear': "リプレイ動画をすべて削除しますか？",
+
+    // --- Spectator View ---
+    'spectator.title': "じゃんけん – 観戦ビュー",
+    'spectator.waiting': "ゲームを待っています… このブラウザの別のウィンドウでゲームを開いてください。",
+
+    // --- Performance Metrics ---
+    'metrics.camera': "カメラ {fps} fps",
+    'metrics.tracking': "トラッキング {fps} fps（上限 {cap}、{where}）",
+    'metrics.latency': "遅延 {ms} ms（p95 {p95}）",
+    'metrics.timerLag': "タイマーの遅れ {ms} ms",
+    'metrics.backend.worker': "ワーカー",
+    'metrics.backend.page': "ページ",
+    'metrics.backend.off': "オフ",
+
+    // --- Explain Overlay ---
+    'explain.seen': "{gesture} {percent}%",
+    'explain.noGesture': "ジェスチャーなし",
+    'explain.poseAs': "{pose}（{gesture}）",
+    'explain.title': "{name}: {seen}",
+    'explain.titleTrained': "{name}: {seen}（学習済み）",
+    'explain.locked': "確定",
+    'explain.summary': "{name}: {seen}、親指と人差し指 {distance}",
+    'explain.status': "説明モード（` キーで非表示）。{hands}",
+    'explain.noHand': "手が検出されていません。",
+    'poses.rock': "グー",
+    'poses.paper': "パー",
+    'poses.scissors': "チョキ",
+    'poses.lizard': "トカゲ",
+    'poses.spock': "スポック",
+    'poses.point': "指さし",
+    'poses.three': "スリー",
+
+    // --- Settings Panel ---
+    'settings.title': "設定",
+    'settings.help': "変更はすぐに反映され、このブラウザに保存されます。リンクを共有すると、別の端末でも同じ設定を使えます。",
+    'settings.share': "共有リンクをコピー",
+    'settings.reset': "初期設定に戻す",
+    'settings.fromLink': { other: "リンクから {count} 件の設定を読み込みました。" },
+    'settings.copied': "リンクをクリップボードにコピーしました。",
+    'settings.copyPrompt': "このリンクをコピーして設定を共有してください：",
+    'settings.confirmReset': "すべての設定を初期値に戻しますか？",
+    'settingGroups.detection': "手の検出",
+    'settingGroups.classifier': "ジェスチャーの分類",
+    'settingGroups.timing': "タイミング",
+    'settingGroups.fairPlay': "フェアプレー",
+    'settingGroups.appearance': "見た目",
+    'settingGroups.audio': "サウンド",
+    'settingGroups.clips': "リプレイ",
+    'settingLabels.modelComplexity': "モデル",
+    'settingChoices.modelComplexity.0': "ライト（高速）",
+    'settingChoices.modelComplexity.1': "フル（高精度）",
+    'settingLabels.minDetectionConfidence': "検出の信頼度",
+    'settingLabels.minTrackingConfidence': "トラッキングの信頼度",
+    'settingLabels.trackInWorker': "バックグラウンドで手をトラッキング（再読み込み後）",
+    'settingLabels.maxTrackingFps': "フレーム上限（fps）",
+    'settingLabels.showMetrics': "パフォーマンス指標を表示",
+    'settingLabels.minConfidence': "ジェスチャーの最低スコア",
+    'settingLabels.bendStraight': "指が伸びている（曲がり）",
+    'settingLabels.bendCurled': "指が曲がっている（曲がり）",
+    'settingLabels.reachCurled': "指が曲がっている（到達）",
+    'settingLabels.reachStraight': "指が伸びている（到達）",
+    'settingLabels.thumbTucked': "親指を折りたたむ",
+    'settingLabels.thumbOut': "親指を出す",
+    'settingLabels.pinchClosed': "つまみが閉じている",
+    'settingLabels.pinchOpen': "つまみが開いている",
+    'settingLabels.spockSplitMin': "スポックの開き始め",
+    'settingLabels.spockSplitMax': "スポックの開き完了",
+    'settingLabels.lockMs': "決定までのキープ時間（ms）",
+    'settingLabels.voteWindowMs': "平滑化の時間幅（ms）",
+    'settingLabels.dropoutMs': "手の見失いの許容時間（ms）",
+    'settingLabels.countdownSeconds': "カウントダウン（秒）",
+    'settingLabels.shootGraceMs': "後出しの猶予（ms）",
+    'settingLabels.lateThrow': "遅出し",
+    'settingChoices.lateThrow.ignore': "無視",
+    'settingChoices.lateThrow.warn': "警告",
+    'settingChoices.lateThrow.replay': "やり直し",
+    'settingChoices.lateThrow.forfeit': "負け",
+    'settingLabels.changedThrow': "手の変更",
+    'settingChoices.changedThrow.ignore': "無視",
+    'settingChoices.changedThrow.warn': "警告",
+    'settingChoices.changedThrow.replay': "やり直し",
+    'settingChoices.changedThrow.forfeit': "負け",
+    'settingLabels.assetPack': "テーマ",
+    'settingChoices.assetPack.classic': "クラシック",
+    'settingChoices.assetPack.arcade': "アーケード",
+    'settingLabels.soundEnabled': "効果音",
+    'settingLabels.soundVolume': "音量",
+    'settingLabels.effectsVolume': "結果の音",
+    'settingLabels.countdownVolume': "カウントダウンの音",
+    'settingLabels.speakCountdown': "カウントダウンの読み上げ",
+    'settingLabels.recordClips': "毎回の結果を動画で残す",
+    'settingLabels.clipSeconds': "動画の長さ（秒）"
+};
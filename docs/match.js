@@ -0,0 +1,87 @@
+/**
+ * match.js for Gesture Rock Paper Scissors Game
+ * Match layer on top of single rounds: best-of-N and first-to-N formats,
+ * round counting and match winner detection. No DOM access here;
+ * script.js owns the current match and renders it.
+ * "player" is side A and "computer" side B (two humans in two-player mode).
+ */
+
+// --- Match Formats ---
+// bestOf: the match ends once a side has won a majority of N decisive rounds (draws are replayed)
+// firstTo: the match ends once a side has won N rounds
+// free: no match, rounds are played forever (the original behaviour)
+export const MATCH_FORMATS = {
+    free: { id: 'free', name: 'Free Play', type: 'free' },
+    bo3: { id: 'bo3', name: 'Best of 3', type: 'bestOf', rounds: 3 },
+    bo5: { id: 'bo5', name: 'Best of 5', type: 'bestOf', rounds: 5 },
+    bo7: { id: 'bo7', name: 'Best of 7', type: 'bestOf', rounds: 7 },
+    ft3: { id: 'ft3', name: 'First to 3', type: 'firstTo', rounds: 3 },
+    ft5: { id: 'ft5', name: 'First to 5', type: 'firstTo', rounds: 5 },
+    ft10: { id: 'ft10', name: 'First to 10', type: 'firstTo', rounds: 10 }
+};
+
+export const DEFAULT_MATCH_FORMAT_ID = 'free';
+
+
+// --- Match Functions ---
+
+// Creates a new, empty match in the given format
+export function createMatch(format, sideNames = { a: 'You', b: 'Computer' }) {
+    return {
+        format: format,
+        sideNames: sideNames, // Display names of side A ("player") and side B ("computer")
+        rounds: [],        // { player, computer, result } per round, oldest first
+        playerWins: 0,
+        computerWins: 0,
+        draws: 0,
+        winner: null       // 'player' or 'computer' once decided
+    };
+}
+
+// Round wins a side needs to take the match (Infinity for free play)
+export function winsNeeded(format) {
+    switch (format.type) {
+        case 'bestOf':
+            return Math.floor(format.rounds / 2) + 1;
+        case 'firstTo':
+            return format.rounds;
+        default:
+            return Infinity;
+    }
+}
+
+// Records a finished round and decides the match if a side has enough wins.
+// Returns the match winner ('player'/'computer') or null while the match goes on.
+export function recordMatchRound(match, playerChoice, computerChoice, result) {
+    if (match.winner) {
+        console.warn("Round recorded after the match was decided. Ignoring.");
+        return match.winner;
+    }
+
+    match.rounds.push({ player: playerChoice, computer: computerChoice, result: result });
+    if (result === 'win') {
+        match.playerWins++;
+    } else if (result === 'lose') {
+        match.computerWins++;
+    } else {
+        match.draws++;
+    }
+
+    const needed = winsNeeded(match.format);
+    if (match.playerWins >= needed) {
+        match.winner = 'player';
+    } else if (match.computerWins >= needed) {
+        match.winner = 'computer';
+    }
+    return match.winner;
+}
+
+// True when the match is over and no more rounds may be played
+export function isMatchOver(match) {
+    return match.winner !== null;
+}
+
+// Number of the round about to be played (or the last one, once the match is over)
+export function currentRoundNumber(match) {
+    return isMatchOver(match) ? match.rounds.length : match.rounds.length + 1;
+}
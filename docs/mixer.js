@@ -0,0 +1,159 @@
+/**
+ * mixer.js for Gesture Rock Paper Scissors Game
+ * Web Audio mixer for the sound effects. Every sound is decoded (or synthesized) once into
+ * a buffer and played through its channel's volume, then the master volume and mute:
+ *   sound -> channel gain (countdown, effects) -> master gain -> speakers
+ * Browsers keep audio blocked until the player taps or presses a key, so the AudioContext
+ * is resumed from those events (see unlock()). Without Web Audio the mixer stays silent.
+ */
+
+// --- Mixer Configuration ---
+export const MIXER_CHANNELS = ['countdown', 'effects'];
+
+const TONE_ATTACK_MS = 5;    // Fade-in that keeps tones from clicking
+const DEFAULT_TONE_GAIN = 0.4;
+
+
+// --- Tone Synthesis ---
+
+// One cycle of each waveform, for phase 0..1
+const WAVES = {
+    sine: (phase) => Math.sin(2 * Math.PI * phase),
+    square: (phase) => (phase < 0.5 ? 1 : -1),
+    triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+    sawtooth: (phase) => 2 * phase - 1
+};
+
+// Renders a tone into an AudioBuffer.
+// tone: { frequency, durationMs, slideTo (optional end frequency), wave ('sine'...), gain (0..1) }
+export function renderTone(context, tone) {
+    const rate = context.sampleRate;
+    const length = Math.max(1, Math.round(rate * (tone.durationMs || 100) / 1000));
+    const buffer = context.createBuffer(1, length, rate);
+    const samples = buffer.getChannelData(0);
+    const wave = WAVES[tone.wave] || WAVES.sine;
+    const gain = tone.gain !== undefined ? tone.gain : DEFAULT_TONE_GAIN;
+    const startFrequency = tone.frequency || 440;
+    const endFrequency = tone.slideTo || startFrequency;
+    const attack = Math.round(rate * TONE_ATTACK_MS / 1000);
+    let phase = 0;
+    for (let i = 0; i < length; i++) {
+        const progress = i / length;
+        const frequency = startFrequency + (endFrequency - startFrequency) * progress;
+        const envelope = Math.min(1, i / Math.max(1, attack)) * (1 - progress); // Fade in, then straight down
+        samples[i] = wave(phase) * gain * envelope;
+        phase = (phase + frequency / rate) % 1;
+    }
+    return buffer;
+}
+
+
+// --- Mixer ---
+
+// Creates the mixer. The AudioContext is only made when the first sounds are loaded.
+export function createAudioMixer() {
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    let context = null;
+    let master = null;
+    const channels = {};        // Channel name -> GainNode
+    let buffers = {};           // Sound name -> { buffer, channel }
+    let generation = 0;         // Bumped by setSounds(), so a slower earlier load can't overwrite a newer one
+    let volume = 1;
+    let muted = false;
+    const channelVolumes = Object.fromEntries(MIXER_CHANNELS.map(name => [name, 1]));
+
+    function getContext() {
+        if (context || !AudioContextClass) return context;
+        context = new AudioContextClass();
+        master = context.createGain();
+        master.gain.value = muted ? 0 : volume;
+        master.connect(context.destination);
+        for (const name of MIXER_CHANNELS) {
+            channels[name] = context.createGain();
+            channels[name].gain.value = channelVolumes[name];
+            channels[name].connect(master);
+        }
+        return context;
+    }
+
+    // Decodes a file, or renders a tone
+    async function loadSource(source) {
+        if (source.tone) {
+            return renderTone(context, source.tone);
+        }
+        const response = await fetch(source.src);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return context.decodeAudioData(await response.arrayBuffer());
+    }
+
+    // The first source of a sound that loads (null if none does)
+    async function loadSound(name, sources) {
+        for (const source of sources) {
+            try {
+                return await loadSource(source);
+            } catch (error) {
+                console.warn(`Sound "${name}": ${source.src || 'tone'} could not be loaded, trying the next source.`, error);
+            }
+        }
+        console.error(`Sound "${name}" has no usable source.`);
+        return null;
+    }
+
+    return {
+        isSupported: () => !!AudioContextClass,
+
+        // Replaces every sound. sounds: { name: { channel, sources: [{ src } | { tone }, ...] } }
+        // (see loadAssetPack() in assets.js). Resolves once all are loaded (or have failed).
+        async setSounds(sounds) {
+            if (!getContext()) {
+                console.warn("Web Audio isn't available. Sounds are off.");
+                return;
+            }
+            const current = ++generation;
+            const loaded = {};
+            await Promise.all(Object.entries(sounds).map(async ([name, sound]) => {
+                const buffer = await loadSound(name, sound.sources);
+                if (buffer) loaded[name] = { buffer: buffer, channel: sound.channel };
+            }));
+            if (current !== generation) return; // A newer set of sounds was asked for meanwhile
+            buffers = loaded;
+        },
+
+        play(name) {
+            const sound = buffers[name];
+            if (!context || !sound || muted) return;
+            if (context.state === 'suspended') {
+                context.resume().catch(() => {}); // Still blocked: this one plays silently
+            }
+            const node = context.createBufferSource();
+            node.buffer = sound.buffer;
+            node.connect(channels[sound.channel] || master);
+            node.start();
+        },
+
+        // Call from a tap or key press: lets the browser start audio
+        unlock() {
+            if (context && context.state === 'suspended') {
+                context.resume().catch(error => console.warn("Audio couldn't be resumed:", error.message));
+            }
+        },
+
+        // Master volume (0..1)
+        setVolume(value) {
+            volume = value;
+            if (master) master.gain.value = muted ? 0 : volume;
+        },
+
+        setMuted(value) {
+            muted = value;
+            if (master) master.gain.value = muted ? 0 : volume;
+        },
+
+        setChannelVolume(name, value) {
+            channelVolumes[name] = value;
+            if (channels[name]) channels[name].gain.value = value;
+        }
+    };
+}
@@ -0,0 +1,382 @@
+/**
+ * netplay.js for Gesture Rock Paper Scissors Game
+ * Online head-to-head play over a WebRTC data channel, without a game server.
+ * Peers are connected by copy-pasting the offer/answer text (manual signaling),
+ * or through a BroadcastChannel stand-in when testing with two tabs of the same browser.
+ * Moves are exchanged with a commit-reveal scheme: each side first sends a SHA-256
+ * hash of "round:gesture:nonce" and only reveals the gesture and nonce after it has
+ * received the other side's hash, so nobody can wait for the other move and react to it.
+ */
+
+// --- Netplay Configuration ---
+const NETPLAY_PROTOCOL_VERSION = 1;
+const NETPLAY_MOVE_TIMEOUT_MS = 30000;          // Give up on a round if the opponent doesn't answer
+const NETPLAY_TAB_CHANNEL = 'rps-netplay-signaling';
+const NETPLAY_RTC_CONFIG = { iceServers: [] };  // Host candidates only: same network, no STUN/TURN server
+
+
+// --- Commit-Reveal Helpers ---
+
+// Random hex nonce so the commitment can't be brute-forced from the few possible gestures
+export function createNonce() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Hex SHA-256 commitment to a gesture for a round
+export async function commitGesture(round, gesture, nonce) {
+    const data = new TextEncoder().encode(`${round}:${gesture}:${nonce}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// True if the revealed gesture and nonce match the earlier commitment
+export async function verifyReveal(commitHash, round, gesture, nonce) {
+    return typeof gesture === 'string' && typeof nonce === 'string' &&
+        (await commitGesture(round, gesture, nonce)) === commitHash;
+}
+
+// Errors carry a code for the page to show in the player's language
+// (netplay.errors.<code> in the message catalogs); the message is for the console.
+function netplayError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Session descriptions are passed around as one line of base64 text
+function encodeSignal(description) {
+    return btoa(JSON.stringify({ type: description.type, sdp: description.sdp }));
+}
+
+function decodeSignal(text) {
+    try {
+        const description = JSON.parse(atob(text.trim()));
+        if (description.type !== 'offer' && description.type !== 'answer') throw new Error();
+        return description;
+    } catch (error) {
+        throw netplayError('badCode', "That doesn't look like a connection code.");
+    }
+}
+
+
+// --- Netplay Session ---
+// Creates a session object. Callbacks:
+//   onStatus(code, error)     - connection status changed: 'connected', 'disconnected', 'failed',
+//                               'versionMismatch', 'offerReady', 'answerReady', 'connecting',
+//                               'waitingForTab', 'notConnected' or 'connectFailed' (with the error)
+//   onConnected(peerInfo)     - data channel open; peerInfo is { ruleSet, isHost } (isHost: true if WE host)
+//   onDisconnected()          - connection closed or lost
+// getLocalInfo() returns what the hello tells the opponent ({ ruleSet }).
+export function createNetplaySession({ onStatus, onConnected, onDisconnected, getLocalInfo }) {
+    let peer = null;
+    let channel = null;
+    let tabChannel = null;
+    let isHost = false;
+    let connection = 0;            // Bumped for every new peer, so a round of an old connection can't touch the new one
+    let round = 0;                 // Last round number used by this side
+    let finishedRound = 0;         // Last round this side is done with (later messages for it are ignored)
+    const remote = new Map();      // round -> { commit, reveal, aborted } received from the opponent
+    const waiters = [];            // Pending promises waiting for opponent messages
+
+    function status(code, error = null) {
+        console.log(`Netplay: ${code}`);
+        if (onStatus) onStatus(code, error);
+    }
+
+    function remoteRound(number) {
+        if (!remote.has(number)) remote.set(number, { commit: null, reveal: null, aborted: false });
+        return remote.get(number);
+    }
+
+    // Round numbers come from the peer: only whole rounds that aren't over yet are kept
+    function isOpenRound(number) {
+        return Number.isInteger(number) && number >= 1 && number > finishedRound;
+    }
+
+    // Highest round the opponent has sent anything for (0 if none)
+    function newestRemoteRound() {
+        return Math.max(0, ...remote.keys());
+    }
+
+    // Number for this side's next round. Each side counts its own rounds, so when the opponent
+    // is already further (a round this side never played), this side catches up to them.
+    function nextRound() {
+        round = Math.max(round + 1, newestRemoteRound());
+        return round;
+    }
+
+    // Done with a round: drops what the opponent sent for it and for any earlier one
+    function finishRound(number) {
+        finishedRound = Math.max(finishedRound, number);
+        for (const key of remote.keys()) {
+            if (key <= finishedRound) remote.delete(key);
+        }
+    }
+
+    // A new connection starts counting rounds from the beginning, like the opponent does
+    function resetRounds() {
+        connection++;
+        round = 0;
+        finishedRound = 0;
+        remote.clear();
+    }
+
+    // Re-checks every pending wait after a message arrives
+    function notifyWaiters() {
+        for (const waiter of waiters.slice()) {
+            waiter.check();
+        }
+    }
+
+    // Resolves once predicate() returns a value, rejects on timeout, abort or disconnect
+    function waitFor(number, predicate) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                check: () => {
+                    if (remoteRound(number).aborted || newestRemoteRound() > number) { // Cancelled, or they moved on
+                        return finish(netplayError('opponentCancelled', "The opponent cancelled the round."));
+                    }
+                    if (!channel || channel.readyState !== 'open') return finish(netplayError('connectionLost', "Connection lost."));
+                    const value = predicate();
+                    if (value) finish(null, value);
+                }
+            };
+            const timer = setTimeout(() => finish(netplayError('opponentTimeout', "The opponent took too long.")), NETPLAY_MOVE_TIMEOUT_MS);
+            let done = false;
+            function finish(error, value) {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                waiters.splice(waiters.indexOf(waiter), 1);
+                if (error) reject(error); else resolve(value);
+            }
+            waiters.push(waiter);
+            waiter.check();
+        });
+    }
+
+    function send(message) {
+        if (channel && channel.readyState === 'open') {
+            channel.send(JSON.stringify(message));
+        }
+    }
+
+    function handleMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.warn("Netplay: ignoring malformed message.");
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            console.warn("Netplay: ignoring a message that isn't an object.");
+            return;
+        }
+        if (['commit', 'reveal', 'abort'].includes(message.type) && !isOpenRound(message.round)) {
+            return; // Late (e.g. an abort after we gave up on the round) or not a round number
+        }
+        switch (message.type) {
+            case 'hello':
+                if (message.version !== NETPLAY_PROTOCOL_VERSION) {
+                    status('versionMismatch');
+                    close();
+                    return;
+                }
+                status('connected');
+                if (onConnected) onConnected({ ruleSet: message.ruleSet, isHost: isHost });
+                break;
+            case 'commit':
+                remoteRound(message.round).commit = message.hash;
+                break;
+            case 'reveal':
+                remoteRound(message.round).reveal = { gesture: message.gesture, nonce: message.nonce, flags: message.flags };
+                break;
+            case 'abort':
+                remoteRound(message.round).aborted = true;
+                break;
+            default:
+                console.warn(`Netplay: unknown message type "${message.type}".`);
+        }
+        notifyWaiters();
+    }
+
+    function setupChannel(dataChannel) {
+        channel = dataChannel;
+        channel.onopen = () => {
+            const info = getLocalInfo();
+            send({ type: 'hello', version: NETPLAY_PROTOCOL_VERSION, ruleSet: info.ruleSet });
+        };
+        channel.onmessage = handleMessage;
+        channel.onclose = () => {
+            status('disconnected');
+            notifyWaiters(); // Fails any pending round
+            if (onDisconnected) onDisconnected();
+        };
+    }
+
+    function createPeer() {
+        close();
+        resetRounds();
+        peer = new RTCPeerConnection(NETPLAY_RTC_CONFIG);
+        peer.ondatachannel = (event) => setupChannel(event.channel);
+        peer.onconnectionstatechange = () => {
+            if (peer && peer.connectionState === 'failed') {
+                status('failed');
+            }
+        };
+        return peer;
+    }
+
+    // Resolves with the local description once ICE gathering is done, so the
+    // copy-pasted code already contains every candidate (no trickle signaling).
+    function gatheredDescription() {
+        return new Promise((resolve) => {
+            if (peer.iceGatheringState === 'complete') return resolve(peer.localDescription);
+            peer.onicegatheringstatechange = () => {
+                if (peer.iceGatheringState === 'complete') resolve(peer.localDescription);
+            };
+        });
+    }
+
+    // Host: returns the offer code to give to the other player
+    async function host() {
+        isHost = true;
+        createPeer();
+        setupChannel(peer.createDataChannel('rps'));
+        await peer.setLocalDescription(await peer.createOffer());
+        status('offerReady');
+        return encodeSignal(await gatheredDescription());
+    }
+
+    // Guest: takes the host's offer code and returns the answer code to send back
+    async function join(offerText) {
+        isHost = false;
+        createPeer();
+        await peer.setRemoteDescription(decodeSignal(offerText));
+        await peer.setLocalDescription(await peer.createAnswer());
+        status('answerReady');
+        return encodeSignal(await gatheredDescription());
+    }
+
+    // Host: completes the connection with the guest's answer code
+    async function accept(answerText) {
+        if (!peer || !isHost) throw netplayError('hostFirst', "Host a game first.");
+        await peer.setRemoteDescription(decodeSignal(answerText));
+        status('connecting');
+    }
+
+    // Stand-in signaling for two tabs of the same browser: both tabs announce
+    // themselves on a BroadcastChannel, the tab with the smaller id hosts.
+    function connectToTab() {
+        const tabId = createNonce();
+        let paired = null;
+        if (tabChannel) tabChannel.close();
+        tabChannel = new BroadcastChannel(NETPLAY_TAB_CHANNEL);
+        tabChannel.onmessage = async (event) => {
+            const message = event.data;
+            if (message.from === tabId || (message.to && message.to !== tabId)) return;
+            try {
+                if (message.type === 'looking' && !paired) {
+                    paired = message.from;
+                    tabChannel.postMessage({ type: 'looking', from: tabId, to: paired });
+                    if (tabId < paired) {
+                        const offer = await host();
+                        tabChannel.postMessage({ type: 'offer', from: tabId, to: paired, code: offer });
+                    }
+                } else if (message.type === 'offer' && message.from === paired) {
+                    const answer = await join(message.code);
+                    tabChannel.postMessage({ type: 'answer', from: tabId, to: paired, code: answer });
+                } else if (message.type === 'answer' && message.from === paired) {
+                    await accept(message.code);
+                    tabChannel.close();
+                    tabChannel = null;
+                }
+            } catch (error) {
+                console.error("Netplay tab signaling failed:", error);
+                status('connectFailed', error);
+            }
+        };
+        tabChannel.postMessage({ type: 'looking', from: tabId });
+        status('waitingForTab');
+    }
+
+    // Plays one round: commits to our gesture, waits for the opponent's commitment,
+    // reveals, then verifies the opponent's reveal. flags are our throw flags (e.g. ['late'],
+    // see engine.js), sent along with the reveal so both sides judge the round the same way.
+    // Resolves with the opponent's { gesture, flags }.
+    async function exchangeMove(gesture, allowedGestures, flags = []) {
+        if (!channel || channel.readyState !== 'open') {
+            throw netplayError('notConnected', "Not connected to an opponent.");
+        }
+        const current = connection;
+        const number = nextRound();
+        const nonce = createNonce();
+        send({ type: 'commit', round: number, hash: await commitGesture(number, gesture, nonce) });
+
+        try {
+            // Reveal only once the opponent is bound to their move
+            const theirCommit = await waitFor(number, () => remoteRound(number).commit);
+            send({ type: 'reveal', round: number, gesture: gesture, nonce: nonce, flags: flags });
+
+            const theirReveal = await waitFor(number, () => remoteRound(number).reveal);
+            const honest = await verifyReveal(theirCommit, number, theirReveal.gesture, theirReveal.nonce);
+            if (!honest || !allowedGestures.includes(theirReveal.gesture)) {
+                throw netplayError('badReveal', "The opponent's move didn't match their commitment. Round void.");
+            }
+            const theirFlags = Array.isArray(theirReveal.flags) ? theirReveal.flags.filter(flag => typeof flag === 'string') : [];
+            return { gesture: theirReveal.gesture, flags: theirFlags };
+        } catch (error) {
+            if (current === connection) send({ type: 'abort', round: number });
+            throw error;
+        } finally {
+            if (current === connection) finishRound(number);
+        }
+    }
+
+    // Skips this side's next round and tells the opponent, e.g. when the hand was lost before
+    // "Shoot!" and there is no move to exchange. An opponent waiting for it gets 'opponentCancelled'.
+    function cancelRound() {
+        if (!channel || channel.readyState !== 'open') return;
+        const number = nextRound();
+        send({ type: 'abort', round: number });
+        finishRound(number);
+    }
+
+    function close() {
+        if (channel) {
+            channel.onclose = null;
+            channel.close();
+            channel = null;
+        }
+        if (peer) {
+            peer.close();
+            peer = null;
+        }
+        notifyWaiters();
+    }
+
+    function disconnect() {
+        const wasConnected = !!channel;
+        close();
+        if (tabChannel) {
+            tabChannel.close();
+            tabChannel = null;
+        }
+        if (wasConnected && onDisconnected) onDisconnected();
+        status('notConnected');
+    }
+
+    return {
+        host: host,
+        join: join,
+        accept: accept,
+        connectToTab: connectToTab,
+        exchangeMove: exchangeMove,
+        cancelRound: cancelRound,
+        disconnect: disconnect,
+        isConnected: () => !!channel && channel.readyState === 'open'
+    };
+}
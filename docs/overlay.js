@@ -0,0 +1,179 @@
+/**
+ * overlay.js for Gesture Rock Paper Scissors Game
+ * "Explain" overlay for tuning the classifier: draws on the landmark canvas why
+ * classifyGesture (classifier.js) decided what it did.
+ *   - each finger coloured from red (curled) to green (extended), with its extension in %
+ *   - the thumb tip to index PIP distance (in palm sizes) that drives the thumb tuck
+ *   - the score of every hand pose, with the minimum confidence marked
+ *   - a ring around the palm filling up while the gesture is held towards its lock
+ * Only draws; script.js decides when (?explain or the ` key) and passes the data in.
+ */
+
+import { FINGER_CHAINS, HAND_LANDMARKS } from './classifier.js';
+
+// --- Overlay Configuration ---
+const OVERLAY_FONT = 'px system-ui, sans-serif'; // Prefixed with the scaled size
+const OVERLAY_PANEL_WIDTH = 210;                 // Score panel width at 480px canvas height
+const OVERLAY_ROW_HEIGHT = 16;
+const OVERLAY_MARGIN = 10;
+const OVERLAY_LOCKED_COLOR = '#4caf50';
+const OVERLAY_THUMB_CHAIN = [HAND_LANDMARKS.THUMB_CMC, HAND_LANDMARKS.THUMB_MCP, HAND_LANDMARKS.THUMB_IP, HAND_LANDMARKS.THUMB_TIP];
+
+
+// --- Drawing Helpers ---
+
+// Red (0 = curled) through yellow to green (1 = extended)
+function extensionColor(extension) {
+    const clamped = Math.max(0, Math.min(1, extension));
+    return `hsl(${Math.round(clamped * 120)}, 90%, 50%)`;
+}
+
+// Canvas pixel position of a landmark
+function toPixel(landmark, width, height) {
+    return { x: landmark.x * width, y: landmark.y * height };
+}
+
+// Text with a dark outline so it stays readable over the video
+function drawLabel(ctx, text, x, y, color, align = 'left') {
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(text, x, y);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+}
+
+// Wrist -> knuckle -> ... -> tip of one finger in a single colour
+function drawChain(ctx, landmarks, chain, color, width, height) {
+    const points = [HAND_LANDMARKS.WRIST].concat(chain).map(index => toPixel(landmarks[index], width, height));
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (const point of points.slice(1)) {
+        ctx.lineTo(point.x, point.y);
+    }
+    ctx.stroke();
+    return points[points.length - 1];
+}
+
+
+// --- Overlay Parts ---
+
+// Colours the four fingers by extension and the thumb by how far it sticks out (1 - thumbTuck)
+function drawFingerStates(ctx, landmarks, features, width, height) {
+    for (const [name, chain] of Object.entries(FINGER_CHAINS)) {
+        const extension = features.fingers[name].extension;
+        const tip = drawChain(ctx, landmarks, chain, extensionColor(extension), width, height);
+        drawLabel(ctx, `${Math.round(extension * 100)}%`, tip.x, tip.y - 12, extensionColor(extension), 'center');
+    }
+    const thumbOut = 1 - features.thumbTuck;
+    const thumbTip = drawChain(ctx, landmarks, OVERLAY_THUMB_CHAIN, extensionColor(thumbOut), width, height);
+    drawLabel(ctx, `${Math.round(thumbOut * 100)}%`, thumbTip.x, thumbTip.y - 12, extensionColor(thumbOut), 'center');
+}
+
+// Dashed line from the thumb tip to the index PIP, labelled with the distance in palm sizes
+function drawThumbIndexDistance(ctx, landmarks, features, width, height) {
+    const from = toPixel(landmarks[HAND_LANDMARKS.THUMB_TIP], width, height);
+    const to = toPixel(landmarks[HAND_LANDMARKS.INDEX_PIP], width, height);
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.restore();
+    drawLabel(ctx, features.thumbToIndexDistance.toFixed(2), (from.x + to.x) / 2, (from.y + to.y) / 2, '#ffffff', 'center');
+}
+
+// Ring around the palm centre, filled clockwise from the top as the hold progresses (0..1)
+function drawLockRing(ctx, landmarks, features, progress, lockedLabel, width, height) {
+    const palm = [HAND_LANDMARKS.WRIST, HAND_LANDMARKS.INDEX_MCP, HAND_LANDMARKS.PINKY_MCP]
+        .map(index => toPixel(landmarks[index], width, height));
+    const center = {
+        x: (palm[0].x + palm[1].x + palm[2].x) / 3,
+        y: (palm[0].y + palm[1].y + palm[2].y) / 3
+    };
+    const radius = Math.max(12, features.handSize * height * 0.45); // handSize is in frame heights
+    const locked = progress >= 1;
+
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    if (progress > 0) {
+        ctx.strokeStyle = locked ? OVERLAY_LOCKED_COLOR : '#ffc107';
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, -Math.PI / 2, -Math.PI / 2 + Math.min(1, progress) * Math.PI * 2);
+        ctx.stroke();
+    }
+    drawLabel(ctx, locked ? lockedLabel : `${Math.round(progress * 100)}%`, center.x, center.y, '#ffffff', 'center');
+}
+
+// Panel listing the score of every pose. rows: [{ name, score, inPlay }]
+// (poses the rule set doesn't use are dimmed); the line across the bars is minConfidence.
+function drawScorePanel(ctx, x, y, title, rows, minConfidence, scale) {
+    const width = OVERLAY_PANEL_WIDTH * scale;
+    const rowHeight = OVERLAY_ROW_HEIGHT * scale;
+    const labelWidth = 95 * scale;
+    const barWidth = width - labelWidth - 45 * scale;
+    const best = rows.reduce((top, row) => (row.inPlay && (!top || row.score > top.score)) ? row : top, null);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, y, width, rowHeight * (rows.length + 1) + 8 * scale);
+    drawLabel(ctx, title, x + 6 * scale, y + rowHeight / 2 + 4 * scale, '#ffffff');
+
+    rows.forEach((row, i) => {
+        const rowY = y + rowHeight * (i + 1) + 4 * scale;
+        const color = !row.inPlay ? '#888888' : (row === best && row.score >= minConfidence ? OVERLAY_LOCKED_COLOR : '#ffffff');
+        drawLabel(ctx, row.name, x + 6 * scale, rowY + rowHeight / 2, color);
+        const barX = x + labelWidth;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(barX, rowY + 3 * scale, barWidth, rowHeight - 6 * scale);
+        ctx.fillStyle = color;
+        ctx.fillRect(barX, rowY + 3 * scale, barWidth * row.score, rowHeight - 6 * scale);
+        drawLabel(ctx, row.score.toFixed(2), barX + barWidth + 4 * scale, rowY + rowHeight / 2, color);
+    });
+
+    // Minimum confidence marker across all bars
+    const thresholdX = x + labelWidth + barWidth * minConfidence;
+    ctx.strokeStyle = '#ff5252';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(thresholdX, y + rowHeight + 4 * scale);
+    ctx.lineTo(thresholdX, y + rowHeight * (rows.length + 1) + 4 * scale);
+    ctx.stroke();
+}
+
+
+// --- Explain Overlay ---
+// Draws the overlay for one hand. view:
+//   landmarks      - the hand's 21 landmarks
+//   classification - classifyGesture() result for them (features and scores)
+//   title          - panel heading, e.g. "You: Rock 82%"
+//   rows           - [{ name, score, inPlay }] for the score panel
+//   minConfidence  - CLASSIFIER_THRESHOLDS.minConfidence
+//   lockProgress   - 0..1 hold progress of the hand's side (1 = locked)
+//   lockedLabel    - text in the ring once locked, e.g. "LOCKED"
+//   panel          - 'left' or 'right': the corner the score panel goes in
+// Expects the same context transform as the landmarks in onResults: the canvas is mirrored
+// by CSS and the context flipped back, so text and "left" come out the right way round.
+export function drawExplainOverlay(ctx, view) {
+    const { width, height } = ctx.canvas;
+    if (!view.classification.features) return; // Incomplete hand, nothing to explain
+    const scale = Math.max(0.75, height / 480);
+
+    ctx.save();
+    ctx.font = `${Math.round(12 * scale)}${OVERLAY_FONT}`;
+    drawFingerStates(ctx, view.landmarks, view.classification.features, width, height);
+    drawThumbIndexDistance(ctx, view.landmarks, view.classification.features, width, height);
+    drawLockRing(ctx, view.landmarks, view.classification.features, view.lockProgress, view.lockedLabel, width, height);
+    const panelX = view.panel === 'right' ? width - OVERLAY_PANEL_WIDTH * scale - OVERLAY_MARGIN : OVERLAY_MARGIN;
+    drawScorePanel(ctx, panelX, OVERLAY_MARGIN, view.title, view.rows, view.minConfidence, scale);
+    ctx.restore();
+}
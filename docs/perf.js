@@ -0,0 +1,101 @@
+/**
+ * perf.js for Gesture Rock Paper Scissors Game
+ * Frame rate control and performance metrics for hand tracking.
+ * The inference throttle picks the camera frames that go to hand tracking: one at a time,
+ * no more often than the frame cap, and less often when inference is slow (the cap adapts
+ * to the measured latency), so slow machines keep time for the countdown and the page.
+ * The metrics collect camera and tracking frame rates, tracking latency and timer lag
+ * (how late timers fire, which is what makes the countdown drift) for the readout.
+ * No DOM access here.
+ */
+
+// --- Throttle Configuration ---
+const THROTTLE_MIN_FPS = 5;              // Never adapt below this; the engine needs frames to lock a gesture
+const THROTTLE_LOAD_FACTOR = 1.5;        // Frame interval >= latency * this: tracking takes at most ~2/3 of the time
+const THROTTLE_LATENCY_SMOOTHING = 0.2;  // Weight of the newest latency in the running average
+const THROTTLE_JITTER_MS = 4;            // Frames this much early still count, or a 30 fps camera would get 15 fps
+const METRICS_WINDOW_MS = 2000;          // Rates and latencies are over the last 2 seconds
+
+
+// --- Inference Throttle ---
+// Creates a throttle. For every camera frame call tryStart(now); if it returns true, send the
+// frame and call finish(now) once its results are in. Times are in milliseconds (performance.now()).
+export function createInferenceThrottle({ maxFps }) {
+    let frameCap = maxFps;
+    let latency = 0;            // Running average of the tracking latency
+    let startedAt = -Infinity;  // When the last frame was sent
+    let inFlight = false;
+
+    // Milliseconds between frames sent to tracking right now
+    function interval() {
+        return Math.min(1000 / THROTTLE_MIN_FPS, Math.max(1000 / frameCap, latency * THROTTLE_LOAD_FACTOR));
+    }
+
+    return {
+        // True (and the frame counts as sent) if a frame arriving now should be tracked
+        tryStart(now) {
+            if (inFlight || now - startedAt < interval() - THROTTLE_JITTER_MS) return false;
+            inFlight = true;
+            startedAt = now;
+            return true;
+        },
+        // Frame done (or failed); returns its latency
+        finish(now) {
+            const took = now - startedAt;
+            latency = latency ? latency + THROTTLE_LATENCY_SMOOTHING * (took - latency) : took;
+            inFlight = false;
+            return took;
+        },
+        setMaxFps(fps) {
+            frameCap = fps;
+        },
+        getFrameCap: () => 1000 / interval()  // The adapted cap in frames per second
+    };
+}
+
+
+// --- Performance Metrics ---
+
+// Creates a metrics collector over a sliding time window
+export function createPerfMetrics(windowMs = METRICS_WINDOW_MS) {
+    const cameraFrames = [];   // Timestamps
+    const trackedFrames = [];  // { time, latency }
+    const timerLags = [];      // { time, lag }
+
+    function prune(list, now, timeOf) {
+        while (list.length > 0 && now - timeOf(list[0]) > windowMs) {
+            list.shift();
+        }
+    }
+
+    return {
+        recordCameraFrame(now) {
+            cameraFrames.push(now);
+            prune(cameraFrames, now, time => time);
+        },
+        recordTrackedFrame(now, latency) {
+            trackedFrames.push({ time: now, latency: latency });
+            prune(trackedFrames, now, entry => entry.time);
+        },
+        // How many milliseconds later than asked for a timer fired
+        recordTimerLag(now, lag) {
+            timerLags.push({ time: now, lag: Math.max(0, lag) });
+            prune(timerLags, now, entry => entry.time);
+        },
+        // { cameraFps, trackingFps, latencyMs, latencyP95Ms, timerLagMs (worst) } over the window
+        snapshot(now) {
+            prune(cameraFrames, now, time => time);
+            prune(trackedFrames, now, entry => entry.time);
+            prune(timerLags, now, entry => entry.time);
+            const latencies = trackedFrames.map(entry => entry.latency).sort((a, b) => a - b);
+            const average = latencies.length ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : 0;
+            return {
+                cameraFps: cameraFrames.length * 1000 / windowMs,
+                trackingFps: trackedFrames.length * 1000 / windowMs,
+                latencyMs: average,
+                latencyP95Ms: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : 0,
+                timerLagMs: timerLags.reduce((worst, entry) => Math.max(worst, entry.lag), 0)
+            };
+        }
+    };
+}
@@ -0,0 +1,250 @@
+/**
+ * recorder.js for Gesture Rock Paper Scissors Game
+ * Records the MediaPipe hand landmark stream to JSON and replays it.
+ * A replay provider stands in for Camera/hands.send: it feeds the recorded frames to
+ * onResults at their original timing, so whole rounds (flicker, hand loss, lock timing)
+ * can be played back without a webcam, e.g. in a headless browser.
+ * The game engine runs on a replay clock meanwhile: every frame carries its recorded time
+ * and the countdown follows it, so a recording plays out the same way every time
+ * (test/replay.test.js replays the fixtures under test/fixtures/rounds in Node).
+ * Start the game with ?record to get the record button, ?replay=<url of a recording> to replay.
+ */
+
+// --- Recording Format ---
+const RECORDING_SCHEMA_VERSION = 1;
+const LANDMARK_PRECISION = 5; // Decimal places kept per coordinate (keeps files small)
+const REPLAY_LOOP_GAP_MS = 1000 / 30; // Pause before a looping replay starts over
+
+// Recording document (version 1):
+// {
+//   version: 1,
+//   createdAt: 1700000000000,
+//   width: 640, height: 480,                    // Video frame size (landmarks are normalized to it)
+//   frames: [{ t: 0,                            // Milliseconds since the recording started
+//              hands: [{ landmarks: [[x, y, z], ... 21], label: 'Right', score: 0.98 }] }]
+// }
+
+
+// --- Recorder ---
+
+// Creates a recorder. Call start(), then addFrame(results) for every onResults call, then stop().
+export function createLandmarkRecorder() {
+    let recording = null;
+    let startedAt = 0;
+
+    const round = (value) => Number((value || 0).toFixed(LANDMARK_PRECISION));
+
+    return {
+        // size: { width, height } of the video frames
+        start(size, now = Date.now()) {
+            startedAt = now;
+            recording = {
+                version: RECORDING_SCHEMA_VERSION,
+                createdAt: now,
+                width: size.width,
+                height: size.height,
+                frames: []
+            };
+        },
+        addFrame(results, now = Date.now()) {
+            if (!recording) return;
+            const landmarksList = results.multiHandLandmarks || [];
+            recording.frames.push({
+                t: now - startedAt,
+                hands: landmarksList.map((landmarks, i) => {
+                    const handedness = results.multiHandedness && results.multiHandedness[i];
+                    return {
+                        landmarks: landmarks.map(p => [round(p.x), round(p.y), round(p.z)]),
+                        label: handedness ? handedness.label : null,
+                        score: handedness ? round(handedness.score) : null
+                    };
+                })
+            });
+        },
+        // Ends the recording and returns it (null if none was running)
+        stop() {
+            const finished = recording;
+            recording = null;
+            return finished;
+        },
+        isRecording: () => recording !== null,
+        frameCount: () => (recording ? recording.frames.length : 0)
+    };
+}
+
+
+// --- Recording Parsing ---
+
+// Validates a parsed recording document. Throws if it can't be replayed.
+export function parseRecording(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.frames)) {
+        throw new Error("Not a landmark recording.");
+    }
+    if (data.version > RECORDING_SCHEMA_VERSION) {
+        throw new Error(`Recording v${data.version} is newer than supported v${RECORDING_SCHEMA_VERSION}.`);
+    }
+    const frames = data.frames.filter(frame =>
+        frame && Number.isFinite(frame.t) && Array.isArray(frame.hands) &&
+        frame.hands.every(hand => Array.isArray(hand.landmarks) && hand.landmarks.length === 21));
+    if (frames.length === 0) {
+        throw new Error("The recording has no frames.");
+    }
+    return {
+        version: RECORDING_SCHEMA_VERSION,
+        createdAt: data.createdAt || null,
+        width: data.width || 640,
+        height: data.height || 480,
+        frames: frames.sort((a, b) => a.t - b.t)
+    };
+}
+
+// Turns a recorded frame back into the shape MediaPipe passes to onResults
+export function recordingFrameToResults(frame) {
+    return {
+        multiHandLandmarks: frame.hands.map(hand => hand.landmarks.map(([x, y, z]) => ({ x: x, y: y, z: z }))),
+        multiHandedness: frame.hands.map((hand, i) => ({ index: i, label: hand.label, score: hand.score }))
+    };
+}
+
+
+// --- Replay Clock ---
+
+// Clock for the game engine (its timers and now options, see engine.js) during a replay.
+// While a replay plays, time only moves from frame to frame: advanceTo() sets it to the
+// next frame's recorded time and first runs the engine timers (countdown ticks, the "Shoot!"
+// grace window) that fall due on the way, so a busy page can't make a tick late.
+// Otherwise (before the replay starts, after it ends or stops) it runs on the real clock.
+export function createReplayClock() {
+    let time = 0;                  // Current time while held
+    let running = { base: 0, startedAt: Date.now() }; // While on the real clock
+    let timers = [];               // { id, at, handler, realTimer }
+    let nextId = 1;
+
+    const now = () => (running ? running.base + (Date.now() - running.startedAt) : time);
+
+    function fire(timer) {
+        timers = timers.filter(other => other !== timer);
+        timer.handler();
+    }
+
+    function scheduleReal(timer) {
+        timer.realTimer = setTimeout(() => fire(timer), Math.max(0, timer.at - now()));
+    }
+
+    return {
+        now: now,
+        setTimeout(handler, ms) {
+            const timer = { id: nextId++, at: now() + Math.max(0, ms || 0), handler: handler, realTimer: null };
+            timers.push(timer);
+            if (running) scheduleReal(timer);
+            return timer.id;
+        },
+        clearTimeout(id) {
+            const timer = timers.find(other => other.id === id);
+            if (!timer) return;
+            clearTimeout(timer.realTimer);
+            timers = timers.filter(other => other !== timer);
+        },
+        // Stops the real clock: from now on time only moves with advanceTo()
+        hold() {
+            if (!running) return;
+            time = now();
+            running = null;
+            for (const timer of timers) {
+                clearTimeout(timer.realTimer);
+                timer.realTimer = null;
+            }
+        },
+        // Moves a held clock forward, running the timers that fall due on the way in order
+        advanceTo(target) {
+            if (running) return;
+            for (;;) {
+                const due = timers
+                    .filter(timer => timer.at <= target)
+                    .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+                if (!due) break;
+                time = Math.max(time, due.at);
+                fire(due);
+            }
+            time = Math.max(time, target);
+        },
+        // Back on the real clock, carrying on from the current time
+        release() {
+            if (running) return;
+            running = { base: time, startedAt: Date.now() };
+            timers.forEach(scheduleReal);
+        }
+    };
+}
+
+
+// --- Replay Provider ---
+
+// Input provider that plays a recording into onResults(results, time) instead of the camera.
+// time is the frame's recorded time on the replay clock: give the game engine the same clock
+// (options.clock, a new one by default) and pass time on to handleFrame().
+// source is a recording object or the URL of a recording file.
+// Options: loop (start over at the end), onEnd() (called when a non-looping replay finishes),
+// timers ({ setTimeout, clearTimeout } pacing the frames, e.g. fake timers).
+export function createReplayProvider({ source, onResults, onEnd, loop = false, timers, clock = createReplayClock() }) {
+    const pacing = timers || {
+        setTimeout: (handler, ms) => setTimeout(handler, ms),
+        clearTimeout: (id) => clearTimeout(id)
+    };
+    let recording = null;
+    let timer = null;
+    let index = 0;
+    let offset = 0;                // Replay clock time of the recording's t = 0
+
+    async function load() {
+        if (typeof source !== 'string') return parseRecording(source);
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not load recording "${source}" (${response.status}).`);
+        }
+        return parseRecording(await response.json());
+    }
+
+    // Plays frame `index`, then schedules the next one after the recorded gap
+    function playNext() {
+        const frame = recording.frames[index];
+        const time = offset + frame.t;
+        clock.advanceTo(time);
+        onResults(recordingFrameToResults(frame), time);
+        index++;
+        if (index >= recording.frames.length) {
+            if (!loop) {
+                timer = null;
+                clock.release(); // Lets a countdown in progress finish
+                console.log("Replay finished.");
+                if (onEnd) onEnd();
+                return;
+            }
+            index = 0;
+            offset = time + REPLAY_LOOP_GAP_MS - recording.frames[0].t;
+            timer = pacing.setTimeout(playNext, REPLAY_LOOP_GAP_MS); // Short gap before starting over
+            return;
+        }
+        timer = pacing.setTimeout(playNext, Math.max(0, recording.frames[index].t - frame.t));
+    }
+
+    return {
+        id: 'replay',
+        name: 'Replay',
+        async start() {
+            recording = await load();
+            console.log(`Replaying ${recording.frames.length} recorded frames.`);
+            index = 0;
+            clock.hold();
+            offset = clock.now() - recording.frames[0].t;
+            timer = pacing.setTimeout(playNext, 0);
+        },
+        stop() {
+            if (timer) pacing.clearTimeout(timer);
+            timer = null;
+            clock.release();
+        },
+        // Video frame size of the recording (after start() resolved)
+        getFrameSize: () => (recording ? { width: recording.width, height: recording.height } : null)
+    };
+}
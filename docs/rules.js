@@ -0,0 +1,200 @@
+/**
+ * rules.js for Gesture Rock Paper Scissors Game
+ * Defines the pluggable rule sets (gestures, "beats" graph, result verbs)
+ * and the validator that rejects unbalanced or inconsistent rule sets.
+ * Loaded before script.js, which picks the active rule set at startup.
+ */
+
+// --- Rule Set Definitions ---
+// Each rule set lists:
+//   gestures: gesture ids, in display order (their icons come from the asset pack, see assets.js)
+//   poses:    optional map of gesture id -> hand shape (one of HAND_POSES in classifier.js)
+//             (defaults to the gesture id itself)
+//   hints:    optional short description of how to make each gesture
+//   beats:    winner -> { loser: verb }, e.g. spock: { rock: 'vaporizes' }
+export const RULE_SETS = {
+    classic: {
+        id: 'classic',
+        name: 'Rock, Paper, Scissors',
+        gestures: ['rock', 'paper', 'scissors'],
+        beats: {
+            rock: { scissors: 'crushes' },
+            paper: { rock: 'covers' },
+            scissors: { paper: 'cuts' }
+        }
+    },
+
+    rpsls: {
+        id: 'rpsls',
+        name: 'Rock, Paper, Scissors, Lizard, Spock',
+        gestures: ['rock', 'paper', 'scissors', 'lizard', 'spock'],
+        hints: {
+            lizard: 'touch your thumb to your fingertips (sock puppet)',
+            spock: 'open hand split between middle and ring fingers'
+        },
+        beats: {
+            rock: { scissors: 'crushes', lizard: 'crushes' },
+            paper: { rock: 'covers', spock: 'disproves' },
+            scissors: { paper: 'cuts', lizard: 'decapitates' },
+            lizard: { paper: 'eats', spock: 'poisons' },
+            spock: { rock: 'vaporizes', scissors: 'smashes' }
+        }
+    },
+
+    // Five-gesture variant that only needs simple finger counts to detect
+    rpssw: {
+        id: 'rpssw',
+        name: 'Rock, Paper, Scissors, Sponge, Water',
+        gestures: ['rock', 'paper', 'scissors', 'sponge', 'water'],
+        poses: {
+            sponge: 'three',
+            water: 'point'
+        },
+        hints: {
+            sponge: 'three fingers up (index, middle, ring)',
+            water: 'point with your index finger'
+        },
+        beats: {
+            rock: { scissors: 'crushes', sponge: 'crushes' },
+            paper: { rock: 'covers', water: 'floats on' },
+            scissors: { paper: 'cuts', sponge: 'cut up' },
+            sponge: { paper: 'soaks', water: 'absorbs' },
+            water: { rock: 'erodes', scissors: 'rusts' }
+        }
+    }
+};
+
+export const DEFAULT_RULE_SET_ID = 'classic';
+
+// Hand shapes that count as another shape when the rule set doesn't use them
+// (e.g. a Spock split hand is still Paper in the classic game)
+const POSE_FALLBACKS = {
+    spock: 'paper'
+};
+
+
+// --- Rule Set Validation ---
+// Returns a list of problems (empty when the rule set is usable).
+// A valid rule set is a complete, consistent and balanced "beats" graph:
+// every pair of distinct gestures has exactly one winner, nothing beats itself,
+// and every gesture beats the same number of others (so N must be odd).
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    if (!ruleSet || typeof ruleSet !== 'object') {
+        return ['Rule set must be an object.'];
+    }
+
+    const gestures = ruleSet.gestures;
+    if (!Array.isArray(gestures) || gestures.length < 3) {
+        return ['Rule set needs a "gestures" array with at least 3 gestures.'];
+    }
+    if (new Set(gestures).size !== gestures.length) {
+        errors.push('Gesture ids must be unique.');
+    }
+    if (gestures.length % 2 === 0) {
+        errors.push(`An even number of gestures (${gestures.length}) can never be balanced.`);
+    }
+
+    // Poses must not map two gestures to the same hand shape
+    const poses = gestures.map(gesture => getGesturePose(ruleSet, gesture));
+    if (new Set(poses).size !== poses.length) {
+        errors.push('Two gestures share the same hand pose.');
+    }
+
+    const beats = ruleSet.beats || {};
+    for (const winner of Object.keys(beats)) {
+        if (!gestures.includes(winner)) {
+            errors.push(`"beats" refers to unknown gesture "${winner}".`);
+            continue;
+        }
+        for (const loser of Object.keys(beats[winner])) {
+            if (!gestures.includes(loser)) {
+                errors.push(`"${winner}" beats unknown gesture "${loser}".`);
+            } else if (loser === winner) {
+                errors.push(`"${winner}" cannot beat itself.`);
+            } else if (!beats[winner][loser]) {
+                errors.push(`Missing verb for "${winner}" beating "${loser}".`);
+            }
+        }
+    }
+
+    // Every pair must be decided in exactly one direction
+    for (let i = 0; i < gestures.length; i++) {
+        for (let j = i + 1; j < gestures.length; j++) {
+            const a = gestures[i], b = gestures[j];
+            const aBeatsB = !!(beats[a] && beats[a][b]);
+            const bBeatsA = !!(beats[b] && beats[b][a]);
+            if (aBeatsB && bBeatsA) {
+                errors.push(`"${a}" and "${b}" both beat each other.`);
+            } else if (!aBeatsB && !bBeatsA) {
+                errors.push(`No winner defined between "${a}" and "${b}".`);
+            }
+        }
+    }
+
+    // Balanced: each gesture wins against exactly half of the others
+    const expectedWins = (gestures.length - 1) / 2;
+    for (const gesture of gestures) {
+        const wins = Object.keys(beats[gesture] || {}).filter(loser => gestures.includes(loser) && loser !== gesture).length;
+        if (wins !== expectedWins) {
+            errors.push(`"${gesture}" beats ${wins} gestures, expected ${expectedWins}.`);
+        }
+    }
+
+    return errors;
+}
+
+
+// --- Rule Set Helpers ---
+
+// Looks up, validates and returns a rule set. Falls back to the classic rules
+// (with a console error) if the requested one is missing or invalid.
+export function loadRuleSet(ruleSetOrId) {
+    const ruleSet = typeof ruleSetOrId === 'string' ? RULE_SETS[ruleSetOrId] : ruleSetOrId;
+    if (!ruleSet) {
+        console.error(`Unknown rule set "${ruleSetOrId}". Falling back to "${DEFAULT_RULE_SET_ID}".`);
+        return RULE_SETS[DEFAULT_RULE_SET_ID];
+    }
+
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length > 0) {
+        console.error(`Rule set "${ruleSet.id || ruleSet.name}" rejected:`, errors);
+        return RULE_SETS[DEFAULT_RULE_SET_ID];
+    }
+    return ruleSet;
+}
+
+// Hand shape (as returned by classifyGesture) that plays the given gesture
+export function getGesturePose(ruleSet, gesture) {
+    return (ruleSet.poses && ruleSet.poses[gesture]) || gesture;
+}
+
+// Maps a classified hand shape back to a gesture of the rule set (or null if it isn't part of it)
+export function gestureForPose(ruleSet, pose) {
+    if (!pose) return null;
+    const gesture = ruleSet.gestures.find(g => getGesturePose(ruleSet, g) === pose);
+    if (gesture) return gesture;
+    return POSE_FALLBACKS[pose] ? gestureForPose(ruleSet, POSE_FALLBACKS[pose]) : null;
+}
+
+// Picks the best-scoring gesture of the rule set from a classifyGesture() result.
+// A pose the rule set doesn't use still counts for its fallback (e.g. Spock for Paper).
+// Returns { gesture, confidence }; gesture is null below minConfidence.
+export function classificationToGesture(ruleSet, classification, minConfidence) {
+    let best = { gesture: null, confidence: 0 };
+    for (const [pose, score] of Object.entries(classification.scores)) {
+        const gesture = gestureForPose(ruleSet, pose);
+        if (gesture && score > best.confidence) {
+            best = { gesture: gesture, confidence: score };
+        }
+    }
+    if (best.confidence < minConfidence) {
+        best.gesture = null;
+    }
+    return best;
+}
+
+// Verb used when `winner` beats `loser` (e.g. "vaporizes"), or null if it doesn't
+export function getBeatVerb(ruleSet, winner, loser) {
+    return (ruleSet.beats[winner] && ruleSet.beats[winner][loser]) || null;
+}
@@ -2,126 +2,541 @@
  * script.js for Gesture Rock Paper Scissors Game
  * Includes: MediaPipe Hands setup, Camera handling, Gesture classification,
  * Game logic, UI updates, Countdown timer, Simultaneous reveal, Reset functionality.
- * Uses .jpeg image paths as previously requested.
- * Sound effects are enabled but may be subject to browser autoplay restrictions.
+ * Icons, sounds and colors come from the asset pack (see assets.js); sounds play through the
+ * Web Audio mixer in mixer.js and may be subject to browser autoplay restrictions.
+ * The round itself (locking, countdown, reveal) is run by the state machine in engine.js;
+ * this module feeds it classified hands and turns its events into page updates.
+ * All text shown to players comes from the message catalogs, through t() (see i18n.js).
  */
 
+import { CLASSIFIER_THRESHOLDS, classifyGesture } from './classifier.js';
+import { RULE_SETS, DEFAULT_RULE_SET_ID, loadRuleSet, getGesturePose, gestureForPose, classificationToGesture, getBeatVerb } from './rules.js';
+import { AI_STRATEGIES, DEFAULT_STRATEGY_ID } from './strategies.js';
+import { MATCH_FORMATS, DEFAULT_MATCH_FORMAT_ID, createMatch, recordMatchRound, isMatchOver, currentRoundNumber } from './match.js';
+import {
+    RESULTS, loadRoundHistory, saveRoundHistory, clearRoundHistory, computeStats, toLocalDay,
+    historyToJSON, historyToCSV, parseHistoryFile, mergeRoundHistories
+} from './storage.js';
+import {
+    TRAINING_SAMPLES_PER_RECORDING, MIN_SAMPLES_PER_POSE, landmarksToFeatures, createGestureModel, addTrainingSample,
+    countTrainingSamples, trainGestureModel, classifyWithModel, parseGestureModel, loadGestureModel,
+    saveGestureModel, clearGestureModel
+} from './training.js';
+import { createNetplaySession } from './netplay.js';
+import { GAME_STATES, createGameEngine, judgeThrows } from './engine.js';
+import { createManualHand, createKeyboardProvider, createButtonProvider } from './input.js';
+import { createLandmarkRecorder, createReplayClock, createReplayProvider } from './recorder.js';
+import {
+    SETTING_GROUPS, SETTING_DEFINITIONS, defaultSettings, parseSettingValue, normalizeSettings, settingsFromURL,
+    settingsToURLParams, settingsFor, cheatPolicyFrom, loadSettings, saveSettings, clearSettings
+} from './settings.js';
+import {
+    TOURNAMENT_FORMATS, BOT_PERSONALITIES, MIN_TOURNAMENT_PLAYERS, MAX_TOURNAMENT_PLAYERS, createTournamentPlayer,
+    nextBotName, createTournament, tournamentRoundCount, tournamentRoundKind, getTournamentPlayer, getTournamentMatch, nextTournamentMatch,
+    isTournamentOver, recordTournamentResult, tournamentChampion, playBotMatch, computeStandings, standingsToCSV,
+    tournamentToJSON, loadTournament, saveTournament, clearTournament
+} from './tournament.js';
+import { drawExplainOverlay } from './overlay.js';
+import { PACK_COLORS, loadAssetPack, createFallbackAssetPack } from './assets.js';
+import { createAudioMixer } from './mixer.js';
+import { createSpectatorFeed } from './broadcast.js';
+import { CLIP_GALLERY_MAX_BYTES, createClipRecorder, createClipGallery } from './clips.js';
+import { createHandTracker } from './hand-tracker.js';
+import { createInferenceThrottle, createPerfMetrics } from './perf.js';
+import {
+    LOCALES, DEFAULT_LOCALE_ID, matchLocale, setLocale, getLocale, t, hasMessage, formatList, findCatalogProblems,
+    loadLocale, saveLocale
+} from './i18n.js';
+
 // --- DOM Element References ---
 const videoElement = document.getElementById('webcam');
 const canvasElement = document.getElementById('output-canvas');
 const canvasCtx = canvasElement.getContext('2d');
 const loadingMessage = document.getElementById('loading-message');
 const gameArea = document.getElementById('game-area');
-const playerGestureIcon = document.getElementById('player-gesture-icon');
-const computerGestureIcon = document.getElementById('computer-gesture-icon');
-const playerDetectedGestureText = document.getElementById('player-detected-gesture');
-const computerChosenGestureText = document.getElementById('computer-chosen-gesture');
 const resultMessage = document.getElementById('result-message');
-const playerScoreDisplay = document.getElementById('player-score');
-const computerScoreDisplay = document.getElementById('computer-score');
 const playAgainButton = document.getElementById('play-again');
 const countdownElement = document.getElementById('countdown');
 const detectionIndicator = document.getElementById('detection-indicator');
 const debugInfo = document.getElementById('debug-info'); // Optional for debugging
+const perfMetricsDisplay = document.getElementById('perf-metrics');
+const instructionsText = document.getElementById('instructions');
+const ruleSetSelect = document.getElementById('rule-set-select');
+const difficultySelect = document.getElementById('difficulty-select');
+const difficultyOption = document.getElementById('difficulty-option');
+const gameModeSelect = document.getElementById('game-mode-select');
+const matchFormatSelect = document.getElementById('match-format-select');
+const localeSelect = document.getElementById('locale-select');
+const matchStatus = document.getElementById('match-status');
+const matchResult = document.getElementById('match-result');
+const newMatchButton = document.getElementById('new-match');
+const matchHistoryArea = document.getElementById('match-history');
+const matchHistoryList = document.getElementById('match-history-list');
+const statsSummary = document.getElementById('stats-summary');
+const statsGestures = document.getElementById('stats-gestures');
+const statsTimeline = document.getElementById('stats-timeline');
+const exportJsonButton = document.getElementById('export-json');
+const exportCsvButton = document.getElementById('export-csv');
+const importHistoryButton = document.getElementById('import-history');
+const importHistoryFile = document.getElementById('import-history-file');
+const clearHistoryButton = document.getElementById('clear-history');
+const openTrainingButton = document.getElementById('open-training');
+const openSpectatorButton = document.getElementById('open-spectator');
+const clipsStatus = document.getElementById('clips-status');
+const clipsList = document.getElementById('clips-list');
+const clearClipsButton = document.getElementById('clear-clips');
+const clipsPanel = document.getElementById('clips-panel');
+const trainingPanel = document.getElementById('training-panel');
+const trainingGestures = document.getElementById('training-gestures');
+const trainingStatus = document.getElementById('training-status');
+const exportModelButton = document.getElementById('export-model');
+const importModelButton = document.getElementById('import-model');
+const importModelFile = document.getElementById('import-model-file');
+const resetModelButton = document.getElementById('reset-model');
+const closeTrainingButton = document.getElementById('close-training');
+const onlinePanel = document.getElementById('online-panel');
+const onlineCode = document.getElementById('online-code');
+const onlineStatus = document.getElementById('online-status');
+const onlineHostButton = document.getElementById('online-host');
+const onlineJoinButton = document.getElementById('online-join');
+const onlineAcceptButton = document.getElementById('online-accept');
+const onlineTabButton = document.getElementById('online-tab');
+const onlineDisconnectButton = document.getElementById('online-disconnect');
+const webcamContainer = document.getElementById('webcam-container');
+const inputIndicator = document.getElementById('input-indicator');
+const manualInputPanel = document.getElementById('manual-input');
+const recordLandmarksButton = document.getElementById('record-landmarks');
+const toggleInputButton = document.getElementById('toggle-input');
+const toggleSoundButton = document.getElementById('toggle-sound');
+const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+const announcer = document.getElementById('announcer');
+const modelError = document.getElementById('model-error');
+const modelErrorDetail = document.getElementById('model-error-detail');
+const retryModelButton = document.getElementById('retry-model');
+const modelErrorKeyboardButton = document.getElementById('model-error-keyboard');
+const openTournamentButton = document.getElementById('open-tournament');
+const tournamentPanel = document.getElementById('tournament-panel');
+const tournamentSetup = document.getElementById('tournament-setup');
+const tournamentNameInput = document.getElementById('tournament-name');
+const tournamentFormatSelect = document.getElementById('tournament-format-select');
+const tournamentPlayerNameInput = document.getElementById('tournament-player-name');
+const addTournamentPlayerButton = document.getElementById('add-tournament-player');
+const tournamentBotSelect = document.getElementById('tournament-bot-select');
+const addTournamentBotButton = document.getElementById('add-tournament-bot');
+const tournamentPlayersList = document.getElementById('tournament-players');
+const startTournamentButton = document.getElementById('start-tournament');
+const closeTournamentSetupButton = document.getElementById('close-tournament-setup');
+const tournamentView = document.getElementById('tournament-view');
+const tournamentTitle = document.getElementById('tournament-title');
+const tournamentBracket = document.getElementById('tournament-bracket');
+const tournamentStandings = document.getElementById('tournament-standings');
+const tournamentStatus = document.getElementById('tournament-status');
+const playTournamentMatchButton = document.getElementById('play-tournament-match');
+const exportStandingsCsvButton = document.getElementById('export-standings-csv');
+const exportTournamentJsonButton = document.getElementById('export-tournament-json');
+const endTournamentButton = document.getElementById('end-tournament');
+const closeTournamentViewButton = document.getElementById('close-tournament-view');
+const settingsGroups = document.getElementById('settings-groups');
+const settingsStatus = document.getElementById('settings-status');
+const shareSettingsButton = document.getElementById('share-settings');
+const resetSettingsButton = document.getElementById('reset-settings');
+
+// --- Sides ---
+// The two generic sides of the board: A (left panel) and B (right panel).
+// Against the computer, A is the player at the camera and B the computer;
+// in two-player mode both are humans sharing the camera.
+function createSide(id) {
+    return {
+        id: id,
+        name: '',
+        isHuman: false,
+        nameDisplay: document.getElementById(`side-${id}-name`),
+        icon: document.getElementById(`side-${id}-gesture-icon`),
+        text: document.getElementById(`side-${id}-gesture-text`),
+        scoreName: document.getElementById(`side-${id}-score-name`),
+        scoreDisplay: document.getElementById(`side-${id}-score`),
+        lockProgress: document.getElementById(`side-${id}-lock-progress`),
+        progress: 0,               // Hold progress towards the lock shown in lockProgress (0..1)
+        iconState: 'waiting',      // What icon shows: 'waiting', 'locked' or 'revealed' (iconGesture, see setSideIcon)
+        iconGesture: null,
+        announcedStatus: 'waiting' // Last detection status read out to screen readers (see handleSideUpdate)
+    };
+}
+
+const sides = { a: createSide('a'), b: createSide('b') };
 
 // --- Configuration ---
-const GESTURES = ['rock', 'paper', 'scissors'];
-// *** Ensure these paths match your files (using .jpeg as requested) ***
-const GESTURE_ICONS = {
-    rock: 'icons/rock.jpeg',
-    paper: 'icons/paper.jpeg',
-    scissors: 'icons/scissors.jpeg',
-    unknown: 'icons/unknown.jpeg' // Make sure you have an unknown.jpeg
+// Gestures and winning rules come from the active rule set (see rules.js).
+// It is picked at startup from the "?rules=" query parameter and can be switched in the game area.
+const urlParams = new URLSearchParams(window.location.search);
+let activeRuleSet = loadRuleSet(urlParams.get('rules') || DEFAULT_RULE_SET_ID);
+let GESTURES = activeRuleSet.gestures;
+// Computer opponent strategy (see strategies.js), picked with the difficulty selector
+let activeStrategy = AI_STRATEGIES[DEFAULT_STRATEGY_ID];
+// Who plays on each side. Two-player mode tracks two hands on the one webcam.
+// Mode names are modes.<id> in the message catalogs; sideNames are the keys of the side names.
+const GAME_MODES = {
+    solo: { id: 'solo', sideNames: { a: 'sides.you', b: 'sides.computer' }, humanSides: ['a'] },
+    local: { id: 'local', sideNames: { a: 'sides.leftPlayer', b: 'sides.rightPlayer' }, humanSides: ['a', 'b'] },
+    online: { id: 'online', sideNames: { a: 'sides.you', b: 'sides.opponent' }, humanSides: ['a'] }
 };
-const DETECTION_CONFIDENCE = 0.7; // Base confidence threshold for MediaPipe (adjust in setOptions)
-const GESTURE_LOCK_THRESHOLD = 15; // Frames needed to lock gesture before countdown (Increased slightly for stability)
-const COUNTDOWN_SECONDS = 3;
+// How hands are given to the sides in two-player mode:
+// 'position'   - by where the hand is on the (mirrored) screen: left half is side A, right half side B
+// 'handedness' - by MediaPipe's multiHandedness label: a left hand plays side A, a right hand side B
+const HAND_ASSIGNMENT = 'position';
+let gameMode = GAME_MODES.solo;
+// Detection, classifier, timing, look and audio settings (see settings.js): the saved ones,
+// overridden by any given in the URL. Edited in the settings panel.
+// Only what the player changes is saved: a shared link's values stay out of their saved settings.
+let urlSettings = settingsFromURL(urlParams);
+let savedSettings = loadSettings();
+let settings = normalizeSettings(Object.assign({}, savedSettings, urlSettings));
+Object.assign(CLASSIFIER_THRESHOLDS, settingsFor(settings, 'classifier')); // Read on every classification
+// Icons, sounds and colors come from the asset pack picked in the settings (see assets.js).
+// The placeholders and built-in tones stand in until it has loaded.
+let assetPack = createFallbackAssetPack();
+let assetPackRequest = 0;          // Only the pack asked for last is put in place
+// Sound effects play through the Web Audio mixer (see mixer.js)
+const mixer = createAudioMixer();
+// Round events for the spectator view on another screen (see broadcast.js and spectator.html)
+const spectatorFeed = createSpectatorFeed();
+// Replay clips: the last seconds of the camera picture with the landmarks are kept in a rolling
+// buffer, and a clip with the result burned in is cut from it at every reveal (see clips.js).
+// The buffer takes several recorders, so nothing is recorded until the clips panel is first opened.
+const clipRecorder = createClipRecorder({ video: videoElement, overlay: canvasElement, clipSeconds: settings.clipSeconds });
+let clipsWanted = false;
+clipRecorder.setEnabled(false);
+const clipGallery = createClipGallery();
+// Landmark recording and replay, for playing rounds without a webcam (see recorder.js):
+// ?record shows the record button; ?replay=<recording URL> replaces the camera (add &loop to repeat it)
+const RECORDING_ENABLED = urlParams.has('record');
+const REPLAY_URL = urlParams.get('replay');
+// A replay runs the engine on the recording's clock, so it plays out the same every time
+const replayClock = REPLAY_URL ? createReplayClock() : null;
+// MediaPipe is served with the game (see vendor/mediapipe/README.md), so it works offline
+const MEDIAPIPE_HANDS_PATH = 'vendor/mediapipe/hands';
+const MODEL_LOAD_TIMEOUT_MS = 30000; // Give up waiting for the hand tracking model after this long
+const METRICS_UPDATE_MS = 250;       // How often the performance metrics readout refreshes
+// Language of the game text: ?lang= wins, then the one picked in the game, then the browser's
+setLocale(matchLocale([urlParams.get('lang')]) || loadLocale() ||
+    matchLocale(navigator.languages || [navigator.language]) || DEFAULT_LOCALE_ID);
 
 // --- Game State Variables ---
-let playerScore = 0;
+let playerScore = 0;               // All-time score against the computer
 let computerScore = 0;
-let currentDetectedGesture = null; // The gesture currently being detected/held
-let gestureLocked = false;         // Flag: True only AFTER countdown finishes successfully
-let consecutiveFrames = 0;       // Counter for stable gesture detection
-let countdownTimer = null;         // Stores the setInterval ID for the countdown
-let gameInProgress = false;        // Flag: True during countdown and result display (prevents new detections)
-let handPresence = false;          // Flag: True if a hand is detected in the frame
-let lastProcessedGesture = null;   // Helps stabilize detection against minor flickering
-
-// --- MediaPipe Hands Setup ---
-const hands = new Hands({
-    locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
+let localScores = { a: 0, b: 0 };  // Two-player / online score for this session
+let handPresence = false;          // Flag: True if any hand is detected in the frame
+let roundHistory = [];             // Rounds played so far ({ player, computer, result }), used by the AI strategies
+let currentMatch = createMatch(MATCH_FORMATS[DEFAULT_MATCH_FORMAT_ID]); // Match being played (see match.js)
+let matchHistory = [];             // Finished matches, oldest first
+let storedRounds = [];             // Every round ever played, persisted in localStorage (see storage.js)
+let lockedConfidence = null;       // Side A's detection confidence when its gesture was locked
+let gestureModel = null;           // Trained k-NN model in use (see training.js), or null for the built-in classifier
+let trainingModel = null;          // Model being edited on the training screen
+let trainingMode = false;          // Flag: True while the training screen is open (pauses the game)
+let recordingPose = null;          // Pose currently being recorded on the training screen
+let recordingRemaining = 0;        // Frames left to capture for recordingPose
+let inputMode = 'webcam';          // 'webcam', or 'manual' when falling back to the keyboard and buttons
+let inputError = null;             // Why the camera couldn't be used in manual mode (null if the player chose to)
+let tournament = null;             // Running or finished tournament (see tournament.js), saved in localStorage
+let tournamentDraft = [];          // Players registered on the tournament setup screen
+let nextDraftPlayerId = 1;
+let tournamentMatch = null;        // { id, players: { a, b } } while a tournament match is played at the camera
+let settingsBeforeTournament = null; // Mode, strategy and rules to go back to after tournament play
+let metricsTimer = null;           // Refreshes the metrics readout while it's shown
+let explainMode = urlParams.has('explain'); // Classifier explain overlay (see overlay.js): ?explain, toggled with the ` key
+let netplayStatus = { code: 'notConnected', error: null }; // Last online connection status, shown in the online panel
+let lastResult = null;             // Arguments of the last displayResultMessage(), to show it again in another language
+
+// --- Round State Machine ---
+// Tracks each human side's gesture, runs the countdown and decides when to reveal (see engine.js)
+// (hold time, countdown length and late-throw grace come from the settings)
+const engine = createGameEngine(Object.assign(
+    { humanSides: gameMode.humanSides },
+    replayClock ? { timers: replayClock, now: replayClock.now } : {},
+    settingsFor(settings, 'engine')
+));
+
+// --- Online Play Setup ---
+// Side B's moves come from the remote player in online mode (see netplay.js)
+const netplay = createNetplaySession({
+    onStatus: (code, error) => showNetplayStatus(code, error),
+    onConnected: handleOpponentConnected,
+    onDisconnected: handleOpponentDisconnected,
+    getLocalInfo: () => ({ ruleSet: activeRuleSet.id })
 });
 
-hands.setOptions({
-    maxNumHands: 1,             // Process only the first detected hand
-    modelComplexity: 1,         // 0=fastest, 1=balanced, 2=most accurate
-    minDetectionConfidence: 0.6,// Minimum confidence for initial hand detection (Adjust if needed)
-    minTrackingConfidence: 0.6 // Minimum confidence for tracking hand across frames (Adjust if needed)
-});
+// --- MediaPipe Hands Setup ---
+// handTracker and camera are null when the MediaPipe scripts couldn't be loaded (e.g. missing
+// vendored files); the game then falls back to the keyboard and buttons (see useFallbackInput).
+// Tracking runs in a Web Worker where possible (see hand-tracker.js).
+const handTracker = typeof Hands !== 'undefined' ? createHandTracker({
+    handsPath: MEDIAPIPE_HANDS_PATH,
+    onResults: onResults,
+    useWorker: settings.trackInWorker
+}) : null;
+
+if (handTracker) {
+    handTracker.setOptions(Object.assign({
+        maxNumHands: 1              // Process only the first detected hand (2 in two-player mode, see applyGameMode)
+    }, settingsFor(settings, 'hands'))); // modelComplexity, minDetectionConfidence, minTrackingConfidence
+}
 
-// Register the callback function for when MediaPipe processes results
-hands.onResults(onResults);
+// Which camera frames get tracked (see perf.js), and the numbers for the metrics readout
+const inferenceThrottle = createInferenceThrottle({ maxFps: settings.maxTrackingFps });
+const perfMetrics = createPerfMetrics();
 
 // --- Camera Setup ---
-const camera = new Camera(videoElement, {
-    onFrame: async () => {
+// Frames are sent without waiting for the previous ones: the throttle skips camera frames
+// while one is being tracked, so the camera loop (and the page) never waits on inference.
+const camera = handTracker && typeof Camera !== 'undefined' ? new Camera(videoElement, {
+    onFrame: () => {
         if (!videoElement) return; // Ensure video element exists
-
-        // Match canvas dimensions to the video DISPLAY size for accurate drawing
-        // Do this on each frame in case of layout changes, though less critical if fixed size
-        canvasElement.width = videoElement.videoWidth;
-        canvasElement.height = videoElement.videoHeight;
-
-        // Prepare canvas for drawing (mirroring the webcam view)
-        canvasCtx.save();
-        canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height); // Clear canvas before drawing
-        // MediaPipe processes the original video, drawing should be overlaid correctly
-        // The mirroring for display is handled by CSS transform on video and canvas
-        await hands.send({ image: videoElement });
-        canvasCtx.restore();
+        const now = performance.now();
+        perfMetrics.recordCameraFrame(now);
+
+        // Match the canvas to the video frame so the landmarks line up
+        resizeCanvas(videoElement.videoWidth, videoElement.videoHeight);
+        clipRecorder.drawFrame(); // The previous frame's landmarks are still on the canvas
+
+        if (!inferenceThrottle.tryStart(now)) return; // Still tracking the last frame, or over the frame cap
+        // MediaPipe processes the original video; the mirroring for display is handled by CSS
+        handTracker.send(videoElement)
+            .then(() => {
+                const done = performance.now();
+                perfMetrics.recordTrackedFrame(done, inferenceThrottle.finish(done));
+            })
+            .catch(error => {
+                inferenceThrottle.finish(performance.now());
+                console.error("Hand tracking failed for a frame:", error);
+            });
     },
     width: 640, // Desired camera resolution width
     height: 480 // Desired camera resolution height
-});
+}) : null;
+
+// --- Input Providers ---
+// The webcam gesture detector is the main input; the keyboard and on-screen buttons
+// (see input.js) take over when it can't start. All of them feed handleInputFrame.
+const webcamProvider = {
+    id: 'webcam',
+    name: 'Camera',
+    start() {
+        if (!camera) {
+            return Promise.reject(new Error("MediaPipe could not be loaded."));
+        }
+        return camera.start();
+    },
+    stop() {
+        if (camera) camera.stop();
+    }
+};
+// A recording replaces the camera when ?replay is given. document.body's data-replay
+// ("playing" / "finished") and data-round-state attributes let a headless browser follow along.
+const replayProvider = REPLAY_URL ? createReplayProvider({
+    source: REPLAY_URL,
+    onResults: onResults,
+    clock: replayClock,
+    loop: urlParams.has('loop'),
+    onEnd: () => { document.body.dataset.replay = 'finished'; }
+}) : null;
+const gestureProvider = replayProvider || webcamProvider; // Where hand landmarks come from
+const landmarkRecorder = createLandmarkRecorder();
+const manualHand = createManualHand({ onFrame: handleInputFrame });
+const fallbackProviders = [
+    createKeyboardProvider({ hand: manualHand, getGestures: () => GESTURES }),
+    createButtonProvider({
+        hand: manualHand,
+        getGestures: () => GESTURES,
+        getIcon: (gesture) => gestureIcon(gesture),
+        getName: (gesture) => gestureName(gesture),
+        container: manualInputPanel
+    })
+];
 
 // --- Initialization Function ---
 function initializeGame() {
     console.log("Initializing game...");
+    const catalogProblems = findCatalogProblems();
+    if (catalogProblems.length > 0) {
+        console.warn("Message catalogs are out of step with en.js:", catalogProblems);
+    }
+    populateLocaleSelect();
+    translatePage();
+    applyAudioSettings();
+    useAssetPack(settings.assetPack); // Icons, sounds and colors (loads in the background)
+    populateRuleSetSelect();
+    populateDifficultySelect();
+    populateMatchFormatSelect();
+    populateGameModeSelect();
+    applyGameMode(gameMode);
+    updateMatchStatus();
+    applyRuleSet(activeRuleSet);
     resetUI(); // Start with a clean UI
-    playerScore = 0;
-    computerScore = 0;
-    updateScoreboard(); // Set scores to 0 initially
+    // Restore the all-time score from the saved history
+    storedRounds = loadRoundHistory();
+    restoreScoresFromHistory();
+    renderStatsPanel();
+    renderClipsPanel();
+    renderSettingsPanel();
+    updateMetricsReadout();
+    // Pick up a tournament left unfinished on the last visit
+    populateTournamentSelects();
+    tournament = loadTournament();
+    renderTournamentPanel();
+    tournamentPanel.classList.toggle('hidden', !tournament || isTournamentOver(tournament));
+    gestureModel = loadGestureModel();
+    if (gestureModel) {
+        console.log("Using trained gesture model:", countTrainingSamples(gestureModel));
+    }
+    recordLandmarksButton.classList.toggle('hidden', !RECORDING_ENABLED);
     loadingMessage.classList.remove('hidden'); // Show loading indicator
     gameArea.classList.add('hidden');         // Hide main game area
 
-    // Start the camera feed
-    camera.start()
+    // Load the hand tracking model, then start the camera feed (or the replay)
+    loadHandModel().then(startGestureInput, showModelLoadError);
+}
+
+// Loads the MediaPipe model and wasm up front, so a broken install shows an error instead of
+// a loading message that never goes away. Resolves right away when there's nothing to load
+// (replays don't use the model; without MediaPipe, webcamProvider.start() reports the problem).
+function loadHandModel() {
+    if (!handTracker || gestureProvider === replayProvider) return Promise.resolve();
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(t('modelError.timeout', { seconds: MODEL_LOAD_TIMEOUT_MS / 1000 }))), MODEL_LOAD_TIMEOUT_MS);
+    });
+    return Promise.race([handTracker.initialize(), timeout]).finally(() => {
+        clearTimeout(timer);
+        console.log(`Hand tracking runs ${handTracker.getBackend() === 'worker' ? 'in a worker' : 'on the page'}.`);
+    });
+}
+
+// Model load failed: say so, and offer a retry or the keyboard
+function showModelLoadError(error) {
+    console.error("Failed to load the hand tracking model:", error);
+    loadingMessage.classList.add('hidden');
+    modelErrorDetail.textContent = String((error && error.message) || error);
+    modelError.classList.remove('hidden');
+    modelErrorKeyboardButton.focus();
+}
+
+// Starts the camera feed (or the replay), falling back to the keyboard and buttons if it can't
+function startGestureInput() {
+    gestureProvider.start()
         .then(() => {
-            console.log("Camera started successfully.");
+            console.log(`${gestureProvider.name} started successfully.`);
+            if (gestureProvider === replayProvider) {
+                // Landmarks are normalized to the recorded frame, so use its aspect ratio
+                const size = replayProvider.getFrameSize();
+                resizeCanvas(size.width, size.height);
+                document.body.dataset.replay = 'playing';
+            }
+            updateInputIndicator();
             loadingMessage.classList.add('hidden');    // Hide loading message
             gameArea.classList.remove('hidden'); // Show the game area
             startDetectionCycle();               // Begin looking for hands
         })
         .catch(error => {
             console.error("Failed to start camera:", error);
-            loadingMessage.innerHTML = `<p>Error starting camera. Please grant permission and refresh.</p><p style="font-size: 0.8em; color: #ccc;">${error}</p>`;
+            useFallbackInput(error);
+        });
+}
+
+// No camera (denied, missing, or MediaPipe unavailable), or the player chose not to use it
+// (error is null then): play with the keyboard and buttons instead
+function useFallbackInput(error) {
+    console.warn("Falling back to keyboard and button input.");
+    inputMode = 'manual';
+    inputError = error;
+    toggleInputButton.textContent = t('options.useCamera');
+    toggleInputButton.setAttribute('aria-pressed', 'true');
+    toggleInputButton.classList.toggle('hidden', !!error); // Nothing to switch back to
+    webcamContainer.classList.add('hidden');
+    clipRecorder.stop(); // Starts again with the next camera frame
+    openTrainingButton.disabled = true; // Training needs the camera
+    // Two players would see each other's key presses, so two-player mode needs the camera
+    gameModeSelect.querySelector('option[value="local"]').disabled = true;
+    if (gameMode.id === 'local') {
+        applyGameMode(GAME_MODES.solo);
+        startNewMatch();
+    }
+
+    Promise.all(fallbackProviders.map(provider => provider.start()))
+        .then(() => {
+            manualHand.start();
+            updateInputIndicator();
+            applyRuleSet(activeRuleSet); // Instructions for the keys and buttons
+            loadingMessage.classList.add('hidden');
+            gameArea.classList.remove('hidden');
+            startDetectionCycle();
+        })
+        .catch(fallbackError => {
+            console.error("No input available:", fallbackError);
+            loadingMessage.innerHTML = `<p>${t('app.cameraError')}</p><p style="font-size: 0.8em; color: #ccc;">${error}</p>`;
             loadingMessage.classList.remove('hidden'); // Keep message visible on error
             gameArea.classList.add('hidden');
         });
 }
 
+// Back from the keyboard and buttons to the camera (or the replay)
+function useCameraInput() {
+    console.log("Switching to camera input.");
+    fallbackProviders.forEach(provider => provider.stop());
+    manualHand.stop();
+    inputMode = 'webcam';
+    inputError = null;
+    toggleInputButton.textContent = t('options.useKeyboard');
+    toggleInputButton.setAttribute('aria-pressed', 'false');
+    webcamContainer.classList.remove('hidden');
+    openTrainingButton.disabled = false;
+    gameModeSelect.querySelector('option[value="local"]').disabled = false;
+    applyRuleSet(activeRuleSet); // Camera instructions again
+    updateInputIndicator();
+    resetUI();
+    gestureProvider.start().catch(error => {
+        console.error("Failed to start camera:", error);
+        useFallbackInput(error);
+    });
+}
+
+// Switches between the camera and the keyboard/buttons, for players who can't or
+// would rather not play with gestures
+function toggleInputMode() {
+    if (inputMode === 'manual') {
+        useCameraInput();
+    } else {
+        gestureProvider.stop();
+        useFallbackInput(null);
+    }
+}
+
+// Shows which input is in use (and why the camera isn't, when falling back)
+function updateInputIndicator() {
+    inputIndicator.classList.toggle('fallback', inputMode === 'manual');
+    if (inputMode === 'manual') {
+        inputIndicator.textContent = t(inputError ? 'input.noCamera' : 'input.manual');
+        inputIndicator.title = inputError ? String(inputError.message || inputError) : "";
+    } else {
+        inputIndicator.textContent = t(gestureProvider === replayProvider ? 'input.replay' : 'input.camera');
+        inputIndicator.title = gestureProvider === replayProvider ? REPLAY_URL : "";
+    }
+}
+
 // --- MediaPipe Results Handler ---
-function onResults(results) {
+// time is the frame's time on the engine clock (given by replays, see recorder.js)
+function onResults(results, time) {
     // Update hand presence status and visual indicator FIRST
     handPresence = !!(results.multiHandLandmarks && results.multiHandLandmarks.length > 0);
     updateDetectionIndicator(handPresence);
+    landmarkRecorder.addFrame(results); // Only stored while recording
 
     // Clear the overlay canvas (drawing is optional)
     canvasCtx.save();
     canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
     // Optional: Draw Hand Landmarks for Debugging
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+    // (drawing_utils may be missing when replaying a recording without the CDN)
+    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0 && typeof drawConnectors !== 'undefined') {
          canvasCtx.scale(-1, 1); // Flip horizontally for drawing mirrored landmarks
          canvasCtx.translate(-canvasElement.width, 0);
          for (const landmarks of results.multiHandLandmarks) {
@@ -134,297 +549,527 @@ function onResults(results) {
     canvasCtx.restore();
     // --- End Optional Debugging Drawing ---
 
+    // The training screen takes over the hand stream while it's open
+    if (trainingMode) {
+        if (handPresence) {
+            recordTrainingFrame(results.multiHandLandmarks[0]);
+        }
+        return;
+    }
 
-    // --- Core Gesture Detection Logic ---
-    // Process only if a hand is present AND the game is not already in progress (countdown/reveal)
-    if (handPresence && !gameInProgress) {
-        const landmarks = results.multiHandLandmarks[0]; // Get landmarks for the detected hand
-        const gesture = classifyGesture(landmarks);      // Attempt to classify the gesture
-
-        // Optional: Display debug info
-        // debugInfo.textContent = `Hand: ${handPresence}, Gesture: ${gesture || 'None'}, Frames: ${consecutiveFrames}, Locked: ${gestureLocked}, InProgress: ${gameInProgress}`;
-
-        if (gesture) {
-            // Check if the detected gesture is the same as the one we're trying to lock
-            if (gesture === currentDetectedGesture) {
-                // Same gesture detected consecutively
-                consecutiveFrames++;
-                playerDetectedGestureText.textContent = `Hold ${capitalize(gesture)}... (${consecutiveFrames}/${GESTURE_LOCK_THRESHOLD})`; // Show progress
-            } else {
-                // New potential gesture detected
-                console.log(`New gesture detected: ${gesture}`);
-                currentDetectedGesture = gesture;
-                consecutiveFrames = 1; // Reset frame count for the new gesture
-                playerDetectedGestureText.textContent = `${capitalize(gesture)} Detected! Hold...`;
-                // Keep player icon as 'unknown' until reveal
-                playerGestureIcon.src = GESTURE_ICONS.unknown;
-                playerGestureIcon.classList.remove('chosen');
-            }
-            lastProcessedGesture = gesture; // Track the last seen valid gesture
-
-            // Check if the gesture has been held long enough to lock and start the countdown
-            if (consecutiveFrames >= GESTURE_LOCK_THRESHOLD && !countdownTimer) {
-               playerDetectedGestureText.textContent = `${capitalize(gesture)} Locked!`; // Confirm lock in text
-               startCountdown(); // Begin the countdown process
-            }
-
-        } else {
-            // Hand is present, but the pose doesn't match a known gesture (or classification returned null)
-            // Reset if the user shows an invalid gesture, requiring them to show a valid one again.
-             if (lastProcessedGesture !== null) { // Only reset if there WAS a gesture being tracked
-                console.log("Gesture lost or became unclear.");
-                resetDetectionState();
-                playerDetectedGestureText.textContent = "Show Rock, Paper, or Scissors";
-                playerGestureIcon.src = GESTURE_ICONS.unknown;
-                playerGestureIcon.classList.remove('chosen');
-                lastProcessedGesture = null; // Clear last processed since it's invalid now
-             } else {
-                 // If no gesture was being tracked, just prompt
-                 playerDetectedGestureText.textContent = "Show Rock, Paper, or Scissors";
-             }
+    // Give each human side its classified hand (or null if it's missing) and let the
+    // engine do the rest. Hands are classified through the countdown (the throw is what's
+    // shown at "Shoot!"); once revealed, the engine only needs to know they are still there.
+    const assignedHands = assignHandsToSides(results);
+    const frame = {};
+    for (const side of getHumanSides()) {
+        const hand = assignedHands[side.id];
+        if (!hand) {
+            frame[side.id] = null;
+            continue;
         }
-    } else if (!handPresence && !gameInProgress) {
-        // Hand is not detected, and game is not in progress
-        if (currentDetectedGesture || consecutiveFrames > 0) {
-            // If we were in the middle of detecting, reset state
-            console.log("Hand lost during detection phase.");
-            resetDetectionState();
-            stopCountdown(); // Ensure countdown stops if hand is removed
-            playerDetectedGestureText.textContent = "Show Hand";
-            playerGestureIcon.src = GESTURE_ICONS.unknown;
-            playerGestureIcon.classList.remove('chosen');
-            lastProcessedGesture = null;
-        } else {
-             // If just waiting, keep the "Show Hand" message
-             playerDetectedGestureText.textContent = "Show Hand";
+        const classification = isRoundRevealed() ? { gesture: null, confidence: 0 } : classifyHand(hand.landmarks);
+        frame[side.id] = {
+            gesture: classification.gesture,
+            gestureConfidence: classification.confidence, // Weighs this frame's vote
+            confidence: hand.confidence
+        };
+    }
+    handleInputFrame(frame, time);
+    if (explainMode) {
+        drawExplainOverlays(assignedHands); // After the engine update, so the lock rings are current
+    }
+}
+
+// Every input provider's frames end up here ({ a: { gesture, confidence } | null, ... }),
+// time defaulting to the engine's clock
+function handleInputFrame(frame, time) {
+    // Online rounds need an opponent on the other end
+    if (gameMode.id === 'online' && !netplay.isConnected()) {
+        if (!isRoundInProgress()) {
+            sides.a.text.textContent = t('side.connectFirst');
         }
+        return;
     }
-    // If gameInProgress is true, do nothing here - let playGame/resetUI handle state transitions.
+    engine.handleFrame(frame, time);
 }
 
+// Splits the detected hands between the human sides.
+// Returns { a: { landmarks, confidence } | null, b: ... }
+function assignHandsToSides(results) {
+    const assigned = { a: null, b: null };
+    const landmarksList = results.multiHandLandmarks || [];
+    const hands = landmarksList.map((landmarks, i) => {
+        const handedness = results.multiHandedness && results.multiHandedness[i];
+        return {
+            landmarks: landmarks,
+            confidence: handedness ? handedness.score : null,
+            label: handedness ? handedness.label : null
+        };
+    });
 
-// --- Gesture Classification Function (Simplified) ---
-// This function analyzes hand landmarks to determine the gesture.
-// It's a basic implementation using Y-coordinates and might need tuning.
-function classifyGesture(landmarks) {
-    if (!landmarks || landmarks.length < 21) return null; // Need all 21 landmarks
+    if (gameMode.humanSides.length === 1) {
+        assigned[gameMode.humanSides[0]] = hands[0] || null; // Only the first detected hand plays
+        return assigned;
+    }
 
-    // Define landmark indices (more readable)
-    const WRIST = 0;
-    const THUMB_CMC = 1, THUMB_MCP = 2, THUMB_IP = 3, THUMB_TIP = 4;
-    const INDEX_MCP = 5, INDEX_PIP = 6, INDEX_DIP = 7, INDEX_TIP = 8;
-    const MIDDLE_MCP = 9, MIDDLE_PIP = 10, MIDDLE_DIP = 11, MIDDLE_TIP = 12;
-    const RING_MCP = 13, RING_PIP = 14, RING_DIP = 15, RING_TIP = 16;
-    const PINKY_MCP = 17, PINKY_PIP = 18, PINKY_DIP = 19, PINKY_TIP = 20;
+    if (HAND_ASSIGNMENT === 'handedness' && hands.every(hand => hand.label)) {
+        for (const hand of hands) {
+            const sideId = hand.label === 'Left' ? 'a' : 'b';
+            assigned[sideId] = assigned[sideId] || hand;
+        }
+        return assigned;
+    }
 
-    // --- Helper Functions ---
-    // Checks if a finger is likely extended (tip is significantly "above" its base knuckle - lower Y value)
-    // Threshold might need tuning based on camera angle/distance.
-    const isExtended = (tipIndex, mcpIndex, threshold = 0.06) => {
-        return landmarks[tipIndex].y < landmarks[mcpIndex].y - threshold;
-    };
+    // By position. Landmark x is in the un-mirrored camera image, so a larger x
+    // is further LEFT on the mirrored screen.
+    if (hands.length === 1) {
+        assigned[hands[0].landmarks[0].x > 0.5 ? 'a' : 'b'] = hands[0];
+    } else if (hands.length >= 2) {
+        const [left, right] = hands.slice(0, 2).sort((h1, h2) => h2.landmarks[0].x - h1.landmarks[0].x);
+        assigned.a = left;
+        assigned.b = right;
+    }
+    return assigned;
+}
 
-    // Checks if a finger is likely curled (tip is "below" or near its base knuckle - higher or similar Y value)
-    // Threshold allows for some flexibility in fist shapes.
-    const isCurled = (tipIndex, mcpIndex, threshold = 0.02) => {
-         return landmarks[tipIndex].y > landmarks[mcpIndex].y - threshold;
-    };
+// Sides played by people at the camera in the current mode
+function getHumanSides() {
+    return gameMode.humanSides.map(id => sides[id]);
+}
+
+// True from the start of the countdown until the next round is set up
+function isRoundInProgress() {
+    return engine.getState() === GAME_STATES.COUNTDOWN || isRoundRevealed();
+}
+
+// True once the throws are final, until the next round is set up
+function isRoundRevealed() {
+    const state = engine.getState();
+    return state === GAME_STATES.REVEAL || state === GAME_STATES.RESULT;
+}
 
-    // Get extension status for each finger (excluding thumb initially)
-    const indexExtended = isExtended(INDEX_TIP, INDEX_MCP);
-    const middleExtended = isExtended(MIDDLE_TIP, MIDDLE_MCP);
-    const ringExtended = isExtended(RING_TIP, RING_MCP);
-    const pinkyExtended = isExtended(PINKY_TIP, PINKY_MCP);
-
-    // Get curl status for each finger
-    const indexCurled = isCurled(INDEX_TIP, INDEX_MCP);
-    const middleCurled = isCurled(MIDDLE_TIP, MIDDLE_MCP);
-    const ringCurled = isCurled(RING_TIP, RING_MCP);
-    const pinkyCurled = isCurled(PINKY_TIP, PINKY_MCP);
-
-    // --- Classification Logic ---
-
-    // PAPER: All 4 main fingers extended. Thumb position less critical but generally out.
-    if (indexExtended && middleExtended && ringExtended && pinkyExtended) {
-         // Add extra check: Tips should be significantly higher (lower Y) than the wrist for a clear paper gesture
-         if (landmarks[INDEX_TIP].y < landmarks[WRIST].y * 0.9 && // Adjust multiplier if needed (closer to 1 means less strict)
-             landmarks[MIDDLE_TIP].y < landmarks[WRIST].y * 0.9) {
-            // console.log("Classified as PAPER");
-            return 'paper';
-         }
-    }
 
-    // SCISSORS: Index and Middle extended, Ring and Pinky curled.
-    if (indexExtended && middleExtended && ringCurled && pinkyCurled) {
-        // console.log("Classified as SCISSORS");
-        return 'scissors';
+// --- Hand Classification ---
+// Uses the player's trained model when there is one, with the built-in
+// geometric classifier (classifier.js) as the fallback.
+// Returns { gesture, confidence } for the active rule set.
+function classifyHand(landmarks) {
+    const aspectRatio = canvasAspectRatio();
+    const minConfidence = CLASSIFIER_THRESHOLDS.minConfidence;
+    if (gestureModel) {
+        const learned = classificationToGesture(activeRuleSet, classifyWithModel(gestureModel, landmarks, aspectRatio), minConfidence);
+        if (learned.gesture) {
+            return learned;
+        }
     }
+    return classificationToGesture(activeRuleSet, classifyGesture(landmarks, aspectRatio), minConfidence);
+}
 
-    // ROCK: All 4 main fingers curled.
-    if (indexCurled && middleCurled && ringCurled && pinkyCurled) {
-        // Optional: Check thumb position (e.g., thumb tip close to index finger base/palm center)
-        // This helps distinguish from other curled hand shapes.
-        const thumbTip = landmarks[THUMB_TIP];
-        const indexPip = landmarks[INDEX_PIP]; // Check against index finger middle joint
-        const thumbToIndexPipDist = Math.hypot(thumbTip.x - indexPip.x, thumbTip.y - indexPip.y);
-        // console.log("Thumb-Index PIP dist:", thumbToIndexPipDist); // Debugging distance
-        if (thumbToIndexPipDist < 0.15) { // Threshold for thumb closeness (adjust needed)
-             // console.log("Classified as ROCK");
-             return 'rock';
+// Resizing a canvas reallocates (and clears) it, so only do it when the frame size changes
+function resizeCanvas(width, height) {
+    if (!width || !height || (canvasElement.width === width && canvasElement.height === height)) return;
+    canvasElement.width = width;
+    canvasElement.height = height;
+}
+
+// Explain overlay (see overlay.js) for every human side's hand, drawn over the landmarks.
+// Shows the built-in classifier's view; the panel title is what the game actually saw,
+// which comes from the trained model when one is in use.
+function drawExplainOverlays(assignedHands) {
+    const summaries = [];
+    canvasCtx.save();
+    canvasCtx.scale(-1, 1); // Same flip as the landmarks in onResults
+    canvasCtx.translate(-canvasElement.width, 0);
+    getHumanSides().forEach((side, i) => {
+        const hand = assignedHands[side.id];
+        if (!hand) return;
+        const classification = classifyGesture(hand.landmarks, canvasAspectRatio());
+        const result = classifyHand(hand.landmarks);
+        const seen = result.gesture
+            ? t('explain.seen', { gesture: gestureName(result.gesture), percent: Math.round(result.confidence * 100) })
+            : t('explain.noGesture');
+        const rows = Object.entries(classification.scores).map(([pose, score]) => {
+            const gesture = gestureForPose(activeRuleSet, pose);
+            const name = gesture && gesture !== pose ? t('explain.poseAs', { pose: poseName(pose), gesture: gestureName(gesture) }) : poseName(pose);
+            return { name: name, score: score, inPlay: !!gesture };
+        });
+        drawExplainOverlay(canvasCtx, {
+            landmarks: hand.landmarks,
+            classification: classification,
+            title: t(gestureModel ? 'explain.titleTrained' : 'explain.title', { name: side.name, seen: seen }),
+            rows: rows,
+            minConfidence: CLASSIFIER_THRESHOLDS.minConfidence,
+            lockProgress: side.progress,
+            lockedLabel: t('explain.locked'),
+            panel: i === 0 ? 'left' : 'right'
+        });
+        if (classification.features) {
+            summaries.push(t('explain.summary', { name: side.name, seen: seen, distance: classification.features.thumbToIndexDistance.toFixed(2) }));
         }
+    });
+    canvasCtx.restore();
+    debugInfo.textContent = t('explain.status', { hands: summaries.join(' | ') || t('explain.noHand') });
+}
+
+// Turns the explain overlay on or off (the landmarks are redrawn on the next frame)
+function toggleExplainMode() {
+    explainMode = !explainMode;
+    console.log(`Explain overlay ${explainMode ? 'on' : 'off'}.`);
+    if (!explainMode) {
+        debugInfo.textContent = "";
     }
+}
 
-    // If none of the above conditions are met confidently
-    // console.log("Classification: None");
-    return null;
+// Width / height of the video frame (landmark x and y are normalized to these)
+function canvasAspectRatio() {
+    return canvasElement.height ? canvasElement.width / canvasElement.height : 1;
 }
 
 
 // --- Game Logic Functions ---
 
-// Selects a random gesture for the computer
+// Selects the computer's gesture using the active strategy and the round history
 function computerPlay() {
-    const randomIndex = Math.floor(Math.random() * GESTURES.length);
-    return GESTURES[randomIndex];
+    return activeStrategy.play(roundHistory, activeRuleSet, Math.random);
 }
 
-// Determines the winner based on standard Rock Paper Scissors rules
+// Determines the winner using the "beats" graph of the active rule set
+// ('win' / 'lose' from the first choice's point of view, i.e. side A)
 function determineWinner(playerChoice, computerChoice) {
     if (playerChoice === computerChoice) {
         return 'draw'; // It's a tie
     }
-    // Winning conditions for the player
-    if (
-        (playerChoice === 'rock' && computerChoice === 'scissors') ||
-        (playerChoice === 'scissors' && computerChoice === 'paper') ||
-        (playerChoice === 'paper' && computerChoice === 'rock')
-    ) {
+    // Winning condition for the player (validated rule sets decide every pair one way)
+    if (getBeatVerb(activeRuleSet, playerChoice, computerChoice)) {
         return 'win';
     }
     // Otherwise, the player loses
     return 'lose';
 }
 
-// --- Core Gameplay Function (Called after countdown) ---
+// --- Core Gameplay Function (Called on the engine's "reveal" event) ---
+// reveal holds the thrown gesture and throw flags of each human side, keyed by side id.
 // Uses requestAnimationFrame for a smoother simultaneous reveal effect.
-function playGame() {
-    // Double-check: Should only run if a gesture was successfully locked by the countdown
-    if (!currentDetectedGesture || !gestureLocked) {
-        console.warn("playGame called without a locked gesture. Resetting state.");
-        resetUI(); // Reset if state is inconsistent
+function playGame(reveal) {
+    // A decided match locks out further rounds until "New Match"
+    if (isMatchOver(currentMatch)) {
+        console.warn("playGame called after the match was decided. Ignoring.");
+        engine.finishRound();
         return;
     }
 
-    // Set game state to prevent interference from new detections until "Play Again"
-    gameInProgress = true;
     console.log("PlayGame triggered. Determining winner...");
 
-    // Determine choices
-    const playerChoice = currentDetectedGesture; // The gesture locked by the countdown
-    const computerChoice = computerPlay();
+    // Determine choices: gestures thrown at "Shoot!"; side B's may come from the computer or the remote player
+    const isSolo = gameMode.id === 'solo';
+    const choiceA = reveal.gestures.a;
 
     // --- Step 1: Set BOTH areas to a neutral "Revealing..." state IMMEDIATELY ---
-    // This prevents showing the player's final choice before the computer's is ready.
-    playerGestureIcon.src = GESTURE_ICONS.unknown;
-    computerGestureIcon.src = GESTURE_ICONS.unknown;
-    playerDetectedGestureText.textContent = "..."; // Indicate revealing
-    computerChosenGestureText.textContent = "..."; // Indicate revealing
-    playerGestureIcon.classList.remove('chosen');  // Clear potential highlights
-    computerGestureIcon.classList.remove('chosen');
-    resultMessage.textContent = "Revealing...";    // Update status message
+    // This prevents showing one side's final choice before the other's is ready.
+    for (const side of Object.values(sides)) {
+        setSideIcon(side, 'waiting');
+        side.text.textContent = "...";            // Indicate revealing
+        side.icon.classList.remove('chosen');     // Clear potential highlights
+    }
+    resultMessage.textContent = t('result.revealing'); // Update status message
     resultMessage.className = '';                  // Clear win/lose/draw styling
     countdownElement.textContent = "";             // Clear "Shoot!" text
+    spectatorFeed.publish('revealing');
+
+    resolveSideBChoice(reveal)
+        .then(throwB => revealRound(choiceA, throwB.gesture, { a: reveal.flags.a, b: throwB.flags }, isSolo))
+        .catch(error => {
+            // Only online rounds can fail (opponent gone, timed out or cheating)
+            console.warn("Round cancelled:", error.message);
+            resultMessage.textContent = t('result.roundCancelled', { reason: describeNetplayError(error) });
+            resultMessage.className = '';
+            for (const side of Object.values(sides)) {
+                side.text.textContent = "-";
+            }
+            spectatorFeed.publish('message', { text: resultMessage.textContent });
+            showRoundAction(playAgainButton);
+            engine.finishRound();
+        });
+    // --- End of playGame function ---
+}
 
+// Side B's throw ({ gesture, flags }): the other person at the camera, the computer's pick,
+// or the remote player's move (after the commit-reveal exchange). Always a promise.
+function resolveSideBChoice(reveal) {
+    if (gameMode.id === 'online') {
+        sides.b.text.textContent = t('side.waitingOpponent');
+        return netplay.exchangeMove(reveal.gestures.a, GESTURES, reveal.flags.a);
+    }
+    if (sides.b.isHuman) {
+        return Promise.resolve({ gesture: reveal.gestures.b, flags: reveal.flags.b });
+    }
+    return Promise.resolve({ gesture: computerPlay(), flags: [] });
+}
+
+// Final part of playGame, once both choices are known.
+// flags are the throw flags of each side ({ a: ['late'], b: [] }), judged by the fair play settings.
+function revealRound(choiceA, choiceB, flags, isSolo) {
     // --- Step 2: Use requestAnimationFrame to schedule the FINAL reveal ---
     // This ensures the browser renders the "Revealing..." state above first,
     // then performs the updates below together in the next paint cycle,
     // making the reveal appear simultaneous.
     requestAnimationFrame(() => {
-        console.log(`Final Reveal - Player: ${playerChoice}, Computer: ${computerChoice}`);
-
-        // --- Step 3: Update BOTH player and computer visuals to final choices ---
-        updatePlayerChoiceUI(playerChoice, true);    // Show player's locked choice with styling
-        updateComputerChoiceUI(computerChoice, true); // Show computer's random choice with styling
+        console.log(`Final Reveal - ${sides.a.name}: ${choiceA}, ${sides.b.name}: ${choiceB}`);
+
+        // --- Step 3: Update BOTH sides' visuals to final choices ---
+        updateSideChoiceUI(sides.a, choiceA, true);  // Show side A's choice with styling
+        updateSideChoiceUI(sides.b, choiceB, true);  // Show side B's choice with styling
+
+        // A replayed round doesn't count: show why and go again
+        const verdict = judgeThrows(flags, cheatPolicyFrom(settings));
+        if (verdict.replay) {
+            resultMessage.textContent = t('result.roundVoid', { reasons: describeThrowFlags(verdict.warnings) });
+            resultMessage.className = '';
+            publishReveal({ a: choiceA, b: choiceB }, null);
+            saveRevealClip(null);
+            showRoundAction(playAgainButton);
+            engine.finishRound();
+            return;
+        }
 
-        // --- Step 4: Determine and display the outcome ---
-        const result = determineWinner(playerChoice, computerChoice);
+        // --- Step 4: Determine and display the outcome (result is from side A's point of view) ---
+        const result = applyForfeits(determineWinner(choiceA, choiceB), verdict.forfeits);
+        if (isSolo) {
+            roundHistory.push({ player: choiceA, computer: choiceB, result: result }); // Feed the AI strategies
+            if (!tournamentMatch) {
+                saveRound(choiceA, choiceB, result); // Persist for the stats panel (named tournament players aren't "you")
+            }
+        }
+        const matchWinner = recordMatchRound(currentMatch, choiceA, choiceB, result);
         updateScore(result);                         // Update score variables
-        displayResultMessage(result, playerChoice, computerChoice); // Show win/lose/draw message
-        playSound(result);                           // Play optional sound effect
-
-        // --- Step 5: Enable playing again ---
-        playAgainButton.classList.remove('hidden'); // Show the "Play Again" button
+        updateMatchStatus();                         // Refresh the round counter
+        displayResultMessage(result, choiceA, choiceB, verdict); // Show win/lose/draw message
+        playSound(result);                           // Win, lose or draw sound of the asset pack
+        publishReveal({ a: choiceA, b: choiceB }, result); // Same reveal on the spectator view
+        saveRevealClip(result);                      // Replay clip with the result message burned in
+
+        // --- Step 5: Enable playing again (next round, or a new match once this one is decided) ---
+        if (matchWinner) {
+            displayMatchResult(matchWinner);         // Match over: only "New Match" continues
+        } else {
+            showRoundAction(playAgainButton); // Show the "Play Again" button
+        }
 
-        // gameInProgress remains true until 'Play Again' is clicked, handled by resetUI()
+        // The engine stays in "result" until 'Play Again' (or 'New Match') is clicked, handled by resetUI()
+        engine.finishRound();
     });
-    // --- End of playGame function ---
+}
+
+
+// A side that forfeits loses the round, whatever it threw (a draw if both do)
+function applyForfeits(result, forfeits) {
+    if (forfeits.includes('a') && forfeits.includes('b')) return 'draw';
+    if (forfeits.includes('a')) return 'lose';
+    if (forfeits.includes('b')) return 'win';
+    return result;
+}
+
+// "You threw late and Right Player changed gesture during the countdown"
+function describeThrowFlags(warnings) {
+    return formatList(Object.entries(warnings).map(([sideId, sideFlags]) => t('flags.side', {
+        name: sides[sideId].name,
+        flags: formatList(sideFlags.map(flag => t(`flags.${flag}`, {}, flag)))
+    })));
 }
 
 
 // --- UI Update Functions ---
 
-// Updates the scoreboard display
+// Updates the scoreboard display (all-time score vs computer, this session's two-player score,
+// or the match score in a tournament)
 function updateScoreboard() {
-    playerScoreDisplay.textContent = playerScore;
-    computerScoreDisplay.textContent = computerScore;
+    const scores = tournamentMatch
+        ? { a: currentMatch.playerWins, b: currentMatch.computerWins }
+        : gameMode.id === 'solo' ? { a: playerScore, b: computerScore } : localScores;
+    for (const side of Object.values(sides)) {
+        side.scoreName.textContent = side.name;
+        side.scoreDisplay.textContent = scores[side.id];
+    }
+    publishScoreboard();
 }
 
-// Updates the score variables based on the round result
+// Updates the score variables based on the round result (from side A's point of view)
 function updateScore(result) {
-    if (result === 'win') {
-        playerScore++;
+    if (tournamentMatch) {
+        updateScoreboard(); // Tournament players only have their match score (kept by currentMatch)
+        return;
+    }
+    if (gameMode.id === 'solo') {
+        if (result === 'win') {
+            playerScore++;
+        } else if (result === 'lose') {
+            computerScore++;
+        }
+    } else if (result === 'win') {
+        localScores.a++;
     } else if (result === 'lose') {
-        computerScore++;
+        localScores.b++;
     }
     updateScoreboard(); // Refresh the scoreboard display
 }
 
-// Updates the player's side of the UI (icon, text, highlight)
-function updatePlayerChoiceUI(gesture, isFinalChoice) {
+// Sets the scoreboard to the all-time totals of the saved history
+function restoreScoresFromHistory() {
+    const stats = computeStats(storedRounds);
+    playerScore = stats.wins;
+    computerScore = stats.losses;
+    updateScoreboard();
+}
+
+// Updates the round counter and match score line
+function updateMatchStatus() {
+    const format = currentMatch.format;
+    if (format.type === 'free') {
+        matchStatus.textContent = t('match.round', { round: currentRoundNumber(currentMatch) });
+    } else {
+        matchStatus.textContent = t('match.status', {
+            format: matchFormatName(format),
+            round: currentRoundNumber(currentMatch),
+            nameA: sides.a.name,
+            scoreA: currentMatch.playerWins,
+            scoreB: currentMatch.computerWins,
+            nameB: sides.b.name
+        });
+    }
+    publishScoreboard();
+}
+
+// Shows the dedicated match result state and the "New Match" action
+function displayMatchResult(winner) {
+    const score = `${currentMatch.playerWins}–${currentMatch.computerWins}`;
+    matchResult.className = winner === 'player' ? 'win' : 'lose';
+    if (gameMode.id === 'solo' && !tournamentMatch) {
+        matchResult.textContent = t(winner === 'player' ? 'match.youWon' : 'match.computerWon', { score: score });
+    } else {
+        const winnerSide = winner === 'player' ? sides.a : sides.b;
+        matchResult.textContent = t('match.sideWon', { name: winnerSide.name, score: score });
+    }
+    matchResult.classList.remove('hidden');
+    playAgainButton.classList.add('hidden');
+    spectatorFeed.publish('matchResult', { winner: winner === 'player' ? 'a' : 'b', message: matchResult.textContent });
+    showRoundAction(newMatchButton);
+    if (tournamentMatch) {
+        completeTournamentMatch(winner);
+    }
+}
+
+// Lists finished matches, most recent first
+function updateMatchHistory() {
+    matchHistoryList.innerHTML = '';
+    for (const match of matchHistory.slice().reverse()) {
+        const item = document.createElement('li');
+        const winnerName = match.winner === 'player' ? match.sideNames.a : match.sideNames.b;
+        item.textContent = t('match.historyItem', {
+            name: winnerName,
+            score: `${match.playerWins}–${match.computerWins}`,
+            format: matchFormatName(match.format),
+            count: match.rounds.length
+        });
+        item.className = match.winner === 'player' ? 'win' : 'lose';
+        matchHistoryList.appendChild(item);
+    }
+    matchHistoryArea.classList.toggle('hidden', matchHistory.length === 0);
+}
+
+// Starts a fresh match in the selected format (this also ends tournament play)
+function startNewMatch() {
+    if (tournamentMatch) {
+        leaveTournamentMatch();
+    }
+    const format = MATCH_FORMATS[matchFormatSelect.value] || MATCH_FORMATS[DEFAULT_MATCH_FORMAT_ID];
+    beginMatch(format, modeSideNames(gameMode));
+}
+
+// Archives a finished match and starts a new one between the named sides
+function beginMatch(format, sideNames) {
+    if (isMatchOver(currentMatch)) {
+        matchHistory.push(currentMatch);
+        updateMatchHistory();
+    }
+    currentMatch = createMatch(format, sideNames);
+    applySideNames(sideNames);
+    console.log(`New match started: ${format.name}`);
+
+    matchResult.textContent = "";
+    matchResult.className = 'hidden';
+    newMatchButton.classList.add('hidden');
+    updateMatchStatus();
+    resetUI();
+}
+
+// Updates one side of the UI (icon, text, highlight)
+function updateSideChoiceUI(side, gesture, isFinalChoice) {
     // Use the actual gesture icon only for the final reveal
-    playerGestureIcon.src = (isFinalChoice && gesture) ? GESTURE_ICONS[gesture] : GESTURE_ICONS.unknown;
+    if (isFinalChoice && gesture) {
+        setSideIcon(side, 'revealed', gesture);
+    } else {
+        setSideIcon(side, 'waiting');
+    }
     // Text depends on the state (detecting, holding, final)
-    // Simplified here; specific text is handled by onResults, startCountdown, playGame
-    playerDetectedGestureText.textContent = (isFinalChoice && gesture) ? capitalize(gesture) : playerDetectedGestureText.textContent; // Keep existing text if not final
+    // Simplified here; specific text is handled by the engine event handlers and playGame
+    side.text.textContent = (isFinalChoice && gesture) ? gestureName(gesture) : side.text.textContent; // Keep existing text if not final
+    side.icon.alt = (isFinalChoice && gesture)
+        ? t('sides.choiceAlt', { name: side.name, gesture: gestureName(gesture) })
+        : t('sides.gestureAlt', { name: side.name });
 
     if (isFinalChoice) {
-        playerGestureIcon.classList.add('chosen'); // Add highlight/animation class
+        side.icon.classList.add('chosen'); // Add highlight/animation class
     } else {
-        playerGestureIcon.classList.remove('chosen');
+        side.icon.classList.remove('chosen');
     }
 }
 
-// Updates the computer's side of the UI (icon, text, highlight)
-function updateComputerChoiceUI(gesture, isFinalChoice) {
-     computerGestureIcon.src = (isFinalChoice && gesture) ? GESTURE_ICONS[gesture] : GESTURE_ICONS.unknown;
-     computerChosenGestureText.textContent = (isFinalChoice && gesture) ? capitalize(gesture) : "Waiting...";
-     if (isFinalChoice) {
-        computerGestureIcon.classList.add('chosen'); // Add highlight/animation class
-    } else {
-        computerGestureIcon.classList.remove('chosen');
-    }
+// Shows how far a human side is towards locking its gesture (bar under its icon)
+// (progress: 0..1)
+function updateLockProgress(side, progress) {
+    side.progress = progress;
+    side.lockProgress.style.width = `${progress * 100}%`;
+    side.lockProgress.classList.toggle('locked', progress >= 1);
+    side.lockProgress.parentElement.setAttribute('aria-valuenow', Math.round(progress * 100));
 }
 
 // Displays the result message (Win, Lose, Draw) with styling
-function displayResultMessage(result, playerChoice, computerChoice) {
+// In two-player mode the message names the winning side instead of "You Win/Lose".
+// verdict (from judgeThrows) adds forfeits and warnings about late or changed throws.
+function displayResultMessage(result, playerChoice, computerChoice, verdict) {
     let message = "";
+    lastResult = [result, playerChoice, computerChoice, verdict];
     resultMessage.className = ''; // Clear previous result classes
+    const isSolo = gameMode.id === 'solo' && !tournamentMatch; // Tournament players are called by name
+    const forfeited = verdict && verdict.forfeits.length > 0;
+
+    // "You Win!", "Right Player Wins!", "It's a Draw!"
+    const outcome = result === 'draw' ? t('result.draw') : result === 'win'
+        ? (isSolo ? t('result.youWin') : t('result.sideWins', { name: sides.a.name }))
+        : (isSolo ? t('result.youLose') : t('result.sideWins', { name: sides.b.name }));
 
     switch (result) {
         case 'win':
-            message = `${capitalize(playerChoice)} beats ${capitalize(computerChoice)}. You Win! 🎉`;
+            message = `${t('result.decided', { clause: describeWin(playerChoice, computerChoice), outcome: outcome })} 🎉`;
             resultMessage.classList.add('win');
             break;
         case 'lose':
-            message = `${capitalize(computerChoice)} beats ${capitalize(playerChoice)}. You Lose! 😢`;
+            message = `${t('result.decided', { clause: describeWin(computerChoice, playerChoice), outcome: outcome })} ${isSolo ? '😢' : '🎉'}`;
             resultMessage.classList.add('lose');
             break;
         case 'draw':
-            message = `It's a Draw! Both chose ${capitalize(playerChoice)}. 🤝`;
+            message = `${t('result.bothChose', { gesture: gestureName(playerChoice) })} 🤝`;
             resultMessage.classList.add('draw');
             break;
         default: // Should not happen
-             message = "Game Over";
+             message = t('result.gameOver');
+    }
+    if (forfeited) {
+        // The gestures didn't decide this round
+        message = t('result.forfeit', { reasons: describeThrowFlags(verdict.warnings), outcome: outcome });
+    } else if (verdict && Object.keys(verdict.warnings).length > 0) {
+        message += ` ⚠️ ${t('result.warnings', { reasons: describeThrowFlags(verdict.warnings) })}`;
     }
     resultMessage.textContent = message;
 }
@@ -432,38 +1077,36 @@ function displayResultMessage(result, playerChoice, computerChoice) {
 // Resets the UI and relevant game state variables for a new round
 function resetUI() {
     console.log("Resetting UI for new round...");
-    gameInProgress = false; // Allow detection to resume
-    resultMessage.textContent = "Show your hand to start!";
+    resultMessage.textContent = t('result.showHand');
     resultMessage.className = ''; // Clear result styling
     playAgainButton.classList.add('hidden'); // Hide "Play Again" button
 
-    // Reset player display
-    playerGestureIcon.src = GESTURE_ICONS.unknown;
-    playerGestureIcon.classList.remove('chosen');
-    playerDetectedGestureText.textContent = "Detecting...";
-
-    // Reset computer display
-    computerGestureIcon.src = GESTURE_ICONS.unknown;
-    computerGestureIcon.classList.remove('chosen');
-    computerChosenGestureText.textContent = "Waiting...";
+    // Reset both sides' displays (humans detect, the computer waits)
+    for (const side of Object.values(sides)) {
+        setSideIcon(side, 'waiting');
+        side.icon.classList.remove('chosen');
+        side.text.textContent = t(side.isHuman ? 'side.detecting' : 'side.waiting');
+        side.announcedStatus = 'waiting';
+        updateLockProgress(side, 0);
+    }
 
-    // Clear countdown text and stop any active timer
+    // Clear countdown text and drop any round in progress (stops the countdown timer)
     countdownElement.textContent = "";
-    stopCountdown();
-
-    // Reset internal detection state variables
-    resetDetectionState();
-    lastProcessedGesture = null; // Reset last processed gesture
+    manualHand.clear(); // A keyboard/button pick only counts for one round
+    engine.reset();
     debugInfo.textContent = ""; // Clear debug info
+    clipRecorder.setBanner(null);
+    spectatorFeed.publish('roundReset', { message: resultMessage.textContent });
 }
 
-// Resets only the variables related to gesture detection stability
-function resetDetectionState() {
-     // console.log("Resetting detection state (frames, locked flag, current gesture)");
-     gestureLocked = false;
-     currentDetectedGesture = null;
-     consecutiveFrames = 0;
-     // No visual changes here, handled by callers (resetUI or onResults)
+// Shows "Play Again" or "New Match" and moves keyboard focus to it (Enter continues),
+// unless the player is busy with another control
+function showRoundAction(button) {
+    button.classList.remove('hidden');
+    const active = document.activeElement;
+    if (!active || active === document.body || active === playAgainButton || active === newMatchButton) {
+        button.focus({ preventScroll: true });
+    }
 }
 
 // Updates the visual indicator for hand detection (red/green dot)
@@ -471,72 +1114,1204 @@ function updateDetectionIndicator(detected) {
     if (detected) {
         if (!detectionIndicator.classList.contains('detected')) {
             detectionIndicator.classList.add('detected'); // Turn green
+            detectionIndicator.setAttribute('aria-label', t('detection.found'));
         }
     } else {
         if (detectionIndicator.classList.contains('detected')) {
             detectionIndicator.classList.remove('detected'); // Turn red (default)
+            detectionIndicator.setAttribute('aria-label', t('detection.none'));
         }
     }
 }
 
 
-// --- Countdown Logic ---
-function startCountdown() {
-    // Prevent starting multiple countdowns or if no gesture is ready/locked
-    if (countdownTimer || !currentDetectedGesture) {
-        console.warn("Countdown start prevented: Timer active or no gesture.");
+// --- Game Options UI ---
+
+// Fills the rule set picker from RULE_SETS (at startup and when the language changes)
+function populateRuleSetSelect() {
+    ruleSetSelect.innerHTML = '';
+    for (const ruleSet of Object.values(RULE_SETS)) {
+        const option = document.createElement('option');
+        option.value = ruleSet.id;
+        option.textContent = ruleSetName(ruleSet);
+        ruleSetSelect.appendChild(option);
+    }
+    ruleSetSelect.value = activeRuleSet.id;
+}
+
+// Fills the difficulty picker from AI_STRATEGIES (at startup and when the language changes)
+function populateDifficultySelect() {
+    difficultySelect.innerHTML = '';
+    for (const strategy of Object.values(AI_STRATEGIES)) {
+        const option = document.createElement('option');
+        option.value = strategy.id;
+        option.textContent = strategyName(strategy);
+        difficultySelect.appendChild(option);
+    }
+    difficultySelect.value = activeStrategy.id;
+}
+
+// Fills the match format picker from MATCH_FORMATS (at startup and when the language changes)
+function populateMatchFormatSelect() {
+    matchFormatSelect.innerHTML = '';
+    for (const format of Object.values(MATCH_FORMATS)) {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = matchFormatName(format);
+        matchFormatSelect.appendChild(option);
+    }
+    matchFormatSelect.value = currentMatch.format.id;
+}
+
+// Fills the game mode picker from GAME_MODES (at startup and when the language changes)
+function populateGameModeSelect() {
+    gameModeSelect.innerHTML = '';
+    for (const mode of Object.values(GAME_MODES)) {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = t(`modes.${mode.id}`);
+        option.disabled = mode.id === 'local' && inputMode === 'manual'; // See useFallbackInput
+        gameModeSelect.appendChild(option);
+    }
+    gameModeSelect.value = gameMode.id;
+}
+
+// Switches between playing the computer and two players on one camera
+function applyGameMode(mode) {
+    gameMode = mode;
+    gameModeSelect.value = mode.id;
+    for (const side of Object.values(sides)) {
+        side.isHuman = mode.humanSides.includes(side.id);
+        side.lockProgress.parentElement.classList.toggle('hidden', !side.isHuman);
+    }
+    applySideNames(modeSideNames(mode));
+    engine.configure({ humanSides: mode.humanSides });
+    difficultyOption.classList.toggle('hidden', mode.id !== 'solo'); // No computer to configure
+    onlinePanel.classList.toggle('hidden', mode.id !== 'online');
+    if (mode.id !== 'online') {
+        netplay.disconnect();
+    }
+    if (handTracker) {
+        handTracker.setOptions({ maxNumHands: mode.humanSides.length }); // Track one hand per human side
+    }
+    console.log(`Game mode: ${mode.id}`);
+}
+
+// The side names of a game mode in the current language ({ a: "You", b: "Computer" })
+function modeSideNames(mode) {
+    return { a: t(mode.sideNames.a), b: t(mode.sideNames.b) };
+}
+
+// Shows who plays each side ({ a, b }) on the board and the scoreboard
+function applySideNames(sideNames) {
+    for (const side of Object.values(sides)) {
+        side.name = sideNames[side.id];
+        side.nameDisplay.textContent = side.name;
+        side.icon.alt = t('sides.gestureAlt', { name: side.name });
+    }
+    updateScoreboard();
+}
+
+// Makes the given rule set active and updates the rule-dependent text
+function applyRuleSet(ruleSet) {
+    activeRuleSet = ruleSet;
+    GESTURES = ruleSet.gestures;
+    ruleSetSelect.value = ruleSet.id;
+
+    // List any non-obvious gestures in the instructions
+    const hints = ruleSet.gestures
+        .filter(gesture => ruleSet.hints && ruleSet.hints[gesture])
+        .map(gesture => t('instructions.hint', {
+            gesture: gestureName(gesture),
+            hint: t(`hints.${gesture}`, {}, ruleSet.hints[gesture])
+        }));
+    if (inputMode === 'manual') {
+        instructionsText.textContent = t('instructions.manual', { gestures: formatGestureList() });
+        fallbackProviders.forEach(provider => provider.render && provider.render());
+    } else {
+        instructionsText.textContent = [t('instructions.camera', { gestures: formatGestureList() })].concat(hints).join(' ');
+    }
+    console.log(`Rule set active: ${ruleSet.name}`);
+}
+
+// "Rock, Paper, or Scissors" for the active rule set
+function formatGestureList() {
+    return formatList(GESTURES.map(gestureName), 'disjunction');
+}
+
+
+// --- Language ---
+
+// Fills the language picker from LOCALES (once, at startup); each language in its own name
+function populateLocaleSelect() {
+    localeSelect.innerHTML = '';
+    for (const locale of Object.values(LOCALES)) {
+        const option = document.createElement('option');
+        option.value = locale.id;
+        option.textContent = locale.name;
+        option.lang = locale.id;
+        localeSelect.appendChild(option);
+    }
+    localeSelect.value = getLocale();
+}
+
+// Puts the fixed text of the page in the current language: elements marked data-i18n
+// (data-i18n-placeholder, data-i18n-aria-label) get that message as their text (attribute),
+// and the buttons whose label depends on the state get theirs
+function translatePage() {
+    document.documentElement.lang = getLocale(); // Also the language speak() uses
+    document.title = t('app.title');
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+        element.textContent = t(element.dataset.i18n);
+    }
+    for (const element of document.querySelectorAll('[data-i18n-placeholder]')) {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    }
+    for (const element of document.querySelectorAll('[data-i18n-aria-label]')) {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    }
+    toggleInputButton.textContent = t(inputMode === 'manual' ? 'options.useCamera' : 'options.useKeyboard');
+    recordLandmarksButton.textContent = t(landmarkRecorder.isRecording() ? 'options.stopRecording' : 'options.recordLandmarks');
+    detectionIndicator.setAttribute('aria-label', t(handPresence ? 'detection.found' : 'detection.none'));
+}
+
+// Switches the game to another language and redraws all of its text. Like a rules change
+// this drops the round in progress, but a result on screen stays until the next round.
+function changeLocale(localeId) {
+    setLocale(localeId);
+    console.log(`Language: ${getLocale()}`);
+    translatePage();
+    populateRuleSetSelect();
+    populateDifficultySelect();
+    populateMatchFormatSelect();
+    populateGameModeSelect();
+    populateTournamentSelects();
+    if (!tournamentMatch) {
+        currentMatch.sideNames = modeSideNames(gameMode); // Tournament players keep their names
+        applySideNames(currentMatch.sideNames);
+    }
+    applyRuleSet(activeRuleSet); // Instructions (and the gesture buttons)
+    updateInputIndicator();
+    updateMatchStatus();
+    updateMatchHistory();
+    renderStatsPanel();
+    renderClipsPanel();
+    renderSettingsPanel();
+    renderTournamentPanel();
+    if (trainingMode) {
+        renderTrainingPanel();
+    }
+    showNetplayStatus(netplayStatus.code, netplayStatus.error);
+    if (!isRoundRevealed()) {
+        resetUI();
+    } else if (lastResult) {
+        displayResultMessage(...lastResult);
+    }
+}
+
+
+// --- Stats Panel & Persistence ---
+
+// Appends a finished round to the saved history and refreshes the stats panel
+function saveRound(playerChoice, computerChoice, result) {
+    storedRounds.push({
+        timestamp: Date.now(),
+        player: playerChoice,
+        computer: computerChoice,
+        result: result,
+        confidence: lockedConfidence,
+        ruleSet: activeRuleSet.id
+    });
+    saveRoundHistory(storedRounds);
+    renderStatsPanel();
+}
+
+// Renders win rate, streaks, gesture distribution and results over time
+function renderStatsPanel() {
+    const stats = computeStats(storedRounds);
+
+    statsSummary.innerHTML = '';
+    const summaryItems = [
+        [t('stats.rounds'), stats.total],
+        [t('stats.winRate'), `${Math.round(stats.winRate * 100)}%`],
+        [t('stats.wld'), `${stats.wins} / ${stats.losses} / ${stats.draws}`],
+        [t('stats.longestStreak'), stats.longestWinStreak],
+        [t('stats.currentStreak'), stats.currentWinStreak]
+    ];
+    for (const [label, value] of summaryItems) {
+        const item = document.createElement('div');
+        item.className = 'stat';
+        item.innerHTML = `<span class="stat-value"></span><span class="stat-label"></span>`;
+        item.querySelector('.stat-value').textContent = value;
+        item.querySelector('.stat-label').textContent = label;
+        statsSummary.appendChild(item);
+    }
+
+    // Gesture distribution: one bar per gesture, relative to the total
+    statsGestures.innerHTML = '';
+    const gestureEntries = Object.entries(stats.gestureCounts).sort((a, b) => b[1] - a[1]);
+    for (const [gesture, count] of gestureEntries) {
+        statsGestures.appendChild(createStatsBar(gestureName(gesture), [{ className: 'gesture', value: count }], stats.total, count));
+    }
+    if (gestureEntries.length === 0) {
+        statsGestures.textContent = t('stats.empty');
+    }
+
+    // Results over time: one stacked win/lose/draw bar per day (last 14 days with games)
+    statsTimeline.innerHTML = '';
+    const days = stats.resultsByDay.slice(-14);
+    const busiestDay = Math.max(0, ...days.map(day => day.win + day.lose + day.draw));
+    for (const day of days) {
+        const segments = RESULTS.map(result => ({ className: result, value: day[result] }));
+        statsTimeline.appendChild(createStatsBar(day.day.slice(5), segments, busiestDay, t('stats.day', { win: day.win, lose: day.lose, draw: day.draw })));
+    }
+    if (days.length === 0) {
+        statsTimeline.textContent = t('stats.empty');
+    }
+}
+
+// Builds one labelled horizontal bar made of colored segments
+function createStatsBar(label, segments, max, valueText) {
+    const row = document.createElement('div');
+    row.className = 'stats-bar';
+    const labelElement = document.createElement('span');
+    labelElement.className = 'stats-bar-label';
+    labelElement.textContent = label;
+    const track = document.createElement('span');
+    track.className = 'stats-bar-track';
+    for (const segment of segments) {
+        const fill = document.createElement('span');
+        fill.className = `stats-bar-fill ${segment.className}`;
+        fill.style.width = max > 0 ? `${(segment.value / max) * 100}%` : '0%';
+        track.appendChild(fill);
+    }
+    const value = document.createElement('span');
+    value.className = 'stats-bar-value';
+    value.textContent = valueText;
+    row.append(labelElement, track, value);
+    return row;
+}
+
+// Offers text content (or a Blob, e.g. a replay clip) as a file download
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+
+
+// --- Replay Clips ---
+
+// Burns the result message into the recording and saves a clip of the reveal to the gallery
+// (result null for a void round). Nothing happens while the camera isn't recording.
+function saveRevealClip(result) {
+    if (!clipRecorder.isRecording()) return;
+    const title = resultMessage.textContent;
+    const colorProperty = result === 'win' ? '--secondary-color' : result === 'lose' ? '--accent-color' : '--primary-color';
+    const color = getComputedStyle(document.documentElement).getPropertyValue(colorProperty).trim() || '#333';
+    clipRecorder.setBanner({ text: title, color: color });
+    clipRecorder.saveClip()
+        .then(recorded => {
+            if (!recorded) return;
+            const clip = clipGallery.add(Object.assign(recorded, { title: title, result: result }));
+            console.log(`Saved replay clip ${clip.id} (${Math.round(clip.durationMs / 100) / 10}s, ${clip.size} bytes).`);
+            renderClipsPanel();
+        })
+        .catch(error => console.error("Error saving the replay clip:", error));
+}
+
+// Lists the clips in the gallery, newest first, each with a player and download/delete buttons
+function renderClipsPanel() {
+    const clips = clipGallery.list().reverse();
+    if (!clipRecorder.isSupported()) {
+        clipsStatus.textContent = t('clips.unsupported');
+    } else if (!settings.recordClips) {
+        clipsStatus.textContent = t('clips.off');
+    } else if (clips.length === 0) {
+        clipsStatus.textContent = t('clips.empty');
+    } else {
+        const toMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        clipsStatus.textContent = t('clips.status', {
+            count: clips.length,
+            size: toMegabytes(clipGallery.totalBytes()),
+            max: toMegabytes(CLIP_GALLERY_MAX_BYTES)
+        });
+    }
+    clearClipsButton.disabled = clips.length === 0;
+
+    // Kept clips keep their video element, so one that is playing isn't interrupted
+    const shown = new Map(Array.from(clipsList.children, item => [Number(item.dataset.clipId), item]));
+    clipsList.innerHTML = '';
+    for (const clip of clips) {
+        const item = shown.get(clip.id) || createClipItem(clip);
+        const time = new Date(clip.createdAt).toLocaleTimeString(getLocale());
+        item.querySelector('.clip-caption').textContent = t('clips.caption', { time: time, title: clip.title });
+        item.querySelector('video').setAttribute('aria-label', t('clips.videoLabel', { title: clip.title }));
+        item.querySelector('.clip-download').textContent = t('clips.download');
+        item.querySelector('.clip-delete').textContent = t('clips.delete');
+        clipsList.appendChild(item);
+    }
+}
+
+function createClipItem(clip) {
+    const item = document.createElement('li');
+    item.className = `clip-item ${clip.result || ''}`;
+    item.dataset.clipId = clip.id;
+    item.innerHTML = `
+        <video controls muted playsinline preload="metadata"></video>
+        <p class="clip-caption"></p>
+        <div class="clip-actions">
+            <button class="clip-download"></button>
+            <button class="clip-delete danger"></button>
+        </div>`;
+    item.querySelector('video').src = clip.url;
+    item.querySelector('.clip-download').addEventListener('click', () => {
+        downloadFile(`rps-clip-${toLocalDay(clip.createdAt)}-${clip.id}.webm`, clip.blob, 'video/webm');
+    });
+    item.querySelector('.clip-delete').addEventListener('click', () => {
+        clipGallery.remove(clip.id);
+        renderClipsPanel();
+    });
+    return item;
+}
+
+// Imports a JSON or CSV history file, merging it with the saved history
+function importHistory(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = parseHistoryFile(reader.result, file.name);
+            const before = storedRounds.length;
+            storedRounds = mergeRoundHistories(storedRounds, imported);
+            saveRoundHistory(storedRounds);
+            restoreScoresFromHistory();
+            renderStatsPanel();
+            console.log(`Imported ${storedRounds.length - before} new rounds from ${file.name}.`);
+        } catch (error) {
+            console.error("Failed to import history:", error);
+            alert(t('files.importFailed', { file: file.name, reason: error.message }));
+        }
+    };
+    reader.onerror = () => console.error("Failed to read history file:", reader.error);
+    reader.readAsText(file);
+}
+
+
+// --- Gesture Training Screen ---
+
+// Opens the training screen (abandons the current round)
+function openTraining() {
+    console.log("Opening gesture training.");
+    resetUI();
+    trainingMode = true; // onResults stops feeding the engine, which pauses the game
+    trainingModel = gestureModel ? parseGestureModel(JSON.parse(JSON.stringify(gestureModel))) : createGestureModel();
+    trainingPanel.classList.remove('hidden');
+    openTrainingButton.disabled = true;
+    renderTrainingPanel();
+}
+
+// Closes the training screen and resumes the game
+function closeTraining() {
+    console.log("Closing gesture training.");
+    trainingMode = false;
+    recordingPose = null;
+    recordingRemaining = 0;
+    trainingPanel.classList.add('hidden');
+    openTrainingButton.disabled = false;
+    resetUI();
+}
+
+// Starts capturing TRAINING_SAMPLES_PER_RECORDING frames for a gesture of the active rule set
+function startRecording(gesture) {
+    recordingPose = getGesturePose(activeRuleSet, gesture);
+    recordingRemaining = TRAINING_SAMPLES_PER_RECORDING;
+    console.log(`Recording samples for ${gesture} (pose: ${recordingPose})`);
+    renderTrainingPanel();
+}
+
+// Called by onResults for every frame with a hand while training
+function recordTrainingFrame(landmarks) {
+    if (!recordingPose || recordingRemaining <= 0) return;
+
+    addTrainingSample(trainingModel, recordingPose, landmarksToFeatures(landmarks, canvasAspectRatio()));
+    recordingRemaining--;
+    if (recordingRemaining === 0) {
+        // Recording done: retrain, save and start using the model right away
+        recordingPose = null;
+        trainGestureModel(trainingModel);
+        saveGestureModel(trainingModel);
+        gestureModel = trainingModel;
+    }
+    renderTrainingPanel();
+}
+
+// Renders one row per gesture of the active rule set with its sample count and a Record button
+function renderTrainingPanel() {
+    const counts = countTrainingSamples(trainingModel);
+    trainingGestures.innerHTML = '';
+    for (const gesture of GESTURES) {
+        const pose = getGesturePose(activeRuleSet, gesture);
+        const count = counts[pose] || 0;
+        const row = document.createElement('div');
+        row.className = 'training-gesture' + (count >= MIN_SAMPLES_PER_POSE ? ' trained' : '');
+
+        const name = document.createElement('span');
+        name.className = 'training-gesture-name';
+        name.textContent = gestureName(gesture);
+        const samples = document.createElement('span');
+        samples.className = 'training-gesture-count';
+        samples.textContent = recordingPose === pose
+            ? t('training.recording', { done: TRAINING_SAMPLES_PER_RECORDING - recordingRemaining, total: TRAINING_SAMPLES_PER_RECORDING })
+            : t('training.samples', { count: count });
+        const recordButton = document.createElement('button');
+        recordButton.textContent = t('training.record');
+        recordButton.disabled = recordingPose !== null;
+        recordButton.addEventListener('click', () => startRecording(gesture));
+
+        row.append(name, samples, recordButton);
+        trainingGestures.appendChild(row);
+    }
+
+    const missing = GESTURES.filter(gesture => (counts[getGesturePose(activeRuleSet, gesture)] || 0) < MIN_SAMPLES_PER_POSE);
+    if (!gestureModel) {
+        trainingStatus.textContent = t('training.builtIn');
+    } else if (missing.length > 0) {
+        trainingStatus.textContent = t('training.partial', { gestures: formatList(missing.map(gestureName)) });
+    } else {
+        trainingStatus.textContent = t('training.complete');
+    }
+}
+
+// Imports a model exported from the training screen
+function importGestureModel(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const model = parseGestureModel(JSON.parse(reader.result));
+            if (!model || model.samples.length === 0) {
+                throw new Error(t('training.noSamples'));
+            }
+            trainingModel = model;
+            gestureModel = model;
+            saveGestureModel(model);
+            renderTrainingPanel();
+            console.log(`Imported gesture model from ${file.name}:`, countTrainingSamples(model));
+        } catch (error) {
+            console.error("Failed to import gesture model:", error);
+            alert(t('files.importFailed', { file: file.name, reason: error.message }));
+        }
+    };
+    reader.onerror = () => console.error("Failed to read model file:", reader.error);
+    reader.readAsText(file);
+}
+
+
+// --- Landmark Recording ---
+
+// Starts recording the hand landmark stream, or stops and downloads the recording
+function toggleLandmarkRecording() {
+    if (landmarkRecorder.isRecording()) {
+        const recording = landmarkRecorder.stop();
+        recordLandmarksButton.textContent = t('options.recordLandmarks');
+        recordLandmarksButton.classList.remove('recording');
+        console.log(`Recorded ${recording.frames.length} landmark frames.`);
+        downloadFile(`rps-landmarks-${toLocalDay(Date.now())}.json`, JSON.stringify(recording), 'application/json');
+    } else {
+        landmarkRecorder.start({ width: canvasElement.width, height: canvasElement.height });
+        recordLandmarksButton.textContent = t('options.stopRecording');
+        recordLandmarksButton.classList.add('recording');
+        console.log("Recording landmarks...");
+    }
+}
+
+
+// --- Tournament ---
+
+// Fills the tournament format and bot pickers (at startup and when the language changes,
+// keeping what was picked)
+function populateTournamentSelects() {
+    const picked = { format: tournamentFormatSelect.value, bot: tournamentBotSelect.value };
+    tournamentFormatSelect.innerHTML = '';
+    for (const format of Object.values(TOURNAMENT_FORMATS)) {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = t(`tournamentFormats.${format.id}`, {}, format.name);
+        tournamentFormatSelect.appendChild(option);
+    }
+    tournamentBotSelect.innerHTML = '';
+    for (const personality of Object.values(BOT_PERSONALITIES)) {
+        const option = document.createElement('option');
+        option.value = personality.strategyId;
+        option.textContent = t('tournament.botOption', { name: personality.name, strategy: strategyName(AI_STRATEGIES[personality.strategyId]) });
+        option.title = t(`bots.${personality.strategyId}`, {}, personality.description);
+        tournamentBotSelect.appendChild(option);
+    }
+    if (picked.format) tournamentFormatSelect.value = picked.format;
+    if (picked.bot) tournamentBotSelect.value = picked.bot;
+}
+
+// Registers a player on the setup screen: a human by name, or a bot (strategyId) named after its personality
+function addDraftPlayer(name, strategyId = null) {
+    if (tournamentDraft.length >= MAX_TOURNAMENT_PLAYERS) return;
+    const playerName = strategyId ? nextBotName(tournamentDraft, strategyId) : name.trim();
+    if (!playerName) return;
+    if (tournamentDraft.some(player => player.name.toLowerCase() === playerName.toLowerCase())) {
+        alert(t('tournament.duplicatePlayer', { name: playerName }));
+        return;
+    }
+    tournamentDraft.push(createTournamentPlayer(`p${nextDraftPlayerId++}`, playerName, strategyId));
+    renderTournamentSetup();
+}
+
+// Lists the registered players, each with a remove button
+function renderTournamentSetup() {
+    tournamentPlayersList.innerHTML = '';
+    for (const player of tournamentDraft) {
+        const item = document.createElement('li');
+        item.textContent = player.type === 'bot'
+            ? t('tournament.botEntry', { name: player.name, strategy: strategyName(AI_STRATEGIES[player.strategyId]) })
+            : player.name;
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '✕';
+        removeButton.title = t('tournament.remove', { name: player.name });
+        removeButton.addEventListener('click', () => {
+            tournamentDraft = tournamentDraft.filter(other => other !== player);
+            renderTournamentSetup();
+        });
+        item.appendChild(removeButton);
+        tournamentPlayersList.appendChild(item);
+    }
+    const full = tournamentDraft.length >= MAX_TOURNAMENT_PLAYERS;
+    addTournamentPlayerButton.disabled = full;
+    addTournamentBotButton.disabled = full;
+    startTournamentButton.disabled = tournamentDraft.length < MIN_TOURNAMENT_PLAYERS;
+}
+
+// Creates the bracket from the registered players, using the rules and match format picked in the game area
+function startTournament() {
+    try {
+        tournament = createTournament({
+            name: tournamentNameInput.value.trim() || t('tournament.defaultName'),
+            formatId: tournamentFormatSelect.value,
+            matchFormatId: matchFormatSelect.value,
+            ruleSetId: activeRuleSet.id,
+            players: tournamentDraft
+        });
+    } catch (error) {
+        alert(error.message);
         return;
     }
+    console.log(`Tournament started: ${tournament.name} (${tournament.players.length} players, ${tournament.matches.length} matches)`);
+    tournamentDraft = [];
+    saveTournament(tournament);
+    renderTournamentPanel();
+}
 
-    console.log(`Starting countdown for gesture: ${currentDetectedGesture}`);
-    gameInProgress = true; // Prevent gesture changes DURING countdown
-    gestureLocked = false; // Gesture isn't truly locked until countdown COMPLETES successfully
+// Shows the setup screen, or the bracket, standings and next match of the tournament.
+// notice is shown before the next match (e.g. the result of a simulated bot match).
+function renderTournamentPanel(notice = '') {
+    tournamentSetup.classList.toggle('hidden', !!tournament);
+    tournamentView.classList.toggle('hidden', !tournament);
+    if (!tournament) {
+        renderTournamentSetup();
+        return;
+    }
 
-    let secondsLeft = COUNTDOWN_SECONDS;
-    countdownElement.textContent = secondsLeft; // Show initial countdown number
+    const ruleSet = RULE_SETS[tournament.ruleSet];
+    const format = TOURNAMENT_FORMATS[tournament.format];
+    tournamentTitle.textContent = [
+        tournament.name,
+        t(`tournamentFormats.${format.id}`, {}, format.name),
+        matchFormatName(MATCH_FORMATS[tournament.matchFormat])
+    ].concat(ruleSet ? [ruleSetName(ruleSet)] : []).join(' · ');
+    renderTournamentBracket();
+    renderTournamentStandings();
+
+    const playing = tournamentMatch && !isMatchOver(currentMatch);
+    const next = nextTournamentMatch(tournament);
+    let status;
+    if (isTournamentOver(tournament)) {
+        const champion = tournamentChampion(tournament);
+        status = champion ? t('tournament.champion', { name: champion.name }) : t('tournament.sharedFirst');
+    } else if (playing) {
+        status = t(gameMode.id === 'local' ? 'tournament.nowPlayingLocal' : 'tournament.nowPlaying', { nameA: sides.a.name, nameB: sides.b.name });
+    } else {
+        const playerA = getTournamentPlayer(tournament, next.a);
+        const playerB = getTournamentPlayer(tournament, next.b);
+        status = t(playerA.type === 'bot' && playerB.type === 'bot' ? 'tournament.nextBots' : 'tournament.next', { nameA: playerA.name, nameB: playerB.name });
+    }
+    tournamentStatus.textContent = notice ? `${notice} ${status}` : status;
+    playTournamentMatchButton.disabled = playing || !next;
+}
 
-    // Update player text to confirm locked gesture during countdown
-    playerDetectedGestureText.textContent = `${capitalize(currentDetectedGesture)} Locked! Get Ready...`;
-    // Keep player icon as placeholder during countdown visually
-    playerGestureIcon.src = GESTURE_ICONS.unknown;
-    playerGestureIcon.classList.remove('chosen');
-    // Computer waits
-    computerChosenGestureText.textContent = "Choosing...";
-
-
-    // Start the timer interval
-    countdownTimer = setInterval(() => {
-        secondsLeft--;
-        countdownElement.textContent = secondsLeft > 0 ? secondsLeft : "Shoot!"; // Update display
-
-        if (secondsLeft <= 0) {
-            // Countdown finished
-            stopCountdown(); // Clear the interval FIRST
-
-            // --- Final Check ---
-            // Re-verify hand presence and that the intended gesture is still held (or was held until the end)
-            // We rely on currentDetectedGesture which was set when countdown started.
-            if (currentDetectedGesture && handPresence) {
-                 console.log(`Countdown finished. Locking gesture: ${currentDetectedGesture} and playing.`);
-                 gestureLocked = true; // NOW the gesture is officially locked for the round
-                 playGame();          // Proceed to play the game and reveal choices
-            } else {
-                 // If hand was lost or something went wrong right at the end
-                 console.warn("Hand lost or state error at countdown end. Resetting.");
-                 resetUI(); // Reset the game state entirely
+// One column per round (single elimination) or one row per round (round robin)
+function renderTournamentBracket() {
+    tournamentBracket.innerHTML = '';
+    tournamentBracket.className = `tournament-bracket ${tournament.format}`;
+    const next = nextTournamentMatch(tournament);
+    const highlighted = tournamentMatch ? tournamentMatch.id : next && next.id;
+
+    for (let round = 1; round <= tournamentRoundCount(tournament); round++) {
+        const column = document.createElement('div');
+        column.className = 'tournament-round';
+        const heading = document.createElement('h4');
+        heading.textContent = t(`tournament.round.${tournamentRoundKind(tournament, round)}`, { round: round });
+        column.appendChild(heading);
+
+        for (const match of tournament.matches.filter(match => match.round === round)) {
+            const box = document.createElement('div');
+            box.className = 'tournament-match' + (match.id === highlighted && !match.winner ? ' current' : '');
+            for (const sideId of ['a', 'b']) {
+                const player = getTournamentPlayer(tournament, match[sideId]);
+                const row = document.createElement('div');
+                row.className = 'tournament-match-player' +
+                    (player && match.winner === player.id ? ' winner' : '') + (player ? '' : ' tbd');
+                const name = document.createElement('span');
+                name.textContent = player ? `${player.type === 'bot' ? '🤖 ' : ''}${player.name}` : t(match.bye ? 'tournament.bye' : 'tournament.tbd');
+                const score = document.createElement('span');
+                score.textContent = match.score ? match.score[sideId] : '';
+                row.append(name, score);
+                box.appendChild(row);
             }
+            column.appendChild(box);
+        }
+        tournamentBracket.appendChild(column);
+    }
+}
+
+// Standings table: rank, player, match wins and losses, rounds won and lost
+function renderTournamentStandings() {
+    tournamentStandings.innerHTML = '';
+    const header = document.createElement('tr');
+    for (const label of ['rank', 'player', 'wins', 'losses', 'rounds']) {
+        const cell = document.createElement('th');
+        cell.textContent = t(`tournament.${label}`);
+        header.appendChild(cell);
+    }
+    tournamentStandings.appendChild(header);
+    for (const row of computeStandings(tournament)) {
+        const tableRow = document.createElement('tr');
+        const values = [row.rank, `${row.player.type === 'bot' ? '🤖 ' : ''}${row.player.name}`, row.wins, row.losses, `${row.roundsWon}–${row.roundsLost}`];
+        for (const value of values) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            tableRow.appendChild(cell);
         }
-    }, 1000); // Timer ticks every 1 second
+        tournamentStandings.appendChild(tableRow);
+    }
+}
+
+// Plays the next match of the bracket: bots against each other are simulated right away,
+// anything with a human is played at the camera through the normal round flow
+function playNextTournamentMatch() {
+    const match = nextTournamentMatch(tournament);
+    if (!match) return;
+    const playerA = getTournamentPlayer(tournament, match.a);
+    const playerB = getTournamentPlayer(tournament, match.b);
+    const format = MATCH_FORMATS[tournament.matchFormat];
+    const ruleSet = loadRuleSet(tournament.ruleSet);
+
+    if (playerA.type === 'bot' && playerB.type === 'bot') {
+        const result = playBotMatch(playerA, playerB, format, ruleSet);
+        const winner = result.winner === 'player' ? playerA : playerB;
+        const loser = winner === playerA ? playerB : playerA;
+        recordTournamentResult(tournament, match.id, winner.id, { a: result.playerWins, b: result.computerWins });
+        saveTournament(tournament);
+        console.log(`Tournament: ${winner.name} beat ${loser.name} (${result.rounds.length} rounds)`);
+        renderTournamentPanel(t('tournament.botResult', {
+            winner: winner.name,
+            loser: loser.name,
+            score: `${Math.max(result.playerWins, result.computerWins)}–${Math.min(result.playerWins, result.computerWins)}`
+        }));
+        return;
+    }
+
+    // A human always plays side A; a second human makes it a two-player match on the one camera
+    const [sideA, sideB] = playerA.type === 'bot' ? [playerB, playerA] : [playerA, playerB];
+    const mode = sideB.type === 'human' ? GAME_MODES.local : GAME_MODES.solo;
+    if (mode.id === 'local' && inputMode === 'manual') {
+        renderTournamentPanel(t('tournament.needsCamera'));
+        return;
+    }
+
+    if (!settingsBeforeTournament) {
+        settingsBeforeTournament = { mode: gameMode, strategy: activeStrategy, ruleSet: activeRuleSet };
+    }
+    tournamentMatch = { id: match.id, players: { a: sideA.id, b: sideB.id } };
+    setGameOptionsLocked(true);
+    applyGameMode(mode);
+    if (ruleSet.id !== activeRuleSet.id) {
+        applyRuleSet(ruleSet);
+    }
+    if (sideB.type === 'bot') {
+        activeStrategy = AI_STRATEGIES[sideB.strategyId];
+    }
+    roundHistory = []; // The bot only learns from its current opponent
+    beginMatch(format, { a: sideA.name, b: sideB.name });
+    renderTournamentPanel();
+}
+
+// Called once a tournament match played at the camera is decided: records it and updates the bracket
+function completeTournamentMatch(winner) {
+    const winnerId = tournamentMatch.players[winner === 'player' ? 'a' : 'b'];
+    const match = getTournamentMatch(tournament, tournamentMatch.id);
+    // Side A isn't always the bracket's first player (humans play side A)
+    const score = match.a === tournamentMatch.players.a
+        ? { a: currentMatch.playerWins, b: currentMatch.computerWins }
+        : { a: currentMatch.computerWins, b: currentMatch.playerWins };
+    recordTournamentResult(tournament, match.id, winnerId, score);
+    saveTournament(tournament);
+    tournamentPanel.classList.remove('hidden');
+    renderTournamentPanel();
+}
+
+// Back to regular play: restores the mode, computer strategy and rules from before the tournament
+function leaveTournamentMatch() {
+    tournamentMatch = null;
+    setGameOptionsLocked(false);
+    const previous = settingsBeforeTournament;
+    settingsBeforeTournament = null;
+    if (!previous) return;
+    applyGameMode(previous.mode);
+    activeStrategy = previous.strategy;
+    difficultySelect.value = activeStrategy.id;
+    if (previous.ruleSet.id !== activeRuleSet.id) {
+        applyRuleSet(previous.ruleSet);
+    }
+    roundHistory = [];
+    if (tournament) {
+        renderTournamentPanel();
+    }
+}
+
+// Rules, mode, computer and match format are set by the tournament during its matches
+function setGameOptionsLocked(locked) {
+    for (const select of [ruleSetSelect, gameModeSelect, difficultySelect, matchFormatSelect]) {
+        select.disabled = locked;
+    }
 }
 
-// Clears the countdown interval timer
-function stopCountdown() {
-    if (countdownTimer) {
-        // console.log("Stopping countdown timer.");
-        clearInterval(countdownTimer);
-        countdownTimer = null;
-        // Associated UI text (countdown number) is cleared by playGame or resetUI
+// Deletes the tournament (after confirming) and returns to regular play
+function endTournament() {
+    if (!confirm(t(isTournamentOver(tournament) ? 'tournament.confirmClose' : 'tournament.confirmEnd'))) return;
+    console.log(`Tournament ended: ${tournament.name}`);
+    tournament = null;
+    clearTournament();
+    if (tournamentMatch) {
+        startNewMatch(); // Also leaves tournament play
     }
+    renderTournamentPanel();
+}
+
+
+// --- Settings Panel ---
+
+// Builds one control per setting, grouped like SETTING_GROUPS
+function renderSettingsPanel() {
+    settingsGroups.innerHTML = '';
+    for (const group of Object.values(SETTING_GROUPS)) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'settings-group';
+        const legend = document.createElement('legend');
+        legend.textContent = t(`settingGroups.${group.id}`, {}, group.name);
+        fieldset.appendChild(legend);
+        for (const definition of SETTING_DEFINITIONS.filter(definition => definition.group === group.id)) {
+            fieldset.appendChild(createSettingControl(definition));
+        }
+        settingsGroups.appendChild(fieldset);
+    }
+    const fromLink = Object.keys(urlSettings).length;
+    settingsStatus.textContent = fromLink > 0 ? t('settings.fromLink', { count: fromLink }) : "";
+}
+
+// Labelled slider, dropdown or checkbox for one setting; changes apply and save immediately
+function createSettingControl(definition) {
+    const row = document.createElement('div');
+    row.className = 'setting';
+    const id = `setting-${definition.key}`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = t(`settingLabels.${definition.key}`, {}, definition.label);
+    row.appendChild(label);
+
+    let control;
+    if (definition.type === 'choice') {
+        control = document.createElement('select');
+        for (const choice of definition.choices) {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = t(`settingChoices.${definition.key}.${choice.value}`, {}, choice.name);
+            control.appendChild(option);
+        }
+        control.value = settings[definition.key];
+    } else if (definition.type === 'boolean') {
+        control = document.createElement('input');
+        control.type = 'checkbox';
+        control.checked = settings[definition.key];
+    } else {
+        control = document.createElement('input');
+        control.type = 'range';
+        control.min = definition.min;
+        control.max = definition.max;
+        control.step = definition.step;
+        control.value = settings[definition.key];
+    }
+    control.id = id;
+    row.appendChild(control);
+
+    if (definition.type === 'number') {
+        const output = document.createElement('output');
+        output.className = 'setting-value';
+        output.htmlFor = id;
+        output.textContent = settings[definition.key];
+        row.appendChild(output);
+        control.addEventListener('input', () => { output.textContent = control.value; }); // Follow the slider while dragging
+    }
+    // 'change' fires once the slider is released, so the engine isn't reset on every step
+    control.addEventListener('change', () => {
+        const value = parseSettingValue(definition, definition.type === 'boolean' ? control.checked : control.value);
+        if (value !== undefined) updateSetting(definition, value);
+    });
+    return row;
+}
+
+// Stores a new value for a setting and makes it take effect right away
+function updateSetting(definition, value) {
+    settings[definition.key] = value;
+    savedSettings[definition.key] = value;
+    saveSettings(savedSettings);
+    applySetting(definition);
+    console.log(`Setting ${definition.key} = ${value}`);
+}
+
+// Passes a setting's current value on to where it's used (see the targets in settings.js)
+function applySetting(definition) {
+    const value = settings[definition.key];
+    switch (definition.target) {
+        case 'hands':
+            if (handTracker) handTracker.setOptions({ [definition.key]: value });
+            break;
+        case 'tracking':
+            if (definition.key === 'maxTrackingFps') inferenceThrottle.setMaxFps(value);
+            if (definition.key === 'showMetrics') updateMetricsReadout();
+            // trackInWorker is read at startup
+            break;
+        case 'classifier':
+            CLASSIFIER_THRESHOLDS[definition.key] = value;
+            break;
+        case 'engine':
+            engine.configure({ [definition.key]: value }); // Drops the round in progress
+            resetUI();
+            break;
+        case 'fairPlay':
+            break; // Read by revealRound at every reveal
+        case 'assets':
+            useAssetPack(value);
+            break;
+        case 'audio':
+            applyAudioSettings(); // speakCountdown is read by speak()
+            break;
+        case 'clips':
+            clipRecorder.setEnabled(settings.recordClips && clipsWanted); // Turning it off drops the buffer
+            clipRecorder.setClipSeconds(settings.clipSeconds);
+            renderClipsPanel();
+            break;
+    }
+}
+
+// --- Asset Packs & Sound ---
+
+// Icon for a gesture in the current asset pack (the waiting icon if the pack has none for it)
+function gestureIcon(gesture) {
+    return assetPack.icons[gesture] || assetPack.stateIcons.waiting;
+}
+
+// Shows an icon state of the asset pack ('waiting', 'locked') or, with state 'revealed', the gesture
+function setSideIcon(side, state, gesture = null) {
+    side.iconState = state;
+    side.iconGesture = gesture;
+    const src = state === 'revealed' ? gestureIcon(gesture) : assetPack.stateIcons[state];
+    if (side.icon.getAttribute('src') !== src) { // Called on every tracked frame
+        side.icon.src = src;
+    }
+}
+
+// Loads an asset pack in the background and puts it in place when it's ready
+function useAssetPack(packId) {
+    const request = ++assetPackRequest;
+    loadAssetPack(packId)
+        .then(pack => {
+            if (request !== assetPackRequest) return; // Another pack was picked meanwhile
+            applyAssetPack(pack);
+        })
+        .catch(error => console.error(`Error loading asset pack "${packId}":`, error));
+}
+
+// Shows the pack's colors and icons and hands its sounds to the mixer
+function applyAssetPack(pack) {
+    assetPack = pack;
+    const rootStyle = document.documentElement.style;
+    for (const property of Object.values(PACK_COLORS)) {
+        if (pack.colors[property]) {
+            rootStyle.setProperty(property, pack.colors[property]);
+        } else {
+            rootStyle.removeProperty(property); // Back to style.css
+        }
+    }
+    if (pack.colors['--primary-color']) {
+        themeColorMeta.setAttribute('content', pack.colors['--primary-color']);
+    }
+    for (const side of Object.values(sides)) {
+        setSideIcon(side, side.iconState, side.iconGesture);
+    }
+    fallbackProviders.forEach(provider => provider.render && provider.render()); // Button icons
+    spectatorFeed.publish('theme', { colors: pack.colors, icons: pack.stateIcons });
+    mixer.setSounds(pack.sounds)
+        .then(() => console.log(`Asset pack "${pack.id}" ready.`))
+        .catch(error => console.error(`Sounds of asset pack "${pack.id}" couldn't be loaded. Playing without them:`, error));
+}
+
+// Passes the volume and mute settings on to the mixer and the mute button
+function applyAudioSettings() {
+    mixer.setVolume(settings.soundVolume);
+    mixer.setChannelVolume('effects', settings.effectsVolume);
+    mixer.setChannelVolume('countdown', settings.countdownVolume);
+    mixer.setMuted(!settings.soundEnabled);
+    toggleSoundButton.textContent = settings.soundEnabled ? '🔊' : '🔇';
+    toggleSoundButton.setAttribute('aria-pressed', String(!settings.soundEnabled));
+}
+
+// The mute button flips the "Sound effects" setting
+function toggleSound() {
+    updateSetting(SETTING_DEFINITIONS.find(definition => definition.key === 'soundEnabled'), !settings.soundEnabled);
+    renderSettingsPanel(); // Keep its checkbox in step
+}
+
+// --- Performance Metrics Readout ---
+// Shown with the "Show performance metrics" setting (or ?showMetrics=1 in the URL).
+// The refresh timer doubles as the probe for timer lag: how late it fires is how far a
+// countdown tick would be late too.
+function updateMetricsReadout() {
+    perfMetricsDisplay.classList.toggle('hidden', !settings.showMetrics);
+    if (!settings.showMetrics) {
+        clearTimeout(metricsTimer);
+        metricsTimer = null;
+        return;
+    }
+    if (metricsTimer) return; // Already running
+    let due = performance.now() + METRICS_UPDATE_MS;
+    const refresh = () => {
+        const now = performance.now();
+        perfMetrics.recordTimerLag(now, now - due);
+        renderMetrics(now);
+        due = now + METRICS_UPDATE_MS;
+        metricsTimer = setTimeout(refresh, METRICS_UPDATE_MS);
+    };
+    metricsTimer = setTimeout(refresh, METRICS_UPDATE_MS);
+}
+
+function renderMetrics(now) {
+    const metrics = perfMetrics.snapshot(now);
+    const where = t(`metrics.backend.${handTracker ? handTracker.getBackend() : 'off'}`);
+    perfMetricsDisplay.textContent = [
+        t('metrics.camera', { fps: Math.round(metrics.cameraFps) }),
+        t('metrics.tracking', { fps: Math.round(metrics.trackingFps), cap: Math.round(inferenceThrottle.getFrameCap()), where: where }),
+        t('metrics.latency', { ms: Math.round(metrics.latencyMs), p95: Math.round(metrics.latencyP95Ms) }),
+        t('metrics.timerLag', { ms: Math.round(metrics.timerLagMs) })
+    ].join(' · ');
+}
+
+// Puts every setting back to its default and forgets the saved ones
+function resetSettings() {
+    settings = defaultSettings();
+    savedSettings = defaultSettings();
+    clearSettings();
+    for (const definition of SETTING_DEFINITIONS) {
+        applySetting(definition);
+    }
+    urlSettings = {};
+    renderSettingsPanel();
+    console.log("Settings reset to defaults.");
+}
+
+// Copies a link to this page with the settings that differ from the defaults
+function shareSettings() {
+    const url = new URL(window.location.href);
+    for (const definition of SETTING_DEFINITIONS) {
+        url.searchParams.delete(definition.key);
+    }
+    for (const [key, value] of settingsToURLParams(settings)) {
+        url.searchParams.set(key, value);
+    }
+    const link = url.toString();
+    const showLink = () => prompt(t('settings.copyPrompt'), link);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link)
+            .then(() => { settingsStatus.textContent = t('settings.copied'); })
+            .catch(showLink);
+    } else {
+        showLink();
+    }
+}
+
+
+// --- Online Play ---
+
+// Data channel is open: the host's rules apply to both players
+function handleOpponentConnected(peerInfo) {
+    if (!peerInfo.isHost && peerInfo.ruleSet !== activeRuleSet.id) {
+        applyRuleSet(loadRuleSet(peerInfo.ruleSet));
+    }
+    ruleSetSelect.disabled = true; // Rules stay fixed while connected
+    onlineCode.value = "";
+    startNewMatch();
+}
+
+function handleOpponentDisconnected() {
+    ruleSetSelect.disabled = false;
+    resetUI();
+}
+
+// Runs a netplay signaling step, showing errors in the status line
+function runOnlineAction(action) {
+    action().catch(error => {
+        console.error("Online connection error:", error);
+        showNetplayStatus('connectFailed', error);
+    });
+}
+
+// Shows a connection status from netplay.js in the online panel (and remembers it,
+// to show it again in another language)
+function showNetplayStatus(code, error = null) {
+    netplayStatus = { code: code, error: error };
+    onlineStatus.textContent = t(`netplay.status.${code}`, { reason: error ? describeNetplayError(error) : '' });
+}
+
+// Netplay errors have a code with a message in the catalogs; anything else (e.g. from WebRTC)
+// is shown as it is
+function describeNetplayError(error) {
+    if (error && hasMessage(`netplay.errors.${error.code}`)) {
+        return t(`netplay.errors.${error.code}`);
+    }
+    return String((error && error.message) || error);
+}
+
+
+// --- Round Engine Event Handlers ---
+
+// Per-frame progress of one human side towards locking its gesture
+function handleSideUpdate(update) {
+    const side = sides[update.side];
+    const gesture = gestureName(update.gesture);
+    switch (update.status) {
+        case 'waiting':
+            side.text.textContent = t(inputMode === 'manual' ? 'side.pickMove' : 'side.showHand');
+            break;
+        case 'unrecognized':
+            side.text.textContent = t('side.showGestures', { gestures: formatGestureList() });
+            break;
+        case 'detected':
+            side.text.textContent = t('side.detected', { gesture: gesture });
+            break;
+        case 'holding':
+            side.text.textContent = t('side.holding', { gesture: gesture, percent: Math.round(update.progress * 100) }); // Show progress
+            break;
+        case 'locked':
+            // Held long enough: locked, waiting for the countdown (or for the other player)
+            side.text.textContent = t(update.othersReady ? 'side.locked' : 'side.lockedWaiting', { gesture: gesture });
+            break;
+    }
+    announceSideStatus(side, update);
+    // The gesture itself stays hidden until the reveal
+    setSideIcon(side, update.status === 'locked' ? 'locked' : 'waiting');
+    side.icon.classList.remove('chosen');
+    updateLockProgress(side, update.progress);
+}
+
+// Reads out a side's detection progress when it changes (found, locked, lost),
+// not on every frame: screen readers would fall behind the per-frame hold percentages
+function announceSideStatus(side, update) {
+    const status = update.status === 'holding' ? 'detected' : update.status; // Holding is still the same gesture
+    const key = status === 'detected' || status === 'locked' ? `${status}:${update.gesture}` : status;
+    if (key === side.announcedStatus) return;
+    const previous = side.announcedStatus;
+    side.announcedStatus = key;
+    const gesture = gestureName(update.gesture);
+    const messages = {
+        detected: t('announce.detected', { gesture: gesture }),
+        locked: t('announce.locked', { gesture: gesture }),
+        unrecognized: t('announce.unrecognized'),
+        waiting: previous.startsWith('locked') || previous.startsWith('detected') ? t('announce.handLost') : ""
+    };
+    if (messages[status]) {
+        announce(getHumanSides().length > 1 ? t('announce.side', { name: side.name, message: messages[status] }) : messages[status]);
+    }
+}
+
+// Every human side is locked: show the countdown
+function handleCountdownStart(countdown) {
+    lockedConfidence = countdown.confidence.a; // Saved with the round for the stats
+    countdownElement.textContent = t('countdown.tick', { count: countdown.seconds }); // Show initial countdown number
+    playSound('tick');
+    spectatorFeed.publish('countdown', { secondsLeft: countdown.seconds, text: countdownElement.textContent });
+    speak(countdownElement.textContent);
+
+    // Update human sides' text to confirm locked gesture during countdown
+    for (const side of getHumanSides()) {
+        side.text.textContent = t('side.getReady', { gesture: gestureName(countdown.gestures[side.id]) });
+        // Locked, but the gesture stays hidden until the reveal
+        setSideIcon(side, 'locked');
+        side.icon.classList.remove('chosen');
+    }
+    // Computer waits
+    if (!sides.b.isHuman) {
+        sides.b.text.textContent = t('side.choosing');
+    }
+}
+
+function handleCountdownTick(tick) {
+    // Numbers, or the words of the countdown in languages that have them (じゃん、けん、ぽん！)
+    countdownElement.textContent = tick.secondsLeft > 0 ? t('countdown.tick', { count: tick.secondsLeft }) : t('countdown.shoot');
+    playSound(tick.secondsLeft > 0 ? 'tick' : 'shoot');
+    spectatorFeed.publish('countdown', { secondsLeft: tick.secondsLeft, text: countdownElement.textContent });
+    speak(countdownElement.textContent);
+}
+
+// A hand left, or showed no clear gesture, at "Shoot!"; the engine has already dropped the round.
+// Online, the opponent is told, so both sides skip this round and keep the same round numbers.
+function handleRoundAborted(abort) {
+    console.warn(`Round aborted (${abort.reason}).`);
+    if (gameMode.id === 'online') netplay.cancelRound();
+    resetUI();
+    resultMessage.textContent = t(abort.reason === 'no-throw' ? 'result.noThrow' : 'result.handLost');
+    spectatorFeed.publish('message', { text: resultMessage.textContent });
+}
+
+
+// --- Spectator Feed ---
+// The spectator view shows the texts as they are on this screen, so it speaks the game's language.
+
+// Names, scores and the match line
+function publishScoreboard() {
+    const scoreboard = { locale: getLocale(), sides: {}, matchStatus: matchStatus.textContent };
+    for (const side of Object.values(sides)) {
+        scoreboard.sides[side.id] = { name: side.name, score: Number(side.scoreDisplay.textContent) || 0 };
+    }
+    spectatorFeed.publish('scoreboard', scoreboard);
+}
+
+// Both throws of a round, with their icons from the asset pack (result null for a void round)
+function publishReveal(gestures, result) {
+    const revealed = {};
+    for (const side of Object.values(sides)) {
+        const gesture = gestures[side.id];
+        revealed[side.id] = { gesture: gesture, name: gestureName(gesture), icon: gestureIcon(gesture) };
+    }
+    spectatorFeed.publish('reveal', { sides: revealed, result: result, message: resultMessage.textContent });
 }
 
 
@@ -548,22 +2323,61 @@ function capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-// Plays sound effects (optional, check file paths and browser permissions)
-function playSound(result) {
+// Display names in the current language. Anything the catalogs don't know (e.g. the gestures
+// of a rule set added later) falls back to its own English name.
+function gestureName(gesture) {
+    return gesture ? t(`gestures.${gesture}`, {}, capitalize(gesture)) : "";
+}
+
+// Hand pose of the classifier (see HAND_POSES in classifier.js), named for the explain overlay
+function poseName(pose) {
+    return t(`poses.${pose}`, {}, capitalize(pose));
+}
+
+function ruleSetName(ruleSet) {
+    return t(`ruleSets.${ruleSet.id}`, {}, ruleSet.name);
+}
+
+function strategyName(strategy) {
+    return t(`strategies.${strategy.id}`, {}, strategy.name);
+}
+
+function matchFormatName(format) {
+    return t(`matchFormats.${format.id}`, {}, format.name);
+}
+
+// "Paper covers Rock" (winner beats loser, in the active rule set)
+function describeWin(winner, loser) {
+    const names = { winner: gestureName(winner), loser: gestureName(loser) };
+    return t(`beats.${winner}.${loser}`, names, `{winner} ${getBeatVerb(activeRuleSet, winner, loser)} {loser}`);
+}
+
+// Sends a message to screen readers through the hidden live region.
+// The region is emptied first so the same message is read again when it repeats.
+function announce(text) {
+    announcer.textContent = "";
+    requestAnimationFrame(() => { announcer.textContent = text; });
+}
+
+// Says a short text out loud with the Web Speech API when the spoken countdown is on
+function speak(text) {
+    if (!settings.speakCountdown || typeof speechSynthesis === 'undefined') return;
+    speechSynthesis.cancel(); // Never queue up behind a previous number
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = document.documentElement.lang || 'en';
+    utterance.rate = 1.2;
+    utterance.volume = settings.soundVolume;
+    speechSynthesis.speak(utterance);
+}
+
+// Plays one of the asset pack's sounds ('tick', 'shoot', 'win', 'lose', 'draw'; see PACK_SOUNDS in assets.js).
+// The mixer applies the volume and mute settings. Browsers block audio until the first tap or
+// key press, so sounds before that are silent.
+function playSound(name) {
     try {
-        const sound = document.getElementById(`${result}-sound`);
-        if (sound) {
-            sound.currentTime = 0; // Rewind before playing
-            sound.play().catch(e => {
-                // Log warning if autoplay fails - often due to browser policy
-                // requiring user interaction first. Clicking "Play Again" counts.
-                console.warn(`Audio play failed for '${result}':`, e.message);
-            });
-        } else {
-            console.warn(`Sound element not found for result: ${result}-sound`);
-        }
+        mixer.play(name);
     } catch (error) {
-        console.error("Error playing sound:", error);
+        console.error(`Error playing sound '${name}':`, error);
     }
 }
 
@@ -575,6 +2389,44 @@ function startDetectionCycle() {
 
 // --- Event Listeners ---
 
+// Round engine events
+engine.on('sideUpdate', handleSideUpdate);
+engine.on('countdownStart', handleCountdownStart);
+engine.on('countdownTick', handleCountdownTick);
+engine.on('reveal', playGame);
+engine.on('roundAborted', handleRoundAborted);
+engine.on('stateChange', (change) => {
+    console.log(`Round state: ${change.from} -> ${change.to}`);
+    document.body.dataset.roundState = change.to;
+});
+
+// Keyboard: Enter plays again or starts the next match when nothing else has focus
+// (gesture keys are handled by the keyboard provider, see input.js)
+document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter' || event.target !== document.body) return;
+    const action = [playAgainButton, newMatchButton].find(button => !button.classList.contains('hidden'));
+    if (action) {
+        event.preventDefault();
+        action.click();
+    }
+});
+
+// The ` key shows or hides the classifier explain overlay (not while typing in a field)
+document.addEventListener('keydown', (event) => {
+    if (event.key !== '`' || /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+    toggleExplainMode();
+});
+
+// Switch between the camera and the keyboard/buttons
+toggleInputButton.addEventListener('click', toggleInputMode);
+
+// Mute or unmute the sound effects
+toggleSoundButton.addEventListener('click', toggleSound);
+
+// Browsers only start audio after a tap or key press
+document.addEventListener('pointerdown', () => mixer.unlock());
+document.addEventListener('keydown', () => mixer.unlock());
+
 // Handle clicks on the "Play Again" button
 playAgainButton.addEventListener('click', () => {
     console.log("Play Again clicked.");
@@ -582,11 +2434,200 @@ playAgainButton.addEventListener('click', () => {
     // Detection will resume automatically via onResults when a hand is shown
 });
 
+// Switch between playing the computer and two players (abandons the current match)
+gameModeSelect.addEventListener('change', () => {
+    applyGameMode(GAME_MODES[gameModeSelect.value] || GAME_MODES.solo);
+    startNewMatch();
+});
+
+// Online connection actions (manual copy-paste signaling or a second tab)
+onlineHostButton.addEventListener('click', () => runOnlineAction(async () => {
+    onlineCode.value = await netplay.host();
+    onlineCode.select();
+}));
+
+onlineJoinButton.addEventListener('click', () => runOnlineAction(async () => {
+    onlineCode.value = await netplay.join(onlineCode.value); // Host's code in, reply code out
+    onlineCode.select();
+}));
+
+onlineAcceptButton.addEventListener('click', () => runOnlineAction(() => netplay.accept(onlineCode.value)));
+
+onlineTabButton.addEventListener('click', () => netplay.connectToTab());
+
+onlineDisconnectButton.addEventListener('click', () => netplay.disconnect());
+
+// Switch rule sets between rounds (the current round is abandoned)
+ruleSetSelect.addEventListener('change', () => {
+    console.log(`Rule set changed to: ${ruleSetSelect.value}`);
+    applyRuleSet(loadRuleSet(ruleSetSelect.value));
+    roundHistory = []; // Past rounds used other gestures, so the AI starts learning afresh
+    startNewMatch();   // A match is played under one set of rules
+});
+
+// Switch computer strategy; takes effect from the next round and keeps the history
+difficultySelect.addEventListener('change', () => {
+    activeStrategy = AI_STRATEGIES[difficultySelect.value] || AI_STRATEGIES[DEFAULT_STRATEGY_ID];
+    console.log(`Computer strategy changed to: ${activeStrategy.name}`);
+});
+
+// Switch the language of the game text (remembered for the next visit)
+localeSelect.addEventListener('change', () => {
+    saveLocale(localeSelect.value);
+    changeLocale(localeSelect.value);
+});
+
+// Stats panel actions
+exportJsonButton.addEventListener('click', () => {
+    downloadFile(`rps-history-${toLocalDay(Date.now())}.json`, historyToJSON(storedRounds), 'application/json');
+});
+
+exportCsvButton.addEventListener('click', () => {
+    downloadFile(`rps-history-${toLocalDay(Date.now())}.csv`, historyToCSV(storedRounds), 'text/csv');
+});
+
+importHistoryButton.addEventListener('click', () => {
+    importHistoryFile.click(); // Opens the hidden file picker
+});
+
+importHistoryFile.addEventListener('change', () => {
+    if (importHistoryFile.files.length > 0) {
+        importHistory(importHistoryFile.files[0]);
+    }
+    importHistoryFile.value = ''; // Allow importing the same file again
+});
+
+clearHistoryButton.addEventListener('click', () => {
+    if (!confirm(t('stats.confirmClear'))) return;
+    console.log("Clearing saved history.");
+    storedRounds = [];
+    clearRoundHistory();
+    restoreScoresFromHistory();
+    renderStatsPanel();
+});
+
+// Replay clips panel
+// Clip recording starts the first time the panel is opened (if it's on in the settings)
+clipsPanel.addEventListener('toggle', () => {
+    if (!clipsPanel.open || clipsWanted) return;
+    clipsWanted = true;
+    clipRecorder.setEnabled(settings.recordClips);
+    renderClipsPanel();
+});
+
+clearClipsButton.addEventListener('click', () => {
+    if (!confirm(t('clips.confirmClear'))) return;
+    clipGallery.clear();
+    renderClipsPanel();
+});
+
+// Landmark recording (only shown with ?record)
+recordLandmarksButton.addEventListener('click', toggleLandmarkRecording);
+
+// Training screen actions
+openTrainingButton.addEventListener('click', openTraining);
+openSpectatorButton.addEventListener('click', () => spectatorFeed.openSpectator());
+closeTrainingButton.addEventListener('click', closeTraining);
+
+exportModelButton.addEventListener('click', () => {
+    downloadFile(`rps-gesture-model-${toLocalDay(Date.now())}.json`, JSON.stringify(trainingModel), 'application/json');
+});
+
+importModelButton.addEventListener('click', () => {
+    importModelFile.click(); // Opens the hidden file picker
+});
+
+importModelFile.addEventListener('change', () => {
+    if (importModelFile.files.length > 0) {
+        importGestureModel(importModelFile.files[0]);
+    }
+    importModelFile.value = ''; // Allow importing the same file again
+});
+
+resetModelButton.addEventListener('click', () => {
+    if (!confirm(t('training.confirmReset'))) return;
+    clearGestureModel();
+    gestureModel = null;
+    trainingModel = createGestureModel();
+    recordingPose = null;
+    recordingRemaining = 0;
+    renderTrainingPanel();
+});
+
+// Tournament actions
+openTournamentButton.addEventListener('click', () => {
+    tournamentPanel.classList.toggle('hidden');
+    renderTournamentPanel();
+});
+
+addTournamentPlayerButton.addEventListener('click', () => {
+    addDraftPlayer(tournamentPlayerNameInput.value);
+    tournamentPlayerNameInput.value = '';
+    tournamentPlayerNameInput.focus();
+});
+
+tournamentPlayerNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addTournamentPlayerButton.click();
+});
+
+addTournamentBotButton.addEventListener('click', () => addDraftPlayer('', tournamentBotSelect.value));
+startTournamentButton.addEventListener('click', startTournament);
+playTournamentMatchButton.addEventListener('click', playNextTournamentMatch);
+endTournamentButton.addEventListener('click', endTournament);
+
+exportStandingsCsvButton.addEventListener('click', () => {
+    downloadFile(`rps-tournament-${toLocalDay(Date.now())}.csv`, standingsToCSV(tournament), 'text/csv');
+});
+
+exportTournamentJsonButton.addEventListener('click', () => {
+    downloadFile(`rps-tournament-${toLocalDay(Date.now())}.json`, tournamentToJSON(tournament), 'application/json');
+});
+
+for (const closeButton of [closeTournamentSetupButton, closeTournamentViewButton]) {
+    closeButton.addEventListener('click', () => tournamentPanel.classList.add('hidden'));
+}
+
+// Settings panel actions
+shareSettingsButton.addEventListener('click', shareSettings);
+
+resetSettingsButton.addEventListener('click', () => {
+    if (!confirm(t('settings.confirmReset'))) return;
+    resetSettings();
+});
+
+// Changing the match format abandons the current match
+matchFormatSelect.addEventListener('change', () => {
+    startNewMatch();
+});
+
+// Handle clicks on the "New Match" button (only shown once a match is decided)
+newMatchButton.addEventListener('click', () => {
+    console.log("New Match clicked.");
+    startNewMatch();
+});
+
+// Model load error actions
+retryModelButton.addEventListener('click', () => window.location.reload());
+
+modelErrorKeyboardButton.addEventListener('click', () => {
+    modelError.classList.add('hidden');
+    useFallbackInput(new Error(t('modelError.title')));
+});
+
 // --- Start the Application ---
 
+// The service worker (sw.js) caches the game and MediaPipe so it also runs offline
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log(`Service worker registered for ${registration.scope}`))
+        .catch(error => console.warn("Service worker registration failed; offline play won't be available:", error));
+}
+
 // Wait for the page and resources to be fully loaded before initializing
 window.addEventListener('load', () => {
      console.log("Window loaded. Initializing game...");
+     registerServiceWorker();
      // Small delay to ensure elements are fully ready, especially video dimensions
      setTimeout(initializeGame, 100);
 });
@@ -0,0 +1,261 @@
+/**
+ * settings.js for Gesture Rock Paper Scissors Game
+ * Runtime settings: hand detection and tracking, gesture classifier thresholds, round timing,
+ * fair play rules, asset pack, audio and replay clips.
+ * Each setting is described once below (range, default, where it applies); the settings
+ * panel in script.js is generated from these definitions.
+ * Values come from the defaults, then localStorage, then URL query parameters
+ * (?lockMs=700&minDetectionConfidence=0.5 ...), so a tuned config can be shared as a link.
+ * No DOM access here apart from localStorage.
+ */
+
+import { CLASSIFIER_THRESHOLDS } from './classifier.js';
+import { DEFAULT_ENGINE_CONFIG, CHEAT_ACTIONS, DEFAULT_CHEAT_POLICY } from './engine.js';
+import { ASSET_PACKS, DEFAULT_ASSET_PACK_ID } from './assets.js';
+
+// --- Settings Configuration ---
+const SETTINGS_STORAGE_KEY = 'rps-settings';
+const SETTINGS_SCHEMA_VERSION = 1;
+
+// Stored document (version 1):
+// { version: 1, settings: { lockMs: 700, soundEnabled: false, ... } }   (unknown keys are dropped)
+
+export const SETTING_GROUPS = {
+    detection: { id: 'detection', name: 'Hand Detection' },
+    classifier: { id: 'classifier', name: 'Gesture Classifier' },
+    timing: { id: 'timing', name: 'Timing' },
+    fairPlay: { id: 'fairPlay', name: 'Fair Play' },
+    appearance: { id: 'appearance', name: 'Look' },
+    audio: { id: 'audio', name: 'Audio' },
+    clips: { id: 'clips', name: 'Replay Clips' }
+};
+
+// One definition per setting. The key doubles as the URL parameter name.
+// target says where the value goes, under the same key:
+//   hands      - handTracker.setOptions() (MediaPipe)
+//   tracking   - how often and where hand tracking runs, and the metrics readout (see perf.js)
+//   classifier - CLASSIFIER_THRESHOLDS (see classifier.js)
+//   engine     - engine.configure() (see engine.js)
+//   fairPlay   - the cheat policy judging late and changed throws (see cheatPolicyFrom below)
+//   assets     - the asset pack (icons, sounds and colors, see assets.js)
+//   audio      - the sound mixer (see mixer.js) and speak() in script.js
+//   clips      - the clip recorder (see clips.js)
+// type: 'number' (min, max, step), 'choice' (choices: [{ value, name }]) or 'boolean'
+const classifierThreshold = (key, label, min, max) => ({
+    key: key, group: 'classifier', target: 'classifier', label: label,
+    type: 'number', min: min, max: max, step: 0.05, default: CLASSIFIER_THRESHOLDS[key]
+});
+// What a throw flag ('late', 'changed') costs, one of CHEAT_ACTIONS (see judgeThrows in engine.js)
+const CHEAT_ACTION_NAMES = { ignore: 'Ignore', warn: 'Warn', replay: 'Replay the round', forfeit: 'Forfeit' };
+const cheatAction = (key, flag, label) => ({
+    key: key, group: 'fairPlay', target: 'fairPlay', label: label, flag: flag,
+    type: 'choice', choices: CHEAT_ACTIONS.map(action => ({ value: action, name: CHEAT_ACTION_NAMES[action] })),
+    default: DEFAULT_CHEAT_POLICY[flag]
+});
+
+export const SETTING_DEFINITIONS = [
+    {
+        key: 'modelComplexity', group: 'detection', target: 'hands', label: 'Model',
+        type: 'choice', choices: [{ value: 0, name: 'Lite (faster)' }, { value: 1, name: 'Full (more accurate)' }], default: 1
+    },
+    {
+        key: 'minDetectionConfidence', group: 'detection', target: 'hands', label: 'Detection confidence',
+        type: 'number', min: 0.1, max: 0.95, step: 0.05, default: 0.6
+    },
+    {
+        key: 'minTrackingConfidence', group: 'detection', target: 'hands', label: 'Tracking confidence',
+        type: 'number', min: 0.1, max: 0.95, step: 0.05, default: 0.6
+    },
+    {
+        key: 'trackInWorker', group: 'detection', target: 'tracking', label: 'Track hands in a background worker (after reload)',
+        type: 'boolean', default: true
+    },
+    {
+        key: 'maxTrackingFps', group: 'detection', target: 'tracking', label: 'Frame cap (fps)',
+        type: 'number', min: 5, max: 60, step: 5, default: 30
+    },
+    { key: 'showMetrics', group: 'detection', target: 'tracking', label: 'Show performance metrics', type: 'boolean', default: false },
+    classifierThreshold('minConfidence', 'Minimum gesture score', 0.1, 0.95),
+    classifierThreshold('bendStraight', 'Finger straight (bend)', 0.2, 2),
+    classifierThreshold('bendCurled', 'Finger curled (bend)', 1, 3.5),
+    classifierThreshold('reachCurled', 'Finger curled (reach)', 0.8, 1.6),
+    classifierThreshold('reachStraight', 'Finger straight (reach)', 1.2, 2.5),
+    classifierThreshold('thumbTucked', 'Thumb tucked', 0.2, 1),
+    classifierThreshold('thumbOut', 'Thumb out', 0.5, 1.5),
+    classifierThreshold('pinchClosed', 'Pinch closed', 0.05, 0.6),
+    classifierThreshold('pinchOpen', 'Pinch open', 0.2, 1),
+    classifierThreshold('spockSplitMin', 'Spock split starts', 1, 2.5),
+    classifierThreshold('spockSplitMax', 'Spock split clear', 1.5, 3.5),
+    {
+        key: 'lockMs', group: 'timing', target: 'engine', label: 'Hold to lock (ms)',
+        type: 'number', min: 100, max: 2000, step: 50, default: DEFAULT_ENGINE_CONFIG.lockMs
+    },
+    {
+        key: 'voteWindowMs', group: 'timing', target: 'engine', label: 'Smoothing window (ms)',
+        type: 'number', min: 100, max: 1000, step: 50, default: DEFAULT_ENGINE_CONFIG.voteWindowMs
+    },
+    {
+        key: 'dropoutMs', group: 'timing', target: 'engine', label: 'Hand dropout allowed (ms)',
+        type: 'number', min: 0, max: 1000, step: 50, default: DEFAULT_ENGINE_CONFIG.dropoutMs
+    },
+    {
+        key: 'countdownSeconds', group: 'timing', target: 'engine', label: 'Countdown (seconds)',
+        type: 'number', min: 1, max: 5, step: 1, default: DEFAULT_ENGINE_CONFIG.countdownSeconds
+    },
+    {
+        key: 'shootGraceMs', group: 'timing', target: 'engine', label: 'Late throw grace (ms)',
+        type: 'number', min: 0, max: 1000, step: 50, default: DEFAULT_ENGINE_CONFIG.shootGraceMs
+    },
+    cheatAction('lateThrow', 'late', 'Late throw'),
+    cheatAction('changedThrow', 'changed', 'Changed throw'),
+    {
+        key: 'assetPack', group: 'appearance', target: 'assets', label: 'Theme',
+        type: 'choice', choices: Object.values(ASSET_PACKS).map(pack => ({ value: pack.id, name: pack.name })),
+        default: DEFAULT_ASSET_PACK_ID
+    },
+    { key: 'soundEnabled', group: 'audio', target: 'audio', label: 'Sound effects', type: 'boolean', default: true },
+    {
+        key: 'soundVolume', group: 'audio', target: 'audio', label: 'Volume',
+        type: 'number', min: 0, max: 1, step: 0.05, default: 1
+    },
+    {
+        key: 'effectsVolume', group: 'audio', target: 'audio', label: 'Result sounds',
+        type: 'number', min: 0, max: 1, step: 0.05, default: 1
+    },
+    {
+        key: 'countdownVolume', group: 'audio', target: 'audio', label: 'Countdown sounds',
+        type: 'number', min: 0, max: 1, step: 0.05, default: 0.6
+    },
+    { key: 'speakCountdown', group: 'audio', target: 'audio', label: 'Spoken countdown', type: 'boolean', default: false },
+    { key: 'recordClips', group: 'clips', target: 'clips', label: 'Save a clip of every reveal', type: 'boolean', default: true },
+    {
+        key: 'clipSeconds', group: 'clips', target: 'clips', label: 'Clip length (seconds)',
+        type: 'number', min: 2, max: 8, step: 1, default: 4
+    }
+];
+
+
+// --- Value Handling ---
+
+// Settings object with every default value
+export function defaultSettings() {
+    const settings = {};
+    for (const definition of SETTING_DEFINITIONS) {
+        settings[definition.key] = definition.default;
+    }
+    return settings;
+}
+
+// Converts a raw value (from storage, a URL or a form field) into a valid value for the
+// setting: numbers are clamped to the range and rounded to the step. Returns undefined if unusable.
+export function parseSettingValue(definition, raw) {
+    switch (definition.type) {
+        case 'boolean':
+            if (raw === true || raw === 'true' || raw === '1' || raw === 1 || raw === '') return true; // "?soundEnabled" alone means on
+            if (raw === false || raw === 'false' || raw === '0' || raw === 0) return false;
+            return undefined;
+        case 'choice': {
+            const choice = definition.choices.find(option => String(option.value) === String(raw));
+            return choice ? choice.value : undefined;
+        }
+        default: {
+            const value = Number(raw);
+            if (raw === '' || raw === null || !Number.isFinite(value)) return undefined;
+            const stepped = Math.round(value / definition.step) * definition.step;
+            const decimals = (String(definition.step).split('.')[1] || '').length;
+            return Number(Math.min(definition.max, Math.max(definition.min, stepped)).toFixed(decimals));
+        }
+    }
+}
+
+// Full settings object from partial or stored data; invalid and missing values use the defaults
+export function normalizeSettings(data) {
+    const settings = defaultSettings();
+    if (!data || typeof data !== 'object') return settings;
+    for (const definition of SETTING_DEFINITIONS) {
+        if (!(definition.key in data)) continue;
+        const value = parseSettingValue(definition, data[definition.key]);
+        if (value !== undefined) settings[definition.key] = value;
+    }
+    return settings;
+}
+
+// The settings given as URL query parameters (only valid ones), e.g. from a shared link
+export function settingsFromURL(params) {
+    const settings = {};
+    for (const definition of SETTING_DEFINITIONS) {
+        if (!params.has(definition.key)) continue;
+        const value = parseSettingValue(definition, params.get(definition.key));
+        if (value !== undefined) {
+            settings[definition.key] = value;
+        } else {
+            console.warn(`Ignoring invalid setting ${definition.key}=${params.get(definition.key)} in the URL.`);
+        }
+    }
+    return settings;
+}
+
+// URL query parameters for the settings that differ from the defaults
+export function settingsToURLParams(settings) {
+    const params = new URLSearchParams();
+    for (const definition of SETTING_DEFINITIONS) {
+        if (settings[definition.key] !== definition.default) {
+            params.set(definition.key, definition.type === 'boolean' ? (settings[definition.key] ? '1' : '0') : settings[definition.key]);
+        }
+    }
+    return params;
+}
+
+// The settings that go to one target ({ key: value }), e.g. settingsFor(settings, 'hands') for hands.setOptions
+export function settingsFor(settings, target) {
+    const values = {};
+    for (const definition of SETTING_DEFINITIONS) {
+        if (definition.target === target) values[definition.key] = settings[definition.key];
+    }
+    return values;
+}
+
+// The cheat policy for judgeThrows() in engine.js ({ late: 'forfeit', changed: 'warn' })
+export function cheatPolicyFrom(settings) {
+    const policy = {};
+    for (const definition of SETTING_DEFINITIONS) {
+        if (definition.target === 'fairPlay') policy[definition.flag] = settings[definition.key];
+    }
+    return policy;
+}
+
+
+// --- localStorage Access ---
+
+// Loads the saved settings (defaults for anything missing)
+export function loadSettings() {
+    try {
+        const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        if (!raw) return defaultSettings();
+        const data = JSON.parse(raw);
+        if (data.version > SETTINGS_SCHEMA_VERSION) {
+            console.warn(`Settings schema v${data.version} is newer than supported v${SETTINGS_SCHEMA_VERSION}. Using defaults.`);
+            return defaultSettings();
+        }
+        return normalizeSettings(data.settings);
+    } catch (error) {
+        console.error("Error loading settings:", error);
+        return defaultSettings();
+    }
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: SETTINGS_SCHEMA_VERSION, settings: settings }));
+    } catch (error) {
+        console.error("Error saving settings:", error);
+    }
+}
+
+export function clearSettings() {
+    try {
+        localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch (error) {
+        console.error("Error clearing settings:", error);
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * spectator.js for Gesture Rock Paper Scissors Game
+ * Spectator view (spectator.html): follows the game running in another window through the
+ * spectator feed (see broadcast.js) and shows a large scoreboard, the countdown and the reveal,
+ * e.g. on a big screen while the player stands at the laptop. No camera or MediaPipe here.
+ * Add ?overlay for a transparent background, to put the view over a video in streaming
+ * software (e.g. as an OBS browser source).
+ * Round texts arrive already written in the game's language; the view switches to it too.
+ */
+
+import { subscribeToSpectatorFeed } from './broadcast.js';
+import { PACK_COLORS } from './assets.js';
+import { DEFAULT_LOCALE_ID, matchLocale, setLocale, getLocale, t, loadLocale } from './i18n.js';
+
+// --- DOM Element References ---
+const matchStatus = document.getElementById('spectator-match-status');
+const countdownElement = document.getElementById('spectator-countdown');
+const messageElement = document.getElementById('spectator-message');
+const matchResult = document.getElementById('spectator-match-result');
+
+function createSpectatorSide(id) {
+    return {
+        id: id,
+        name: document.getElementById(`spectator-name-${id}`),
+        score: document.getElementById(`spectator-score-${id}`),
+        throw: document.getElementById(`spectator-throw-${id}`),
+        icon: document.getElementById(`spectator-icon-${id}`),
+        gesture: document.getElementById(`spectator-gesture-${id}`)
+    };
+}
+
+const sides = { a: createSpectatorSide('a'), b: createSpectatorSide('b') };
+
+// --- Configuration ---
+const urlParams = new URLSearchParams(window.location.search);
+document.body.classList.toggle('overlay', urlParams.has('overlay'));
+// Until the game says otherwise: same language choice as the game page
+setLocale(matchLocale([urlParams.get('lang')]) || loadLocale() ||
+    matchLocale(navigator.languages || [navigator.language]) || DEFAULT_LOCALE_ID);
+
+// Icons for no gesture yet and a locked, hidden one (replaced by the game's asset pack)
+let stateIcons = { waiting: 'icons/unknown.svg', locked: 'icons/locked.svg' };
+
+
+// --- Utilities ---
+
+// Restarts a CSS animation class on an element (e.g. for every countdown number)
+function replayAnimation(element, className) {
+    element.classList.remove(className);
+    void element.offsetWidth; // Force a style recalculation so the animation starts over
+    element.classList.add(className);
+}
+
+function translateStaticText() {
+    document.documentElement.lang = getLocale();
+    document.title = t('spectator.title');
+    for (const element of document.querySelectorAll('[data-i18n]')) {
+        element.textContent = t(element.dataset.i18n);
+    }
+}
+
+// Shows a side waiting (or locked in) without its gesture
+function showHiddenThrow(side, state) {
+    side.icon.src = stateIcons[state];
+    side.icon.alt = "";
+    side.gesture.textContent = "";
+    side.throw.classList.remove('revealed', 'winner');
+}
+
+// The game's messages replace the "waiting for the game" text for good
+function showMessage(text) {
+    delete messageElement.dataset.i18n;
+    messageElement.textContent = text;
+}
+
+
+// --- Feed Event Handlers ---
+
+function showScoreboard(scoreboard) {
+    if (scoreboard.locale && scoreboard.locale !== getLocale()) {
+        setLocale(scoreboard.locale);
+        translateStaticText();
+    }
+    for (const side of Object.values(sides)) {
+        side.name.textContent = scoreboard.sides[side.id].name;
+        side.score.textContent = scoreboard.sides[side.id].score;
+    }
+    matchStatus.textContent = scoreboard.matchStatus;
+}
+
+// The game's asset pack colors and placeholder icons
+function applyTheme(theme) {
+    const rootStyle = document.documentElement.style;
+    for (const property of Object.values(PACK_COLORS)) {
+        if (theme.colors[property]) {
+            rootStyle.setProperty(property, theme.colors[property]);
+        } else {
+            rootStyle.removeProperty(property);
+        }
+    }
+    stateIcons = Object.assign({}, stateIcons, theme.icons);
+    for (const side of Object.values(sides)) {
+        if (!side.throw.classList.contains('revealed')) showHiddenThrow(side, 'waiting');
+    }
+}
+
+function showRoundReset(round) {
+    for (const side of Object.values(sides)) {
+        showHiddenThrow(side, 'waiting');
+    }
+    countdownElement.textContent = "";
+    matchResult.classList.add('hidden');
+    showMessage(round.message);
+}
+
+function showCountdown(countdown, replay) {
+    for (const side of Object.values(sides)) {
+        showHiddenThrow(side, 'locked');
+    }
+    countdownElement.textContent = countdown.text;
+    if (!replay) replayAnimation(countdownElement, 'tick');
+}
+
+function showRevealing() {
+    countdownElement.textContent = "";
+    showMessage("...");
+}
+
+// Both throws at once, the winner's highlighted
+function showReveal(reveal, replay) {
+    countdownElement.textContent = "";
+    const winner = reveal.result === 'win' ? 'a' : reveal.result === 'lose' ? 'b' : null;
+    for (const side of Object.values(sides)) {
+        const thrown = reveal.sides[side.id];
+        side.icon.src = thrown.icon;
+        side.icon.alt = thrown.name;
+        side.gesture.textContent = thrown.name;
+        side.throw.classList.toggle('winner', side.id === winner);
+        if (replay) {
+            side.throw.classList.add('revealed');
+        } else {
+            replayAnimation(side.throw, 'revealed');
+        }
+    }
+    showMessage(reveal.message);
+}
+
+function showMatchResult(result) {
+    matchResult.textContent = result.message;
+    matchResult.classList.remove('hidden');
+}
+
+const EVENT_HANDLERS = {
+    scoreboard: showScoreboard,
+    theme: applyTheme,
+    roundReset: showRoundReset,
+    countdown: showCountdown,
+    revealing: showRevealing,
+    reveal: showReveal,
+    matchResult: showMatchResult,
+    message: (message) => showMessage(message.text)
+};
+
+
+// --- Startup ---
+
+translateStaticText();
+subscribeToSpectatorFeed((message) => {
+    const handler = EVENT_HANDLERS[message.type];
+    if (handler) {
+        handler(message.data, message.replay);
+    } else {
+        console.warn(`Spectator: unknown event "${message.type}".`);
+    }
+});
+console.log("Spectator view waiting for game events...");
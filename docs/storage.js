@@ -0,0 +1,244 @@
+/**
+ * storage.js for Gesture Rock Paper Scissors Game
+ * Persists every played round in localStorage using a versioned schema,
+ * computes the stats shown in the stats panel and handles JSON/CSV export and import.
+ * No DOM access here apart from localStorage; script.js renders the stats panel.
+ */
+
+import { DEFAULT_RULE_SET_ID } from './rules.js';
+
+// --- Storage Configuration ---
+const HISTORY_STORAGE_KEY = 'rps-gesture-history';
+const HISTORY_SCHEMA_VERSION = 1;
+const CSV_COLUMNS = ['timestamp', 'player', 'computer', 'result', 'confidence', 'ruleSet'];
+export const RESULTS = ['win', 'lose', 'draw'];
+
+// Stored document (version 1):
+// {
+//   version: 1,
+//   rounds: [{ timestamp: 1700000000000, player: 'rock', computer: 'paper',
+//              result: 'lose', confidence: 0.93, ruleSet: 'classic' }, ...]
+// }
+
+
+// --- Schema Handling ---
+
+// Brings a stored/imported document up to the current schema version.
+// Returns null if it can't be understood.
+export function migrateHistory(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    // Pre-versioned data: a bare array of rounds
+    if (Array.isArray(data)) {
+        data = { version: 1, rounds: data };
+    }
+    if (data.version > HISTORY_SCHEMA_VERSION) {
+        console.warn(`History schema v${data.version} is newer than supported v${HISTORY_SCHEMA_VERSION}.`);
+        return null;
+    }
+    // Future migrations go here, one version step at a time:
+    // if (data.version === 1) { data = migrateV1toV2(data); }
+
+    if (!Array.isArray(data.rounds)) return null;
+    return { version: HISTORY_SCHEMA_VERSION, rounds: data.rounds.map(normalizeRound).filter(Boolean) };
+}
+
+// Validates a single round record, coercing field types. Returns null for unusable records.
+function normalizeRound(round) {
+    if (!round || typeof round !== 'object') return null;
+    const timestamp = Number(round.timestamp);
+    if (!round.player || !round.computer || !RESULTS.includes(round.result) || !Number.isFinite(timestamp)) {
+        return null;
+    }
+    const confidence = round.confidence === null || round.confidence === undefined || round.confidence === ''
+        ? null
+        : Number(round.confidence);
+    return {
+        timestamp: timestamp,
+        player: String(round.player),
+        computer: String(round.computer),
+        result: round.result,
+        confidence: Number.isFinite(confidence) ? confidence : null,
+        ruleSet: round.ruleSet ? String(round.ruleSet) : DEFAULT_RULE_SET_ID
+    };
+}
+
+
+// --- localStorage Access ---
+
+// Loads all stored rounds (oldest first). Falls back to an empty history on any problem.
+export function loadRoundHistory() {
+    try {
+        const raw = localStorage.getItem(HISTORY_STORAGE_KEY);
+        if (!raw) return [];
+        const data = migrateHistory(JSON.parse(raw));
+        if (!data) {
+            console.warn("Stored history could not be read. Starting with an empty history.");
+            return [];
+        }
+        return data.rounds;
+    } catch (error) {
+        console.error("Error loading history:", error);
+        return [];
+    }
+}
+
+// Saves all rounds, replacing what was stored
+export function saveRoundHistory(rounds) {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: HISTORY_SCHEMA_VERSION, rounds: rounds }));
+    } catch (error) {
+        // Quota exceeded or storage disabled (e.g. private browsing)
+        console.error("Error saving history:", error);
+    }
+}
+
+// Removes all stored rounds
+export function clearRoundHistory() {
+    try {
+        localStorage.removeItem(HISTORY_STORAGE_KEY);
+    } catch (error) {
+        console.error("Error clearing history:", error);
+    }
+}
+
+
+// --- Stats ---
+
+// Computes the stats panel numbers from a list of rounds (oldest first)
+export function computeStats(rounds) {
+    const stats = {
+        total: rounds.length,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        winRate: 0,            // Wins / decisive rounds, 0..1
+        longestWinStreak: 0,
+        currentWinStreak: 0,
+        gestureCounts: {},     // Player gesture -> times played
+        resultsByDay: []       // [{ day: 'YYYY-MM-DD', win, lose, draw }], oldest first
+    };
+
+    const days = new Map();
+    let streak = 0;
+    for (const round of rounds) {
+        if (round.result === 'win') {
+            stats.wins++;
+            streak++;
+            stats.longestWinStreak = Math.max(stats.longestWinStreak, streak);
+        } else if (round.result === 'lose') {
+            stats.losses++;
+            streak = 0;
+        } else {
+            stats.draws++;
+            // Draws neither extend nor break a streak
+        }
+        stats.gestureCounts[round.player] = (stats.gestureCounts[round.player] || 0) + 1;
+
+        const day = toLocalDay(round.timestamp);
+        if (!days.has(day)) {
+            days.set(day, { day: day, win: 0, lose: 0, draw: 0 });
+        }
+        days.get(day)[round.result]++;
+    }
+
+    stats.currentWinStreak = streak;
+    const decisive = stats.wins + stats.losses;
+    stats.winRate = decisive > 0 ? stats.wins / decisive : 0;
+    stats.resultsByDay = Array.from(days.values()).sort((a, b) => a.day.localeCompare(b.day));
+    return stats;
+}
+
+// 'YYYY-MM-DD' in local time
+export function toLocalDay(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+
+// --- Export / Import ---
+
+// Serializes rounds as a versioned JSON document
+export function historyToJSON(rounds) {
+    return JSON.stringify({ version: HISTORY_SCHEMA_VERSION, rounds: rounds }, null, 2);
+}
+
+// Serializes rounds as CSV (one row per round, ISO timestamps)
+export function historyToCSV(rounds) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const round of rounds) {
+        lines.push(CSV_COLUMNS.map(column => escape(column === 'timestamp' ? new Date(round.timestamp).toISOString() : round[column])).join(','));
+    }
+    return lines.join('\n');
+}
+
+// Parses exported JSON or CSV text back into rounds. Throws on unreadable input.
+export function parseHistoryFile(text, fileName) {
+    const trimmed = text.trim();
+    if (/\.csv$/i.test(fileName || '') || !/^[[{]/.test(trimmed)) {
+        return parseHistoryCSV(trimmed);
+    }
+    const data = migrateHistory(JSON.parse(trimmed));
+    if (!data) {
+        throw new Error("Not a game history file.");
+    }
+    return data.rounds;
+}
+
+// Parses CSV produced by historyToCSV (quoted fields supported)
+function parseHistoryCSV(text) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') { quoted = false; }
+            else { field += char; }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field); field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    const header = rows.shift().map(name => name.trim());
+    if (!['player', 'computer', 'result', 'timestamp'].every(name => header.includes(name))) {
+        throw new Error("CSV is missing required columns (timestamp, player, computer, result).");
+    }
+    return rows
+        .filter(cells => cells.some(cell => cell.trim() !== ''))
+        .map(cells => {
+            const record = Object.fromEntries(header.map((name, i) => [name, cells[i]]));
+            // Accept both ISO dates and epoch milliseconds
+            record.timestamp = /^\d+$/.test(record.timestamp) ? Number(record.timestamp) : Date.parse(record.timestamp);
+            return normalizeRound(record);
+        })
+        .filter(Boolean);
+}
+
+// Merges imported rounds into existing ones, skipping duplicates, sorted by time
+export function mergeRoundHistories(existing, imported) {
+    const key = (round) => `${round.timestamp}|${round.player}|${round.computer}|${round.result}`;
+    const seen = new Set(existing.map(key));
+    const merged = existing.slice();
+    for (const round of imported) {
+        if (!seen.has(key(round))) {
+            seen.add(key(round));
+            merged.push(round);
+        }
+    }
+    return merged.sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -0,0 +1,130 @@
+/**
+ * strategies.js for Gesture Rock Paper Scissors Game
+ * Computer opponent strategies. Each strategy is a pure function of
+ * (history, ruleSet, random) -> gesture, so it can be tested and benchmarked
+ * offline with a seeded random source (see createSeededRandom).
+ *
+ * history: array of rounds recorded by playGame, oldest first:
+ *   { player: 'rock', computer: 'paper', result: 'lose' }  (result is from the player's side)
+ * random:  function returning a float in [0, 1), like Math.random
+ */
+
+// --- Shared Helpers ---
+
+// Deterministic random source (mulberry32) for tests and benchmarks
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Picks a random element of a list
+function pickRandom(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// Picks one of the gestures that beat the predicted player gesture
+function counterGesture(ruleSet, predicted, random) {
+    const counters = ruleSet.gestures.filter(gesture => ruleSet.beats[gesture] && ruleSet.beats[gesture][predicted]);
+    return counters.length > 0 ? pickRandom(counters, random) : pickRandom(ruleSet.gestures, random);
+}
+
+// Most frequent gesture in a list of counts (ties broken randomly), or null if all counts are 0
+function mostLikely(counts, random) {
+    let best = [];
+    let bestCount = 0;
+    for (const [gesture, count] of Object.entries(counts)) {
+        if (count > bestCount) {
+            best = [gesture];
+            bestCount = count;
+        } else if (count === bestCount && count > 0) {
+            best.push(gesture);
+        }
+    }
+    return best.length > 0 ? pickRandom(best, random) : null;
+}
+
+// Only rounds played with gestures of the current rule set are useful for prediction
+function relevantHistory(history, ruleSet) {
+    return history.filter(round => ruleSet.gestures.includes(round.player) && ruleSet.gestures.includes(round.computer));
+}
+
+
+// --- Strategies ---
+
+// Uniformly random: the original computerPlay behaviour
+export function randomStrategy(history, ruleSet, random) {
+    return pickRandom(ruleSet.gestures, random);
+}
+
+// Counts the player's past gestures and counters the most frequent one
+export function frequencyStrategy(history, ruleSet, random) {
+    const rounds = relevantHistory(history, ruleSet);
+    const counts = Object.fromEntries(ruleSet.gestures.map(gesture => [gesture, 0]));
+    for (const round of rounds) {
+        counts[round.player]++;
+    }
+    const predicted = mostLikely(counts, random);
+    return predicted ? counterGesture(ruleSet, predicted, random) : randomStrategy(history, ruleSet, random);
+}
+
+// Builds a Markov chain strategy on the player's last `order` gestures.
+// Looks up what the player played after the same sequence before; if that
+// sequence was never seen, backs off to shorter sequences, then to frequency.
+export function createMarkovStrategy(order) {
+    return function markovStrategy(history, ruleSet, random) {
+        const moves = relevantHistory(history, ruleSet).map(round => round.player);
+
+        for (let n = Math.min(order, moves.length - 1); n >= 1; n--) {
+            const recent = moves.slice(-n).join(',');
+            const counts = Object.fromEntries(ruleSet.gestures.map(gesture => [gesture, 0]));
+            for (let i = n; i < moves.length; i++) {
+                if (moves.slice(i - n, i).join(',') === recent) {
+                    counts[moves[i]]++;
+                }
+            }
+            const predicted = mostLikely(counts, random);
+            if (predicted) {
+                return counterGesture(ruleSet, predicted, random);
+            }
+        }
+        return frequencyStrategy(history, ruleSet, random);
+    };
+}
+
+// Exploits the common human "win-stay / lose-shift" habit:
+// after a win the player tends to repeat, after a loss they switch to whatever
+// would have beaten the computer's last gesture. Draws are treated as random.
+export function winStayLoseShiftStrategy(history, ruleSet, random) {
+    const rounds = relevantHistory(history, ruleSet);
+    const last = rounds[rounds.length - 1];
+    if (!last || last.result === 'draw') {
+        return randomStrategy(history, ruleSet, random);
+    }
+
+    let predicted;
+    if (last.result === 'win') {
+        predicted = last.player; // Stay
+    } else {
+        const shifts = ruleSet.gestures.filter(gesture => ruleSet.beats[gesture] && ruleSet.beats[gesture][last.computer]);
+        predicted = shifts.length > 0 ? pickRandom(shifts, random) : last.player;
+    }
+    return counterGesture(ruleSet, predicted, random);
+}
+
+
+// --- Strategy Registry ---
+// Keyed by id, in increasing difficulty. Used by the difficulty picker in the game area.
+export const AI_STRATEGIES = {
+    random: { id: 'random', name: 'Easy (Random)', play: randomStrategy },
+    frequency: { id: 'frequency', name: 'Medium (Frequency)', play: frequencyStrategy },
+    markov: { id: 'markov', name: 'Hard (Markov, last 2 moves)', play: createMarkovStrategy(2) },
+    wsls: { id: 'wsls', name: 'Expert (Win-Stay / Lose-Shift)', play: winStayLoseShiftStrategy }
+};
+
+export const DEFAULT_STRATEGY_ID = 'random';
@@ -0,0 +1,149 @@
+/**
+ * sw.js for Gesture Rock Paper Scissors Game
+ * Service worker that lets the game run offline (e.g. on kiosks without internet access).
+ * On install it precaches the page, the game modules, asset packs, icons, sounds and the vendored
+ * MediaPipe files (see vendor/mediapipe). Game code is fetched network-first, so changes
+ * show up whenever the network is there; the large, versioned MediaPipe files and the
+ * media are served cache-first.
+ * Bump CACHE_VERSION whenever PRECACHE_URLS or the vendored files change.
+ */
+
+// --- Cache Configuration ---
+const CACHE_VERSION = 7;
+const CACHE_PREFIX = 'rps-gesture-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const MEDIAPIPE_FILES = [
+    'vendor/mediapipe/hands/hands.js',
+    'vendor/mediapipe/hands/hands.binarypb',
+    'vendor/mediapipe/hands/hands_solution_packed_assets.data',
+    'vendor/mediapipe/hands/hands_solution_packed_assets_loader.js',
+    'vendor/mediapipe/hands/hands_solution_simd_wasm_bin.js',
+    'vendor/mediapipe/hands/hands_solution_simd_wasm_bin.wasm',
+    'vendor/mediapipe/hands/hands_solution_wasm_bin.js',
+    'vendor/mediapipe/hands/hands_solution_wasm_bin.wasm',
+    'vendor/mediapipe/hands/hand_landmark_full.tflite',
+    'vendor/mediapipe/hands/hand_landmark_lite.tflite',
+    'vendor/mediapipe/camera_utils/camera_utils.js',
+    'vendor/mediapipe/drawing_utils/drawing_utils.js'
+];
+
+// Everything the game loads. A missing file makes the whole install fail, so keep this in step with the repo.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'spectator.html',
+    'style.css',
+    'manifest.webmanifest',
+    'script.js',
+    'assets.js',
+    'broadcast.js',
+    'clips.js',
+    'classifier.js',
+    'engine.js',
+    'hand-tracker.js',
+    'hand-worker.js',
+    'i18n.js',
+    'input.js',
+    'match.js',
+    'mixer.js',
+    'netplay.js',
+    'overlay.js',
+    'perf.js',
+    'recorder.js',
+    'rules.js',
+    'settings.js',
+    'spectator.js',
+    'storage.js',
+    'strategies.js',
+    'tournament.js',
+    'training.js',
+    'locales/en.js',
+    'locales/es.js',
+    'locales/ja.js',
+    'packs/classic.json',
+    'packs/arcade.json',
+    'icons/app-icon.svg',
+    'icons/unknown.svg',
+    'icons/locked.svg',
+    'icons/rock.jpeg',
+    'icons/paper.jpeg',
+    'icons/scissors.jpeg',
+    'icons/lizard.svg',
+    'icons/spock.svg',
+    'icons/dumb.jpg',
+    'icons/sponge.svg',
+    'icons/water.svg',
+    'sounds/win.mp3',
+    'sounds/lose.mp3',
+    'sounds/draw.mp3'
+].concat(MEDIAPIPE_FILES);
+
+// Served from the cache first: they only change together with CACHE_VERSION
+const CACHE_FIRST_PATHS = ['/vendor/', '/icons/', '/sounds/'];
+
+
+// --- Lifecycle ---
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+
+// --- Fetch Handling ---
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return; // Let the browser handle it
+
+    const cacheFirst = CACHE_FIRST_PATHS.some(path => url.pathname.includes(path));
+    event.respondWith(cacheFirst ? fromCacheFirst(request) : fromNetworkFirst(request));
+});
+
+async function fromCacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Fresh from the network when possible (and cached for later), the cached copy when offline.
+// Pages are matched without their query string, so links with ?rules= or settings work offline too.
+async function fromNetworkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const page = await caches.match('index.html');
+            if (page) return page;
+        }
+        throw error;
+    }
+}
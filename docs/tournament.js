@@ -0,0 +1,417 @@
+/**
+ * tournament.js for Gesture Rock Paper Scissors Game
+ * Tournaments between named human players and AI bots: single-elimination and
+ * round-robin brackets, advancing winners, standings, export and localStorage persistence.
+ * Every pairing is played as a match (see match.js): humans at the camera through the
+ * normal round flow in script.js, bot-vs-bot matches simulated here with their strategies.
+ * No DOM access here apart from localStorage; script.js renders the bracket.
+ */
+
+import { AI_STRATEGIES } from './strategies.js';
+import { MATCH_FORMATS, createMatch, recordMatchRound, isMatchOver } from './match.js';
+import { getBeatVerb } from './rules.js';
+
+// --- Tournament Configuration ---
+const TOURNAMENT_STORAGE_KEY = 'rps-tournament';
+const TOURNAMENT_SCHEMA_VERSION = 1;
+const BOT_MATCH_ROUND_LIMIT = 1000; // Safety net for simulated matches that keep drawing
+const STANDINGS_CSV_COLUMNS = ['rank', 'name', 'type', 'bot', 'played', 'wins', 'losses', 'roundsWon', 'roundsLost'];
+export const MIN_TOURNAMENT_PLAYERS = 2;
+export const MAX_TOURNAMENT_PLAYERS = 16;
+
+export const TOURNAMENT_FORMATS = {
+    single: { id: 'single', name: 'Single Elimination' },
+    roundRobin: { id: 'roundRobin', name: 'Round Robin' }
+};
+
+export const DEFAULT_TOURNAMENT_FORMAT_ID = 'single';
+export const DEFAULT_TOURNAMENT_MATCH_FORMAT_ID = 'bo3'; // Free play never decides a match
+
+// AI bots, one personality per computer strategy (see strategies.js)
+export const BOT_PERSONALITIES = {
+    random: { strategyId: 'random', name: 'Rando', description: 'Throws whatever comes to mind' },
+    frequency: { strategyId: 'frequency', name: 'Tally', description: 'Counters your favourite gesture' },
+    markov: { strategyId: 'markov', name: 'Oracle', description: 'Reads patterns in your last moves' },
+    wsls: { strategyId: 'wsls', name: 'Shifty', description: 'Knows how winners and losers react' }
+};
+
+// Stored document (version 1):
+// {
+//   version: 1,
+//   name: 'Friday Cup', format: 'single', matchFormat: 'bo3', ruleSet: 'classic',
+//   createdAt: 1700000000000, finishedAt: null,
+//   players: [{ id: 'p1', name: 'Alice', type: 'human', strategyId: null },
+//             { id: 'p2', name: 'Oracle', type: 'bot', strategyId: 'markov' }],
+//   matches: [{ id: 'r1m0', round: 1, index: 0, a: 'p1', b: 'p2',   // Player ids (null: not decided yet / bye)
+//               winner: 'p1', score: { a: 2, b: 1 }, bye: false }]
+// }
+
+
+// --- Tournament Creation ---
+
+// Creates a player entry. Bots need the id of a strategy from AI_STRATEGIES.
+export function createTournamentPlayer(id, name, strategyId = null) {
+    return {
+        id: id,
+        name: name,
+        type: strategyId ? 'bot' : 'human',
+        strategyId: strategyId
+    };
+}
+
+// Name for a new bot, numbered if the same personality is already taking part ("Oracle 2")
+export function nextBotName(players, strategyId) {
+    const personality = BOT_PERSONALITIES[strategyId];
+    const baseName = personality ? personality.name : AI_STRATEGIES[strategyId].name;
+    const taken = players.filter(player => player.strategyId === strategyId).length;
+    return taken > 0 ? `${baseName} ${taken + 1}` : baseName;
+}
+
+// Creates a tournament with its full schedule. players are seeded in the given order.
+// Throws if the player list can't make a tournament.
+export function createTournament({ name, formatId, matchFormatId, ruleSetId, players, now = Date.now() }) {
+    if (!Array.isArray(players) || players.length < MIN_TOURNAMENT_PLAYERS) {
+        throw new Error(`A tournament needs at least ${MIN_TOURNAMENT_PLAYERS} players.`);
+    }
+    if (players.length > MAX_TOURNAMENT_PLAYERS) {
+        throw new Error(`A tournament can have at most ${MAX_TOURNAMENT_PLAYERS} players.`);
+    }
+    const format = TOURNAMENT_FORMATS[formatId] || TOURNAMENT_FORMATS[DEFAULT_TOURNAMENT_FORMAT_ID];
+    const matchFormat = MATCH_FORMATS[matchFormatId];
+    const tournament = {
+        version: TOURNAMENT_SCHEMA_VERSION,
+        name: name || 'Tournament',
+        format: format.id,
+        matchFormat: matchFormat && matchFormat.type !== 'free' ? matchFormat.id : DEFAULT_TOURNAMENT_MATCH_FORMAT_ID,
+        ruleSet: ruleSetId,
+        createdAt: now,
+        finishedAt: null,
+        players: players.map(player => Object.assign({}, player)),
+        matches: []
+    };
+    const ids = tournament.players.map(player => player.id);
+    tournament.matches = format.id === 'roundRobin' ? scheduleRoundRobin(ids) : scheduleSingleElimination(ids);
+    settleByes(tournament, now);
+    return tournament;
+}
+
+function createTournamentMatch(round, index, a, b) {
+    return { id: `r${round}m${index}`, round: round, index: index, a: a, b: b, winner: null, score: null, bye: false };
+}
+
+// Bracket slots for seeds 1..size so that the top seeds only meet late
+// (size 8: 1 v 8, 4 v 5, 2 v 7, 3 v 6). Seeds above the player count are byes.
+function seedingOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const next = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, next - seed]);
+    }
+    return order;
+}
+
+// Every round of the bracket up front; later rounds are filled in as winners advance
+function scheduleSingleElimination(ids) {
+    let size = 1;
+    while (size < ids.length) size *= 2;
+    const slots = seedingOrder(size).map(seed => ids[seed - 1] || null);
+    const matches = [];
+    for (let index = 0; index < size / 2; index++) {
+        matches.push(createTournamentMatch(1, index, slots[index * 2], slots[index * 2 + 1]));
+    }
+    const rounds = Math.log2(size);
+    for (let round = 2; round <= rounds; round++) {
+        for (let index = 0; index < size / 2 ** round; index++) {
+            matches.push(createTournamentMatch(round, index, null, null));
+        }
+    }
+    return matches;
+}
+
+// Circle method: the first player stays put while the others rotate, so everyone
+// meets everyone once. With an odd count one player sits out each round.
+function scheduleRoundRobin(ids) {
+    const circle = ids.length % 2 === 0 ? ids.slice() : ids.concat([null]);
+    const matches = [];
+    for (let round = 1; round < circle.length; round++) {
+        let index = 0;
+        for (let i = 0; i < circle.length / 2; i++) {
+            let a = circle[i];
+            let b = circle[circle.length - 1 - i];
+            if (a === null || b === null) continue;
+            if (i === 0 && round % 2 === 0) [a, b] = [b, a]; // The fixed player alternates sides
+            matches.push(createTournamentMatch(round, index++, a, b));
+        }
+        circle.splice(1, 0, circle.pop());
+    }
+    return matches;
+}
+
+// A first-round match with a single player is a bye: that player advances unplayed
+function settleByes(tournament, now) {
+    for (const match of tournament.matches) {
+        if (match.round === 1 && !match.winner && (match.a === null) !== (match.b === null)) {
+            match.bye = true;
+            match.winner = match.a || match.b;
+            advanceWinner(tournament, match, now);
+        }
+    }
+}
+
+
+// --- Playing the Tournament ---
+
+// Number of rounds in the schedule
+export function tournamentRoundCount(tournament) {
+    return tournament.matches.reduce((rounds, match) => Math.max(rounds, match.round), 0);
+}
+
+export function getTournamentPlayer(tournament, id) {
+    return tournament.players.find(player => player.id === id) || null;
+}
+
+export function getTournamentMatch(tournament, id) {
+    return tournament.matches.find(match => match.id === id) || null;
+}
+
+// The next match that can be played (both players known, no winner yet), or null
+export function nextTournamentMatch(tournament) {
+    return tournament.matches.find(match => !match.winner && match.a && match.b) || null;
+}
+
+export function isTournamentOver(tournament) {
+    return tournament.matches.every(match => match.winner);
+}
+
+// Records a played match. winnerId is the id of one of its players,
+// score the round wins of each side ({ a, b }). Advances the winner in elimination brackets.
+export function recordTournamentResult(tournament, matchId, winnerId, score, now = Date.now()) {
+    const match = getTournamentMatch(tournament, matchId);
+    if (!match || match.winner) {
+        console.warn(`Tournament match ${matchId} is unknown or already decided. Ignoring.`);
+        return;
+    }
+    if (winnerId !== match.a && winnerId !== match.b) {
+        console.warn(`${winnerId} doesn't play in tournament match ${matchId}. Ignoring.`);
+        return;
+    }
+    match.winner = winnerId;
+    match.score = { a: score.a, b: score.b };
+    advanceWinner(tournament, match, now);
+}
+
+// Moves a match winner into its slot of the next elimination round, and stamps the finish time
+function advanceWinner(tournament, match, now) {
+    if (tournament.format === 'single' && match.round < tournamentRoundCount(tournament)) {
+        const next = getTournamentMatch(tournament, `r${match.round + 1}m${Math.floor(match.index / 2)}`);
+        next[match.index % 2 === 0 ? 'a' : 'b'] = match.winner;
+    }
+    if (isTournamentOver(tournament)) {
+        tournament.finishedAt = now;
+    }
+}
+
+// Winning player once the tournament is over (top of the standings), or null
+export function tournamentChampion(tournament) {
+    if (!isTournamentOver(tournament)) return null;
+    const standings = computeStandings(tournament);
+    const leaders = standings.filter(row => row.rank === 1);
+    return leaders.length === 1 ? leaders[0].player : null; // A round robin can end in a shared first place
+}
+
+// What a round is called: 'final', 'semifinals' or 'quarterfinals' for the last elimination
+// rounds, 'other' otherwise ("Round N"). script.js looks up the name in the message catalogs.
+export function tournamentRoundKind(tournament, round) {
+    if (tournament.format === 'single') {
+        const fromEnd = tournamentRoundCount(tournament) - round;
+        const kinds = ['final', 'semifinals', 'quarterfinals'];
+        if (fromEnd < kinds.length) return kinds[fromEnd];
+    }
+    return 'other';
+}
+
+
+// --- Bot Matches ---
+
+// Round result from side A's point of view, using the rule set's "beats" graph
+function roundResult(ruleSet, gestureA, gestureB) {
+    if (gestureA === gestureB) return 'draw';
+    return getBeatVerb(ruleSet, gestureA, gestureB) ? 'win' : 'lose';
+}
+
+// Simulates a whole match between two bot players. Each strategy sees the rounds
+// from its own side ("player" is always the opponent it predicts).
+// Returns the finished match (see match.js).
+export function playBotMatch(botA, botB, format, ruleSet, random = Math.random) {
+    const match = createMatch(format, { a: botA.name, b: botB.name });
+    const strategyA = AI_STRATEGIES[botA.strategyId] || AI_STRATEGIES.random;
+    const strategyB = AI_STRATEGIES[botB.strategyId] || AI_STRATEGIES.random;
+    const flipped = { win: 'lose', lose: 'win', draw: 'draw' };
+
+    while (!isMatchOver(match) && match.rounds.length < BOT_MATCH_ROUND_LIMIT) {
+        const historyA = match.rounds.map(round => ({ player: round.computer, computer: round.player, result: flipped[round.result] }));
+        const gestureA = strategyA.play(historyA, ruleSet, random);
+        const gestureB = strategyB.play(match.rounds, ruleSet, random);
+        recordMatchRound(match, gestureA, gestureB, roundResult(ruleSet, gestureA, gestureB));
+    }
+    if (!isMatchOver(match)) {
+        // Endless draws: the side ahead takes it, a coin flip if nobody is
+        const aheadA = match.playerWins > match.computerWins || (match.playerWins === match.computerWins && random() < 0.5);
+        match.winner = aheadA ? 'player' : 'computer';
+    }
+    return match;
+}
+
+
+// --- Standings ---
+
+// One row per player, best first:
+//   { rank, player, played, wins, losses, roundsWon, roundsLost, eliminatedIn }
+// Elimination brackets rank by how far a player got (shared ranks for the same round),
+// round robins by match wins, then round difference, then rounds won.
+export function computeStandings(tournament) {
+    const rows = new Map(tournament.players.map(player => [player.id, {
+        rank: 0,
+        player: player,
+        played: 0,
+        wins: 0,
+        losses: 0,
+        roundsWon: 0,
+        roundsLost: 0,
+        eliminatedIn: null // Round lost in (single elimination)
+    }]));
+
+    for (const match of tournament.matches) {
+        if (!match.winner || match.bye) continue;
+        for (const sideId of ['a', 'b']) {
+            const row = rows.get(match[sideId]);
+            const otherSide = sideId === 'a' ? 'b' : 'a';
+            row.played++;
+            row.roundsWon += match.score[sideId];
+            row.roundsLost += match.score[otherSide];
+            if (match.winner === match[sideId]) {
+                row.wins++;
+            } else {
+                row.losses++;
+                row.eliminatedIn = match.round;
+            }
+        }
+    }
+
+    // Sort keys, most important first: a row beats another on the first key that differs
+    const lastRound = tournamentRoundCount(tournament) + 1;
+    const keys = (row) => tournament.format === 'single'
+        ? [row.eliminatedIn === null ? lastRound : row.eliminatedIn]
+        : [row.wins, row.roundsWon - row.roundsLost, row.roundsWon];
+    const compare = (first, second) => {
+        const a = keys(first), b = keys(second);
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return b[i] - a[i];
+        }
+        return 0;
+    };
+
+    const sorted = Array.from(rows.values()).sort((first, second) =>
+        compare(first, second) || second.wins - first.wins || (second.roundsWon - second.roundsLost) - (first.roundsWon - first.roundsLost));
+    sorted.forEach((row, i) => {
+        // Players tied on the ranking keys share a rank ("3." twice for the losing semifinalists)
+        row.rank = i > 0 && compare(sorted[i - 1], row) === 0 ? sorted[i - 1].rank : i + 1;
+    });
+    return sorted;
+}
+
+
+// --- Export ---
+
+// Final (or current) standings as CSV, one row per player
+export function standingsToCSV(tournament) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [STANDINGS_CSV_COLUMNS.join(',')];
+    for (const row of computeStandings(tournament)) {
+        const values = {
+            rank: row.rank,
+            name: row.player.name,
+            type: row.player.type,
+            bot: row.player.strategyId ? AI_STRATEGIES[row.player.strategyId].name : '',
+            played: row.played,
+            wins: row.wins,
+            losses: row.losses,
+            roundsWon: row.roundsWon,
+            roundsLost: row.roundsLost
+        };
+        lines.push(STANDINGS_CSV_COLUMNS.map(column => escape(values[column])).join(','));
+    }
+    return lines.join('\n');
+}
+
+// The whole tournament (schedule, results and standings) as a JSON document
+export function tournamentToJSON(tournament) {
+    const standings = computeStandings(tournament).map(row => ({
+        rank: row.rank,
+        player: row.player.id,
+        name: row.player.name,
+        played: row.played,
+        wins: row.wins,
+        losses: row.losses,
+        roundsWon: row.roundsWon,
+        roundsLost: row.roundsLost
+    }));
+    return JSON.stringify(Object.assign({}, tournament, { standings: standings }), null, 2);
+}
+
+
+// --- localStorage Access ---
+
+// Checks a stored tournament document. Returns null if it can't be used.
+export function parseTournament(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.players) || !Array.isArray(data.matches)) {
+        return null;
+    }
+    if (data.version > TOURNAMENT_SCHEMA_VERSION) {
+        console.warn(`Tournament schema v${data.version} is newer than supported v${TOURNAMENT_SCHEMA_VERSION}.`);
+        return null;
+    }
+    const ids = new Set(data.players.map(player => player && player.id));
+    const known = (id) => id === null || ids.has(id);
+    const usable = TOURNAMENT_FORMATS[data.format] && MATCH_FORMATS[data.matchFormat] &&
+        data.players.every(player => player && typeof player.name === 'string' &&
+            (player.type === 'human' || AI_STRATEGIES[player.strategyId])) &&
+        data.matches.every(match => match && known(match.a) && known(match.b) && known(match.winner));
+    if (!usable) return null;
+    return Object.assign({}, data, { version: TOURNAMENT_SCHEMA_VERSION });
+}
+
+// The saved tournament, or null if there is none
+export function loadTournament() {
+    try {
+        const raw = localStorage.getItem(TOURNAMENT_STORAGE_KEY);
+        if (!raw) return null;
+        const tournament = parseTournament(JSON.parse(raw));
+        if (!tournament) {
+            console.warn("Stored tournament could not be read. Ignoring it.");
+        }
+        return tournament;
+    } catch (error) {
+        console.error("Error loading tournament:", error);
+        return null;
+    }
+}
+
+export function saveTournament(tournament) {
+    try {
+        localStorage.setItem(TOURNAMENT_STORAGE_KEY, JSON.stringify(tournament));
+    } catch (error) {
+        console.error("Error saving tournament:", error);
+    }
+}
+
+export function clearTournament() {
+    try {
+        localStorage.removeItem(TOURNAMENT_STORAGE_KEY);
+    } catch (error) {
+        console.error("Error clearing tournament:", error);
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * training.js for Gesture Rock Paper Scissors Game
+ * Custom gesture training: turns recorded hand landmarks into pose samples and
+ * classifies new hands with a lightweight k-nearest-neighbours model.
+ * The model is just the labelled samples plus a few parameters, so it is saved to
+ * localStorage and exported/imported as JSON. script.js owns the training screen.
+ */
+
+import { HAND_LANDMARKS, FINGER_CHAINS, HAND_POSES, CLASSIFIER_THRESHOLDS, smoothstep, extractHandFeatures } from './classifier.js';
+
+// --- Training Configuration ---
+const MODEL_STORAGE_KEY = 'rps-gesture-model';
+const MODEL_SCHEMA_VERSION = 1;
+const KNN_NEIGHBOURS = 5;                  // k
+export const TRAINING_SAMPLES_PER_RECORDING = 30; // Frames captured per press of "Record"
+export const MIN_SAMPLES_PER_POSE = 10;           // A pose needs at least this many samples to be usable
+const MAX_SAMPLES_PER_POSE = 200;          // Oldest samples are dropped beyond this
+
+
+// --- Feature Vector ---
+
+// Converts 21 landmarks into a pose feature vector that ignores where the hand is,
+// how big it is, how it's rotated in the image and whether it's a left or right hand:
+// wrist at the origin, palm size 1, wrist -> middle knuckle pointing up, index on the left.
+// The finger extension values from classifier.js are appended to weigh finger states more.
+export function landmarksToFeatures(landmarks, aspectRatio = 1) {
+    const L = HAND_LANDMARKS;
+    const wrist = landmarks[L.WRIST];
+    const points = landmarks.map(p => ({
+        x: (p.x - wrist.x) * aspectRatio,
+        y: p.y - wrist.y,
+        z: (p.z || 0) - (wrist.z || 0)
+    }));
+
+    // Rotate in the image plane so the palm points straight up
+    const palm = points[L.MIDDLE_MCP];
+    const handSize = Math.hypot(palm.x, palm.y, palm.z) || 1e-6;
+    const angle = Math.atan2(palm.x, -palm.y);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const rotated = points.map(p => ({
+        x: (p.x * cos + p.y * sin) / handSize,
+        y: (p.y * cos - p.x * sin) / handSize,
+        z: p.z / handSize
+    }));
+
+    // Mirror so the index knuckle is always on the left of the pinky knuckle
+    const mirror = rotated[L.INDEX_MCP].x > rotated[L.PINKY_MCP].x ? -1 : 1;
+
+    const features = [];
+    for (const p of rotated) {
+        features.push(p.x * mirror, p.y, p.z);
+    }
+    const fingers = extractHandFeatures(landmarks, aspectRatio).fingers;
+    for (const name of Object.keys(FINGER_CHAINS)) {
+        features.push(fingers[name].extension * 2); // Scaled to weigh about as much as a joint position
+    }
+    return features;
+}
+
+function featureDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return Math.sqrt(sum);
+}
+
+
+// --- Model ---
+
+// Creates an empty model
+export function createGestureModel() {
+    return { version: MODEL_SCHEMA_VERSION, k: KNN_NEIGHBOURS, maxDistance: 0, samples: [], trainedAt: null };
+}
+
+// Adds a labelled sample ({ pose, features }), keeping at most MAX_SAMPLES_PER_POSE per pose
+export function addTrainingSample(model, pose, features) {
+    model.samples.push({ pose: pose, features: features });
+    const samplesOfPose = model.samples.filter(sample => sample.pose === pose);
+    if (samplesOfPose.length > MAX_SAMPLES_PER_POSE) {
+        model.samples.splice(model.samples.indexOf(samplesOfPose[0]), 1);
+    }
+}
+
+// Number of samples per pose
+export function countTrainingSamples(model) {
+    const counts = {};
+    for (const sample of model.samples) {
+        counts[sample.pose] = (counts[sample.pose] || 0) + 1;
+    }
+    return counts;
+}
+
+// Poses with enough samples to be classified by the model
+export function trainedPoses(model) {
+    const counts = countTrainingSamples(model);
+    return Object.keys(counts).filter(pose => counts[pose] >= MIN_SAMPLES_PER_POSE);
+}
+
+// "Trains" the model: works out how far a hand may be from its nearest sample and
+// still count. Uses 3x the median leave-one-out nearest distance within each pose.
+export function trainGestureModel(model) {
+    const nearest = [];
+    for (let i = 0; i < model.samples.length; i++) {
+        let best = Infinity;
+        for (let j = 0; j < model.samples.length; j++) {
+            if (i !== j && model.samples[i].pose === model.samples[j].pose) {
+                best = Math.min(best, featureDistance(model.samples[i].features, model.samples[j].features));
+            }
+        }
+        if (Number.isFinite(best)) nearest.push(best);
+    }
+    nearest.sort((a, b) => a - b);
+    const median = nearest.length > 0 ? nearest[Math.floor(nearest.length / 2)] : 0;
+    model.maxDistance = Math.max(median * 3, 0.05);
+    model.trainedAt = Date.now();
+    return model;
+}
+
+// Classifies landmarks with the k-NN model. Same result shape as classifyGesture
+// ({ pose, confidence, scores }) so it can be used in its place.
+// Scores are distance-weighted votes, scaled down when the hand is far from every sample.
+export function classifyWithModel(model, landmarks, aspectRatio = 1) {
+    const scores = Object.fromEntries(HAND_POSES.map(pose => [pose, 0]));
+    const poses = trainedPoses(model);
+    if (!landmarks || landmarks.length < 21 || poses.length === 0 || !model.trainedAt) {
+        return { pose: null, confidence: 0, scores: scores };
+    }
+
+    const features = landmarksToFeatures(landmarks, aspectRatio);
+    const neighbours = model.samples
+        .filter(sample => poses.includes(sample.pose))
+        .map(sample => ({ pose: sample.pose, distance: featureDistance(features, sample.features) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, model.k);
+
+    let totalWeight = 0;
+    for (const neighbour of neighbours) {
+        const weight = 1 / (neighbour.distance + 1e-3);
+        scores[neighbour.pose] = (scores[neighbour.pose] || 0) + weight;
+        totalWeight += weight;
+    }
+    // Far from everything seen in training: not a trained gesture
+    const closeness = 1 - smoothstep(model.maxDistance * 0.5, model.maxDistance, neighbours[0].distance);
+
+    let pose = null, confidence = 0;
+    for (const name of Object.keys(scores)) {
+        scores[name] = totalWeight > 0 ? (scores[name] / totalWeight) * closeness : 0;
+        if (scores[name] > confidence) {
+            pose = name;
+            confidence = scores[name];
+        }
+    }
+    if (confidence < CLASSIFIER_THRESHOLDS.minConfidence) {
+        pose = null;
+    }
+    return { pose: pose, confidence: confidence, scores: scores };
+}
+
+
+// --- Persistence / Import / Export ---
+
+// Validates a parsed model document. Returns the model or null.
+export function parseGestureModel(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.samples)) return null;
+    if (data.version > MODEL_SCHEMA_VERSION) {
+        console.warn(`Gesture model v${data.version} is newer than supported v${MODEL_SCHEMA_VERSION}.`);
+        return null;
+    }
+    const featureLength = 21 * 3 + Object.keys(FINGER_CHAINS).length;
+    const model = createGestureModel();
+    model.k = Number.isInteger(data.k) && data.k > 0 ? data.k : KNN_NEIGHBOURS;
+    model.samples = data.samples.filter(sample =>
+        sample && HAND_POSES.includes(sample.pose) &&
+        Array.isArray(sample.features) && sample.features.length === featureLength &&
+        sample.features.every(Number.isFinite));
+    return model.samples.length > 0 ? trainGestureModel(model) : model;
+}
+
+// Loads the saved model from localStorage (null if none, empty or unreadable)
+export function loadGestureModel() {
+    try {
+        const raw = localStorage.getItem(MODEL_STORAGE_KEY);
+        const model = raw ? parseGestureModel(JSON.parse(raw)) : null;
+        return model && model.samples.length > 0 ? model : null;
+    } catch (error) {
+        console.error("Error loading gesture model:", error);
+        return null;
+    }
+}
+
+// Saves the model to localStorage
+export function saveGestureModel(model) {
+    try {
+        localStorage.setItem(MODEL_STORAGE_KEY, JSON.stringify(model));
+    } catch (error) {
+        console.error("Error saving gesture model:", error);
+    }
+}
+
+// Removes the saved model
+export function clearGestureModel() {
+    try {
+        localStorage.removeItem(MODEL_STORAGE_KEY);
+    } catch (error) {
+        console.error("Error clearing gesture model:", error);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * catalogs.test.js for Gesture Rock Paper Scissors Game
+ * Checks the message catalogs (docs/locales) against the English one: same keys, same
+ * placeholders, and plural messages with the forms each language's plural rules pick.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCALES, DEFAULT_LOCALE_ID, findCatalogProblems } from '../docs/i18n.js';
+
+const reference = LOCALES[DEFAULT_LOCALE_ID].catalog;
+const isPlural = (message) => typeof message === 'object';
+
+// Counts the game shows in plural messages (samples, rounds, clips, seconds...)
+const SAMPLE_COUNTS = Array.from({ length: 101 }, (_, i) => i);
+
+test('every locale has a catalog', () => {
+    for (const locale of Object.values(LOCALES)) {
+        assert.ok(locale.catalog && Object.keys(locale.catalog).length > 0, `${locale.id} has no messages`);
+    }
+});
+
+for (const locale of Object.values(LOCALES)) {
+    const catalog = locale.catalog;
+    const pluralRules = new Intl.PluralRules(locale.id);
+    const categories = pluralRules.resolvedOptions().pluralCategories;
+
+    test(`${locale.id} has every English key`, () => {
+        const missing = Object.keys(reference).filter(key => !(key in catalog));
+        assert.deepEqual(missing, []);
+    });
+
+    test(`${locale.id} has no keys English doesn't`, () => {
+        const extra = Object.keys(catalog).filter(key => !(key in reference));
+        assert.deepEqual(extra, []);
+    });
+
+    test(`${locale.id} messages are text or plural forms`, () => {
+        for (const [key, message] of Object.entries(catalog)) {
+            if (isPlural(message)) {
+                assert.ok(message !== null && !Array.isArray(message), `${key} is not a message`);
+                for (const form of Object.values(message)) {
+                    assert.equal(typeof form, 'string', `${key} has a form that isn't text`);
+                }
+            } else {
+                assert.equal(typeof message, 'string', `${key} is not a message`);
+            }
+        }
+    });
+
+    test(`${locale.id} plural messages match English and ${locale.id} plural rules`, () => {
+        for (const key of Object.keys(reference).filter(key => key in catalog)) {
+            const message = catalog[key];
+            assert.equal(isPlural(message), isPlural(reference[key]), `${key}: plural in one catalog only`);
+            if (!isPlural(message)) continue;
+            assert.ok('other' in message, `${key} has no 'other' form`);
+            for (const form of Object.keys(message)) {
+                assert.ok(categories.includes(form) || /^=\d+$/.test(form), `${key}: '${form}' is not a ${locale.id} plural form`);
+            }
+            // An English message with only 'other' reads the same for every count; one that
+            // changes with the count needs every form the language uses for these counts
+            if (Object.keys(reference[key]).every(form => form === 'other')) continue;
+            for (const count of SAMPLE_COUNTS) {
+                const category = pluralRules.select(count);
+                assert.ok(category in message || `=${count}` in message, `${key}: no '${category}' form for ${count}`);
+            }
+        }
+    });
+}
+
+test('findCatalogProblems finds nothing', () => {
+    assert.deepEqual(findCatalogProblems(), []);
+});
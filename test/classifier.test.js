@@ -0,0 +1,95 @@
+/**
+ * classifier.test.js for Gesture Rock Paper Scissors Game
+ * Scores the geometric classifier (docs/classifier.js) on the pose fixtures, and against
+ * the old y-threshold classifier on the shapes that one knows (rock, paper, scissors).
+ * The fixtures that come with the repo are synthetic (see test/fixtures/generate.js): these
+ * tests show the classifier handles clean hand geometry in any orientation, not how accurate
+ * it is on real camera input. Test names say which kind of fixtures they ran on.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyGesture, HAND_POSES } from '../docs/classifier.js';
+import { recordingFrameToResults } from '../docs/recorder.js';
+import { classifyGesture as classifyGestureLegacy } from './helpers/legacy-classifier.js';
+import { loadFixtures } from './helpers/fixtures.js';
+
+const fixtures = loadFixtures('poses');
+const LEGACY_POSES = ['rock', 'paper', 'scissors'];
+const FIXTURE_SOURCES = ['synthetic', 'recorded'];
+const sources = [...new Set(fixtures.map(fixture => fixture.data.source))].sort().join(' and ');
+
+// Landmarks of every frame of a fixture (first hand)
+function fixtureHands(fixture) {
+    return fixture.recording.frames.map(frame => recordingFrameToResults(frame).multiHandLandmarks[0]);
+}
+
+function aspectRatio(fixture) {
+    return fixture.recording.width / fixture.recording.height;
+}
+
+// Share of frames (0..1) a classifier gets right across the fixtures
+function accuracy(list, classify) {
+    let right = 0;
+    let total = 0;
+    for (const fixture of list) {
+        for (const landmarks of fixtureHands(fixture)) {
+            if (classify(landmarks, fixture) === fixture.data.label) right++;
+            total++;
+        }
+    }
+    return total > 0 ? right / total : 0;
+}
+
+const classifyNew = (landmarks, fixture) => classifyGesture(landmarks, aspectRatio(fixture)).pose;
+const classifyOld = (landmarks) => classifyGestureLegacy(landmarks);
+
+test('pose fixtures are labelled with known poses and say where they come from', () => {
+    assert.ok(fixtures.length > 0, 'no pose fixtures found');
+    for (const fixture of fixtures) {
+        assert.ok(HAND_POSES.includes(fixture.data.label), `${fixture.name}: unknown label "${fixture.data.label}"`);
+        assert.ok(FIXTURE_SOURCES.includes(fixture.data.source), `${fixture.name}: source should be one of ${FIXTURE_SOURCES.join(', ')}`);
+    }
+});
+
+test(`every pose fixture is recognized, whatever the orientation or hand (${sources} fixtures)`, () => {
+    for (const fixture of fixtures) {
+        const fixtureAccuracy = accuracy([fixture], classifyNew);
+        assert.ok(fixtureAccuracy >= 0.8, `${fixture.name}: ${Math.round(fixtureAccuracy * 100)}% of frames recognized`);
+    }
+});
+
+test('scores are confidences between 0 and 1, the best one being the pose', () => {
+    for (const fixture of fixtures) {
+        const result = classifyGesture(fixtureHands(fixture)[0], aspectRatio(fixture));
+        for (const pose of HAND_POSES) {
+            assert.ok(result.scores[pose] >= 0 && result.scores[pose] <= 1, `${fixture.name}: ${pose} score ${result.scores[pose]}`);
+        }
+        assert.equal(result.confidence, Math.max(...Object.values(result.scores)));
+        assert.equal(result.scores[result.pose], result.confidence);
+    }
+});
+
+test('too few landmarks give no pose', () => {
+    const result = classifyGesture([]);
+    assert.equal(result.pose, null);
+    assert.equal(result.confidence, 0);
+});
+
+test(`beats the y-threshold classifier on rock, paper and scissors (${sources} fixtures)`, () => {
+    const comparable = fixtures.filter(fixture => LEGACY_POSES.includes(fixture.data.label));
+    const newAccuracy = accuracy(comparable, classifyNew);
+    const oldAccuracy = accuracy(comparable, classifyOld);
+    assert.ok(newAccuracy > oldAccuracy, `new ${newAccuracy.toFixed(2)} vs old ${oldAccuracy.toFixed(2)}`);
+    // And is never worse on any single fixture
+    for (const fixture of comparable) {
+        assert.ok(accuracy([fixture], classifyNew) >= accuracy([fixture], classifyOld), `${fixture.name} got worse`);
+    }
+});
+
+test(`agrees with the y-threshold classifier on upright right hands (${sources} fixtures)`, () => {
+    for (const fixture of fixtures.filter(f => LEGACY_POSES.includes(f.data.label) && f.data.variant === 'upright')) {
+        assert.equal(accuracy([fixture], classifyOld), 1, `${fixture.name}: old classifier`);
+        assert.equal(accuracy([fixture], classifyNew), 1, `${fixture.name}: new classifier`);
+    }
+});
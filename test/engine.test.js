@@ -0,0 +1,284 @@
+/**
+ * engine.test.js for Gesture Rock Paper Scissors Game
+ * Drives the round state machine (docs/engine.js) with handleFrame(hands, time) on a fake
+ * clock: every transition, hand loss during the countdown and at "Shoot!", throw flags.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_STATES, DEFAULT_ENGINE_CONFIG, createGameEngine, judgeThrows } from '../docs/engine.js';
+import { createFakeClock } from './helpers/fake-clock.js';
+
+const FRAME_MS = 33; // About 30 fps
+
+const hand = (gesture) => ({ gesture: gesture, confidence: 0.9 });
+const ROCK = { a: hand('rock') };
+const PAPER = { a: hand('paper') };
+const UNCLEAR = { a: hand(null) };    // A hand, but no known gesture
+const NO_HAND = { a: null };
+
+// An engine on a fake clock that logs its transitions and events.
+// hold(ms, hands) feeds the same hands every frame for ms milliseconds.
+function setup(options = {}) {
+    const clock = createFakeClock();
+    const engine = createGameEngine(Object.assign({ timers: clock, now: clock.now }, options));
+    const transitions = [];
+    const events = [];
+    engine.on('stateChange', ({ from, to }) => transitions.push(`${from}->${to}`));
+    for (const name of ['countdownStart', 'countdownTick', 'reveal', 'roundAborted', 'reset']) {
+        engine.on(name, (payload) => events.push({ name: name, payload: payload, time: clock.now() }));
+    }
+
+    function hold(ms, hands, frameMs = FRAME_MS) {
+        const end = clock.now() + ms;
+        for (let time = clock.now(); time < end; time += frameMs) {
+            clock.advanceTo(time);
+            engine.handleFrame(hands, time);
+        }
+        clock.advanceTo(end);
+    }
+
+    const eventsNamed = (name) => events.filter(event => event.name === name);
+    // Time of "Shoot!" for the countdown that has started
+    const shootTime = () => eventsNamed('countdownStart')[0].time + DEFAULT_ENGINE_CONFIG.countdownSeconds * 1000;
+    return { clock, engine, transitions, eventsNamed, hold, shootTime };
+}
+
+beforeEach(() => {
+    // The engine narrates what it does; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+
+// --- Transitions ---
+
+test('starts idle', () => {
+    const { engine } = setup();
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+});
+
+test('a full round: idle -> tracking -> locking -> countdown -> reveal -> result -> idle', () => {
+    const { engine, transitions, eventsNamed, hold } = setup();
+    hold(200, UNCLEAR);
+    assert.equal(engine.getState(), GAME_STATES.TRACKING);
+    hold(700, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN);
+    assert.deepEqual(eventsNamed('countdownStart')[0].payload.gestures, { a: 'rock' });
+    hold(3200, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.REVEAL);
+    assert.deepEqual(eventsNamed('countdownTick').map(event => event.payload.secondsLeft), [2, 1, 0]);
+    const [reveal] = eventsNamed('reveal');
+    assert.deepEqual(reveal.payload.gestures, { a: 'rock' });
+    assert.deepEqual(reveal.payload.flags, { a: [] });
+    engine.finishRound();
+    assert.equal(engine.getState(), GAME_STATES.RESULT);
+    engine.reset();
+    assert.deepEqual(transitions, [
+        'idle->tracking', 'tracking->locking', 'locking->countdown',
+        'countdown->reveal', 'reveal->result', 'result->idle'
+    ]);
+});
+
+test('idle -> locking when a gesture shows straight away', () => {
+    const { engine, transitions, hold } = setup();
+    hold(100, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.LOCKING);
+    assert.deepEqual(transitions, ['idle->locking']);
+});
+
+test('tracking -> idle when the hand leaves', () => {
+    const { engine, transitions, hold } = setup();
+    hold(200, UNCLEAR);
+    hold(400, NO_HAND);
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+    assert.deepEqual(transitions, ['idle->tracking', 'tracking->idle']);
+});
+
+test('locking -> tracking when the gesture becomes unclear', () => {
+    const { engine, transitions, hold } = setup();
+    hold(200, ROCK);
+    hold(400, UNCLEAR);
+    assert.equal(engine.getState(), GAME_STATES.TRACKING);
+    assert.deepEqual(transitions, ['idle->locking', 'locking->tracking']);
+});
+
+test('locking -> idle when the hand leaves', () => {
+    const { engine, transitions, hold } = setup();
+    hold(200, ROCK);
+    hold(400, NO_HAND);
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+    assert.deepEqual(transitions, ['idle->locking', 'locking->idle']);
+    assert.equal(engine.getSide('a').currentGesture, null);
+});
+
+test('reveal -> idle when the round is reset before it is shown', () => {
+    const { engine, transitions, hold } = setup();
+    hold(4200, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.REVEAL);
+    engine.reset();
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+    assert.equal(transitions.at(-1), 'reveal->idle');
+});
+
+test('countdown -> idle on reset stops the countdown', () => {
+    const { clock, engine, eventsNamed, hold } = setup();
+    hold(700, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN);
+    engine.reset();
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+    assert.equal(clock.pendingTimers(), 0);
+    hold(4000, NO_HAND);
+    assert.equal(eventsNamed('reveal').length, 0);
+    assert.equal(eventsNamed('countdownTick').length, 0);
+});
+
+test('transitions the state machine does not allow are refused', () => {
+    const errors = mock.method(console, 'error', () => {});
+    const { engine, transitions } = setup();
+    engine.finishRound(); // idle -> result
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+    assert.deepEqual(transitions, []);
+    assert.equal(errors.mock.callCount(), 1);
+});
+
+
+// --- Locking ---
+
+test('locks after lockMs of holding, at any frame rate', () => {
+    for (const frameMs of [16, 33, 66]) {
+        const { engine, eventsNamed, hold } = setup();
+        hold(DEFAULT_ENGINE_CONFIG.lockMs - 100, ROCK, frameMs);
+        assert.equal(engine.getState(), GAME_STATES.LOCKING, `${frameMs} ms frames`);
+        hold(200, ROCK, frameMs);
+        assert.equal(eventsNamed('countdownStart').length, 1, `${frameMs} ms frames`);
+    }
+});
+
+test('a short dropout keeps the gesture being locked', () => {
+    const { engine, transitions, hold } = setup();
+    hold(300, ROCK);
+    const heldSince = engine.getSide('a').heldSince;
+    hold(DEFAULT_ENGINE_CONFIG.dropoutMs - 100, NO_HAND);
+    assert.equal(engine.getState(), GAME_STATES.LOCKING);
+    assert.equal(engine.getSide('a').heldSince, heldSince);
+    hold(300, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN);
+    assert.deepEqual(transitions, ['idle->locking', 'locking->countdown']);
+});
+
+test('a stray frame of another gesture does not restart the lock', () => {
+    const { engine, hold } = setup();
+    hold(250, ROCK);
+    const heldSince = engine.getSide('a').heldSince;
+    hold(FRAME_MS, PAPER);
+    assert.equal(engine.getSide('a').currentGesture, 'rock');
+    assert.equal(engine.getSide('a').heldSince, heldSince);
+    hold(300, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN);
+});
+
+test('with two players the countdown waits for both to lock', () => {
+    const { engine, eventsNamed, hold } = setup({ humanSides: ['a', 'b'] });
+    hold(800, { a: hand('rock'), b: null });
+    assert.equal(engine.getState(), GAME_STATES.LOCKING);
+    hold(700, { a: hand('rock'), b: hand('scissors') });
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN);
+    hold(3200, { a: hand('rock'), b: hand('scissors') });
+    assert.deepEqual(eventsNamed('reveal')[0].payload.gestures, { a: 'rock', b: 'scissors' });
+});
+
+
+// --- Countdown & "Shoot!" ---
+
+test('losing the hand mid-countdown is fine if it is back for "Shoot!"', () => {
+    const { engine, transitions, eventsNamed, hold } = setup();
+    hold(700, ROCK);
+    hold(1000, NO_HAND);
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN);
+    hold(2500, ROCK);
+    assert.equal(engine.getState(), GAME_STATES.REVEAL);
+    assert.deepEqual(eventsNamed('reveal')[0].payload.flags, { a: [] });
+    assert.ok(!transitions.includes('countdown->idle'));
+});
+
+test('losing the hand mid-countdown and not coming back aborts the round at "Shoot!"', () => {
+    const { engine, transitions, eventsNamed, hold, shootTime } = setup();
+    hold(700, ROCK);
+    hold(1000, NO_HAND);
+    assert.equal(engine.getState(), GAME_STATES.COUNTDOWN); // Nothing happens before "Shoot!"
+    hold(2500, NO_HAND);
+    const [aborted] = eventsNamed('roundAborted');
+    assert.deepEqual(aborted.payload, { reason: 'hand-lost' });
+    assert.equal(aborted.time, shootTime() + DEFAULT_ENGINE_CONFIG.shootGraceMs);
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+    assert.equal(eventsNamed('reveal').length, 0);
+    assert.equal(transitions.at(-1), 'countdown->idle');
+});
+
+test('losing the hand right at "Shoot!" aborts the round', () => {
+    const { clock, engine, eventsNamed, hold, shootTime } = setup();
+    hold(700, ROCK);
+    hold(shootTime() - DEFAULT_ENGINE_CONFIG.dropoutMs - 50 - clock.now(), ROCK);
+    hold(1000, NO_HAND);
+    assert.deepEqual(eventsNamed('roundAborted')[0].payload, { reason: 'hand-lost' });
+    assert.equal(engine.getState(), GAME_STATES.IDLE);
+});
+
+test('a hand without a clear gesture at "Shoot!" aborts the round', () => {
+    const { engine, transitions, eventsNamed, hold } = setup();
+    hold(700, ROCK);
+    hold(1500, ROCK);
+    hold(2000, UNCLEAR);
+    assert.deepEqual(eventsNamed('roundAborted')[0].payload, { reason: 'no-throw' });
+    assert.ok(transitions.includes('countdown->idle'));
+    assert.equal(engine.getState(), GAME_STATES.TRACKING); // The hand is still there for the next round
+});
+
+test('the throw is the gesture shown at "Shoot!", flagged when it changed', () => {
+    const { eventsNamed, hold } = setup();
+    hold(700, ROCK);
+    hold(1000, ROCK);
+    hold(2500, PAPER);
+    const [reveal] = eventsNamed('reveal');
+    assert.deepEqual(reveal.payload.gestures, { a: 'paper' });
+    assert.deepEqual(reveal.payload.flags, { a: ['changed'] });
+});
+
+test('a throw within the grace window after "Shoot!" is flagged late', () => {
+    const { clock, eventsNamed, hold, shootTime } = setup();
+    hold(700, ROCK);
+    hold(shootTime() - 100 - clock.now(), ROCK);
+    hold(200, NO_HAND); // Shorter than a dropout: still in view, but no clear gesture at "Shoot!"
+    hold(500, ROCK);
+    const [reveal] = eventsNamed('reveal');
+    assert.ok(reveal, 'no reveal');
+    assert.deepEqual(reveal.payload.gestures, { a: 'rock' });
+    assert.deepEqual(reveal.payload.flags, { a: ['late'] });
+    assert.ok(reveal.time > shootTime() && reveal.time <= shootTime() + DEFAULT_ENGINE_CONFIG.shootGraceMs);
+});
+
+test('gestures are final once revealed', () => {
+    const { engine, eventsNamed, hold } = setup();
+    hold(4200, ROCK);
+    hold(1000, PAPER);
+    hold(1000, NO_HAND);
+    assert.equal(engine.getState(), GAME_STATES.REVEAL);
+    assert.equal(eventsNamed('reveal').length, 1);
+});
+
+
+// --- Cheat Policy ---
+
+test('judgeThrows applies the policy per flag', () => {
+    const flags = { a: ['late'], b: ['changed'] };
+    assert.deepEqual(judgeThrows(flags, { late: 'forfeit', changed: 'warn' }),
+        { replay: false, forfeits: ['a'], warnings: { a: ['late'], b: ['changed'] } });
+    assert.deepEqual(judgeThrows(flags, { late: 'ignore', changed: 'ignore' }),
+        { replay: false, forfeits: [], warnings: {} });
+    assert.equal(judgeThrows(flags, { late: 'warn', changed: 'replay' }).replay, true);
+    // An unknown action falls back to the default for that flag
+    assert.deepEqual(judgeThrows({ a: ['late'] }, { late: 'explode' }).forfeits, ['a']);
+});
@@ -0,0 +1,244 @@
+/**
+ * generate.js for Gesture Rock Paper Scissors Game
+ * Writes the landmark fixtures used by the tests, in the recording format of recorder.js:
+ *   poses/<pose>-<variant>.json   a few frames of one hand shape, held at one orientation
+ *   rounds/<name>.json            whole rounds at 30 fps (flicker, hand loss, late throws...)
+ * These fixtures are SYNTHETIC: the hands come from an idealized 3D hand model (21 MediaPipe
+ * landmarks) turned, tilted, mirrored and scaled, with seeded jitter, so the files are the
+ * same on every run. They are not MediaPipe output from a camera: no tracking noise, no
+ * occlusion, no badly detected frames. Every file says so with "source": "synthetic".
+ * Recordings made in the game with ?record can be dropped into either folder as well:
+ * add "source": "recorded" and "label" (poses) or "expected" (rounds) as described below.
+ *
+ * Usage: node test/fixtures/generate.js
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = dirname(fileURLToPath(import.meta.url));
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 480;
+const FRAME_MS = 1000 / 30;
+const PRECISION = 5; // Same rounding as recorder.js
+
+// --- Hand Model ---
+// Model space: wrist at the origin, palm in the x-y plane, fingers pointing up (-y),
+// palm facing the camera (+z is away from it). The palm (wrist to middle knuckle) is 1 long.
+
+const KNUCKLES = { index: [-0.35, -0.95], middle: [-0.1, -1], ring: [0.13, -0.95], pinky: [0.33, -0.85] };
+const SEGMENTS = [0.45, 0.28, 0.22];       // Finger bone lengths
+const BENDS = {                           // Joint angles (radians) of a finger
+    up: [0.05, 0.05, 0.03],
+    half: [0.5, 0.4, 0.2],
+    down: [1.5, 1.4, 0.6]
+};
+
+// Finger states, thumb ('out', 'tucked' or 'pinch') and the fan angle of each finger
+const HAND_SHAPES = {
+    rock: { fingers: ['down', 'down', 'down', 'down'], thumb: 'tucked' },
+    paper: { fingers: ['up', 'up', 'up', 'up'], thumb: 'out' },
+    scissors: { fingers: ['up', 'up', 'down', 'down'], thumb: 'tucked', spreads: [-0.2, 0.08, 0.05, 0.15] },
+    spock: { fingers: ['up', 'up', 'up', 'up'], thumb: 'out', spreads: [0.1, -0.12, 0.15, 0] },
+    lizard: { fingers: ['half', 'half', 'half', 'half'], thumb: 'pinch' }
+};
+const DEFAULT_SPREADS = [-0.12, -0.03, 0.05, 0.15];
+
+// Bones of one finger from its knuckle, curling towards the palm side (-z)
+function fingerJoints(knuckle, bends, spread) {
+    const joints = [];
+    let point = { x: knuckle[0], y: knuckle[1], z: 0 };
+    let angle = 0;
+    SEGMENTS.forEach((length, i) => {
+        angle += bends[i];
+        point = {
+            x: point.x + Math.sin(spread) * Math.cos(angle) * length,
+            y: point.y - Math.cos(spread) * Math.cos(angle) * length,
+            z: point.z - Math.sin(angle) * length
+        };
+        joints.push(point);
+    });
+    return joints;
+}
+
+// The 21 landmarks of a hand shape in model space
+function modelHand(shape) {
+    const spreads = shape.spreads || DEFAULT_SPREADS;
+    const points = [{ x: 0, y: 0, z: 0 }, { x: -0.25, y: -0.25, z: -0.05 }, { x: -0.45, y: -0.45, z: -0.1 }];
+    if (shape.thumb === 'out') {
+        points.push({ x: -0.65, y: -0.6, z: -0.1 }, { x: -0.85, y: -0.72, z: -0.1 });
+    } else {
+        points.push({ x: -0.35, y: -0.65, z: -0.3 }, { x: -0.1, y: -0.75, z: -0.35 }); // Pinch moves these below
+    }
+    Object.values(KNUCKLES).forEach((knuckle, i) => {
+        points.push({ x: knuckle[0], y: knuckle[1], z: 0 }, ...fingerJoints(knuckle, BENDS[shape.fingers[i]], spreads[i]));
+    });
+    if (shape.thumb === 'pinch') {
+        // Thumb tip against the index and middle tips
+        const tip = { x: (points[8].x + points[12].x) / 2, y: (points[8].y + points[12].y) / 2, z: (points[8].z + points[12].z) / 2 - 0.05 };
+        points[4] = tip;
+        points[3] = { x: (points[2].x + tip.x) / 2, y: (points[2].y + tip.y) / 2, z: tip.z };
+    }
+    return points;
+}
+
+// Seeded random numbers (mulberry32), so every run writes the same files
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Places a model hand in the camera frame.
+// view: { roll (in the image plane), pitch (fingers towards the camera), yaw (turned sideways),
+//         mirror (left hand), size (palm length in pixels), x, y (wrist position in pixels) }
+// Returns [x, y, z] per landmark, normalized to the frame like MediaPipe's output.
+function placeHand(points, view, random, jitter) {
+    const rad = (degrees) => degrees * Math.PI / 180;
+    const [roll, pitch, yaw] = [rad(view.roll || 0), rad(view.pitch || 0), rad(view.yaw || 0)];
+    const round = (value) => Number(value.toFixed(PRECISION));
+    return points.map(point => {
+        let { x, y, z } = point;
+        if (view.mirror) x = -x;
+        [y, z] = [y * Math.cos(pitch) - z * Math.sin(pitch), y * Math.sin(pitch) + z * Math.cos(pitch)];
+        [x, z] = [x * Math.cos(yaw) + z * Math.sin(yaw), -x * Math.sin(yaw) + z * Math.cos(yaw)];
+        [x, y] = [x * Math.cos(roll) - y * Math.sin(roll), x * Math.sin(roll) + y * Math.cos(roll)];
+        const noise = () => (random() - 0.5) * 2 * jitter;
+        return [
+            round((view.x + (x + noise()) * view.size) / FRAME_WIDTH),
+            round((view.y + (y + noise()) * view.size) / FRAME_HEIGHT),
+            round((z + noise()) * view.size / FRAME_WIDTH)
+        ];
+    });
+}
+
+function recordedHand(pose, view, random, jitter = 0.03) {
+    return {
+        landmarks: placeHand(modelHand(HAND_SHAPES[pose]), view, random, jitter),
+        label: view.mirror ? 'Left' : 'Right',
+        score: 0.97
+    };
+}
+
+function recording(frames, extra) {
+    return Object.assign({ version: 1, createdAt: 0, width: FRAME_WIDTH, height: FRAME_HEIGHT, source: 'synthetic' }, extra, { frames: frames });
+}
+
+function writeFixture(folder, name, data) {
+    mkdirSync(join(FIXTURES_DIR, folder), { recursive: true });
+    writeFileSync(join(FIXTURES_DIR, folder, `${name}.json`), JSON.stringify(data) + '\n');
+}
+
+
+// --- Pose Fixtures ---
+// Each hand shape at orientations the old y-threshold classifier wasn't made for
+
+const UPRIGHT = { x: 320, y: 380, size: 110 };
+const POSE_VARIANTS = {
+    upright: {},
+    'tilted-left': { roll: -35 },
+    'tilted-right': { roll: 40 },
+    'sideways-left': { roll: -90, x: 440, y: 260 },
+    'sideways-right': { roll: 90, x: 200, y: 260 },
+    'pointing-down': { roll: 180, y: 120 },
+    'leaning-in': { pitch: 45 },
+    'turned': { yaw: 50 },
+    'far': { size: 45, y: 300 },
+    'left-hand': { mirror: true },
+    'left-hand-tilted': { mirror: true, roll: 30 }
+};
+const POSE_FRAMES = 6;
+
+function writePoseFixtures() {
+    let seed = 1;
+    for (const pose of Object.keys(HAND_SHAPES)) {
+        for (const [variant, view] of Object.entries(POSE_VARIANTS)) {
+            const random = createRandom(seed++);
+            const frames = [];
+            for (let i = 0; i < POSE_FRAMES; i++) {
+                frames.push({ t: Math.round(i * FRAME_MS), hands: [recordedHand(pose, Object.assign({}, UPRIGHT, view), random)] });
+            }
+            writeFixture('poses', `${pose}-${variant}`, recording(frames, { label: pose, variant: variant }));
+        }
+    }
+}
+
+// --- Round Fixtures ---
+// A round is a script of steps: { ms, pose } shows a hand shape, { ms, pose: null } no hand.
+// Timings assume the default engine settings (500 ms lock, 3 s countdown, 300 ms grace):
+// a gesture shown from the start locks at 0.5 s and "Shoot!" comes at 3.5 s.
+// "expected" is what test/replay.test.js checks: the revealed throws and their flags,
+// the reason the round was aborted, or that no countdown started.
+
+const ROUND_FIXTURES = {
+    // Rock held from start to finish
+    'clean-rock': {
+        steps: [{ ms: 600, pose: null }, { ms: 5000, pose: 'rock' }],
+        expected: { reveal: { a: 'rock' }, flags: { a: [] } }
+    },
+    // Paper with a stray Scissors frame every few frames and one-frame dropouts
+    'flickering-paper': {
+        steps: [{ ms: 300, pose: null }, { ms: 5000, pose: 'paper', flicker: 'scissors', every: 6, dropEvery: 11 }],
+        expected: { reveal: { a: 'paper' }, flags: { a: [] } }
+    },
+    // Tilted sideways the whole round
+    'sideways-scissors': {
+        view: { roll: 80, x: 220, y: 260 },
+        steps: [{ ms: 5000, pose: 'scissors' }],
+        expected: { reveal: { a: 'scissors' }, flags: { a: [] } }
+    },
+    // The hand leaves for a second in the middle of the countdown and is back for "Shoot!"
+    'hand-lost-mid-countdown': {
+        steps: [{ ms: 1800, pose: 'scissors' }, { ms: 1000, pose: null }, { ms: 2500, pose: 'scissors' }],
+        expected: { reveal: { a: 'scissors' }, flags: { a: [] } }
+    },
+    // The hand leaves during the countdown and isn't back for "Shoot!"
+    'hand-lost-at-shoot': {
+        steps: [{ ms: 1500, pose: 'rock' }, { ms: 3500, pose: null }],
+        expected: { aborted: 'hand-lost' }
+    },
+    // Locks Rock, then switches to Paper before "Shoot!"
+    'changed-throw': {
+        steps: [{ ms: 2700, pose: 'rock' }, { ms: 2500, pose: 'paper' }],
+        expected: { reveal: { a: 'paper' }, flags: { a: ['changed'] } }
+    },
+    // A short dropout right at "Shoot!" (3.5 s in): the throw comes within the grace window
+    'late-throw': {
+        steps: [{ ms: 3400, pose: 'rock' }, { ms: 200, pose: null }, { ms: 1000, pose: 'rock' }],
+        expected: { reveal: { a: 'rock' }, flags: { a: ['late'] } }
+    },
+    // Never holds anything long enough to lock
+    'no-lock': {
+        steps: [{ ms: 4000, pose: 'rock', flicker: 'paper', every: 2 }],
+        expected: { noCountdown: true }
+    }
+};
+
+function writeRoundFixtures() {
+    let seed = 1000;
+    for (const [name, fixture] of Object.entries(ROUND_FIXTURES)) {
+        const random = createRandom(seed++);
+        const view = Object.assign({}, UPRIGHT, fixture.view);
+        const frames = [];
+        let time = 0;
+        let frameNumber = 0;
+        for (const step of fixture.steps) {
+            const end = time + step.ms;
+            for (; time < end; time += FRAME_MS, frameNumber++) {
+                let pose = step.pose;
+                if (pose && step.flicker && frameNumber % step.every === 0) pose = step.flicker;
+                if (pose && step.dropEvery && frameNumber % step.dropEvery === 0) pose = null;
+                frames.push({ t: Math.round(time), hands: pose ? [recordedHand(pose, view, random, 0.02)] : [] });
+            }
+        }
+        writeFixture('rounds', name, recording(frames, { expected: fixture.expected }));
+    }
+}
+
+writePoseFixtures();
+writeRoundFixtures();
+console.log(`Wrote fixtures to ${FIXTURES_DIR}.`);
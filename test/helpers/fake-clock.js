@@ -0,0 +1,37 @@
+/**
+ * fake-clock.js for Gesture Rock Paper Scissors Game
+ * A clock that only moves when told to, with setTimeout/clearTimeout on it: pass it to
+ * createGameEngine() as { timers, now } and the countdown runs on test time.
+ */
+
+export function createFakeClock(start = 0) {
+    let time = start;
+    let timers = [];               // { id, at, handler }
+    let nextId = 1;
+
+    return {
+        now: () => time,
+        setTimeout(handler, ms) {
+            const id = nextId++;
+            timers.push({ id: id, at: time + Math.max(0, ms || 0), handler: handler });
+            return id;
+        },
+        clearTimeout(id) {
+            timers = timers.filter(timer => timer.id !== id);
+        },
+        // Moves the clock forward, running every timer that falls due on the way, in order
+        advanceTo(target) {
+            for (;;) {
+                const due = timers
+                    .filter(timer => timer.at <= target)
+                    .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+                if (!due) break;
+                timers = timers.filter(timer => timer !== due);
+                time = Math.max(time, due.at);
+                due.handler();
+            }
+            time = Math.max(time, target);
+        },
+        pendingTimers: () => timers.length
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * fake-rtc.js for Gesture Rock Paper Scissors Game
+ * In-memory stand-in for RTCPeerConnection and its data channel, enough for netplay.js:
+ * the offer and answer codes carry a peer id, and accepting the answer opens a channel pair
+ * that delivers messages asynchronously and in order, like a reliable data channel.
+ */
+
+function createChannel() {
+    const channel = {
+        readyState: 'connecting',
+        other: null,
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        send(data) {
+            if (channel.readyState !== 'open') throw new Error('InvalidStateError: channel not open');
+            const other = channel.other;
+            setTimeout(() => {
+                if (other.readyState === 'open' && other.onmessage) other.onmessage({ data: data });
+            }, 0);
+        },
+        close() {
+            if (channel.readyState === 'closed') return;
+            channel.readyState = 'closed';
+            const other = channel.other;
+            if (!other) return;
+            setTimeout(() => {
+                if (other.readyState === 'closed') return;
+                other.readyState = 'closed';
+                if (other.onclose) other.onclose();
+            }, 0);
+        }
+    };
+    return channel;
+}
+
+// Sets globalThis.RTCPeerConnection to the fake; returns a function that puts the old one back
+export function installFakeRTC() {
+    const peers = new Map();
+    let nextId = 1;
+
+    // Host side has created its channel; the guest gets its end through ondatachannel
+    function connect(hostPeer, guestPeer) {
+        const hostChannel = hostPeer.channel;
+        const guestChannel = createChannel();
+        hostChannel.other = guestChannel;
+        guestChannel.other = hostChannel;
+        guestPeer.channel = guestChannel;
+        guestPeer.ondatachannel({ channel: guestChannel });
+        setTimeout(() => {
+            for (const channel of [hostChannel, guestChannel]) {
+                channel.readyState = 'open';
+                if (channel.onopen) channel.onopen();
+            }
+        }, 0);
+    }
+
+    class FakePeerConnection {
+        constructor() {
+            this.id = nextId++;
+            this.channel = null;
+            this.iceGatheringState = 'complete';
+            this.connectionState = 'new';
+            this.localDescription = null;
+            this.ondatachannel = null;
+            peers.set(this.id, this);
+        }
+        createDataChannel() {
+            this.channel = createChannel();
+            return this.channel;
+        }
+        async createOffer() {
+            return { type: 'offer', sdp: `fake-peer ${this.id}` };
+        }
+        async createAnswer() {
+            return { type: 'answer', sdp: `fake-peer ${this.id}` };
+        }
+        async setLocalDescription(description) {
+            this.localDescription = description;
+        }
+        async setRemoteDescription(description) {
+            const other = peers.get(Number(description.sdp.split(' ')[1]));
+            if (description.type === 'answer') connect(this, other);
+        }
+        close() {
+            if (this.channel) this.channel.close();
+            peers.delete(this.id);
+        }
+    }
+
+    const previous = globalThis.RTCPeerConnection;
+    globalThis.RTCPeerConnection = FakePeerConnection;
+    return () => {
+        globalThis.RTCPeerConnection = previous;
+    };
+}
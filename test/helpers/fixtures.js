@@ -0,0 +1,24 @@
+/**
+ * fixtures.js for Gesture Rock Paper Scissors Game
+ * Loads the landmark recordings under test/fixtures (see test/fixtures/generate.js).
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseRecording } from '../../docs/recorder.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Every recording in a fixture folder, sorted by name:
+// [{ name, data (the raw file, with its test annotations), recording (parsed) }]
+export function loadFixtures(folder) {
+    const dir = join(FIXTURES_DIR, folder);
+    return readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const data = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+            return { name: file.replace(/\.json$/, ''), data: data, recording: parseRecording(data) };
+        });
+}
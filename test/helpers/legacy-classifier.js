@@ -0,0 +1,82 @@
+/**
+ * legacy-classifier.js for Gesture Rock Paper Scissors Game
+ * The y-threshold classifyGesture() the game shipped with before classifier.js, copied
+ * unchanged (apart from the export) so the tests can score both on the same fixtures.
+ * Returns 'rock', 'paper', 'scissors' or null.
+ */
+
+// --- Gesture Classification Function (Simplified) ---
+// This function analyzes hand landmarks to determine the gesture.
+// It's a basic implementation using Y-coordinates and might need tuning.
+export function classifyGesture(landmarks) {
+    if (!landmarks || landmarks.length < 21) return null; // Need all 21 landmarks
+
+    // Define landmark indices (more readable)
+    const WRIST = 0;
+    const THUMB_CMC = 1, THUMB_MCP = 2, THUMB_IP = 3, THUMB_TIP = 4;
+    const INDEX_MCP = 5, INDEX_PIP = 6, INDEX_DIP = 7, INDEX_TIP = 8;
+    const MIDDLE_MCP = 9, MIDDLE_PIP = 10, MIDDLE_DIP = 11, MIDDLE_TIP = 12;
+    const RING_MCP = 13, RING_PIP = 14, RING_DIP = 15, RING_TIP = 16;
+    const PINKY_MCP = 17, PINKY_PIP = 18, PINKY_DIP = 19, PINKY_TIP = 20;
+
+    // --- Helper Functions ---
+    // Checks if a finger is likely extended (tip is significantly "above" its base knuckle - lower Y value)
+    // Threshold might need tuning based on camera angle/distance.
+    const isExtended = (tipIndex, mcpIndex, threshold = 0.06) => {
+        return landmarks[tipIndex].y < landmarks[mcpIndex].y - threshold;
+    };
+
+    // Checks if a finger is likely curled (tip is "below" or near its base knuckle - higher or similar Y value)
+    // Threshold allows for some flexibility in fist shapes.
+    const isCurled = (tipIndex, mcpIndex, threshold = 0.02) => {
+         return landmarks[tipIndex].y > landmarks[mcpIndex].y - threshold;
+    };
+
+    // Get extension status for each finger (excluding thumb initially)
+    const indexExtended = isExtended(INDEX_TIP, INDEX_MCP);
+    const middleExtended = isExtended(MIDDLE_TIP, MIDDLE_MCP);
+    const ringExtended = isExtended(RING_TIP, RING_MCP);
+    const pinkyExtended = isExtended(PINKY_TIP, PINKY_MCP);
+
+    // Get curl status for each finger
+    const indexCurled = isCurled(INDEX_TIP, INDEX_MCP);
+    const middleCurled = isCurled(MIDDLE_TIP, MIDDLE_MCP);
+    const ringCurled = isCurled(RING_TIP, RING_MCP);
+    const pinkyCurled = isCurled(PINKY_TIP, PINKY_MCP);
+
+    // --- Classification Logic ---
+
+    // PAPER: All 4 main fingers extended. Thumb position less critical but generally out.
+    if (indexExtended && middleExtended && ringExtended && pinkyExtended) {
+         // Add extra check: Tips should be significantly higher (lower Y) than the wrist for a clear paper gesture
+         if (landmarks[INDEX_TIP].y < landmarks[WRIST].y * 0.9 && // Adjust multiplier if needed (closer to 1 means less strict)
+             landmarks[MIDDLE_TIP].y < landmarks[WRIST].y * 0.9) {
+            // console.log("Classified as PAPER");
+            return 'paper';
+         }
+    }
+
+    // SCISSORS: Index and Middle extended, Ring and Pinky curled.
+    if (indexExtended && middleExtended && ringCurled && pinkyCurled) {
+        // console.log("Classified as SCISSORS");
+        return 'scissors';
+    }
+
+    // ROCK: All 4 main fingers curled.
+    if (indexCurled && middleCurled && ringCurled && pinkyCurled) {
+        // Optional: Check thumb position (e.g., thumb tip close to index finger base/palm center)
+        // This helps distinguish from other curled hand shapes.
+        const thumbTip = landmarks[THUMB_TIP];
+        const indexPip = landmarks[INDEX_PIP]; // Check against index finger middle joint
+        const thumbToIndexPipDist = Math.hypot(thumbTip.x - indexPip.x, thumbTip.y - indexPip.y);
+        // console.log("Thumb-Index PIP dist:", thumbToIndexPipDist); // Debugging distance
+        if (thumbToIndexPipDist < 0.15) { // Threshold for thumb closeness (adjust needed)
+             // console.log("Classified as ROCK");
+             return 'rock';
+        }
+    }
+
+    // If none of the above conditions are met confidently
+    // console.log("Classification: None");
+    return null;
+}
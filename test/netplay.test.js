@@ -0,0 +1,159 @@
+/**
+ * netplay.test.js for Gesture Rock Paper Scissors Game
+ * Plays online rounds between two netplay sessions (docs/netplay.js) over in-memory
+ * data channels (see helpers/fake-rtc.js): reconnecting, and rounds only one side plays.
+ */
+
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetplaySession } from '../docs/netplay.js';
+import { installFakeRTC } from './helpers/fake-rtc.js';
+
+const GESTURES = ['rock', 'paper', 'scissors'];
+const WAIT_MS = 2000; // Far below the 30 s move timeout: a round that hangs fails the test
+
+let restoreRTC;
+before(() => { restoreRTC = installFakeRTC(); });
+after(() => restoreRTC());
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+function createPlayer() {
+    const player = { connected: 0, disconnected: 0 };
+    player.session = createNetplaySession({
+        onStatus: () => {},
+        onConnected: () => player.connected++,
+        onDisconnected: () => player.disconnected++,
+        getLocalInfo: () => ({ ruleSet: 'classic' })
+    });
+    return player;
+}
+
+// Rejects if the promise hasn't settled within WAIT_MS
+function within(promise, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} didn't finish within ${WAIT_MS} ms`)), WAIT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function until(condition, what) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > WAIT_MS) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Manual signaling: offer code to the guest, answer code back, then both say hello
+async function connect(host, guest) {
+    const connectedBefore = [host.connected, guest.connected];
+    const answer = await guest.session.join(await host.session.host());
+    await host.session.accept(answer);
+    await until(() => host.connected > connectedBefore[0] && guest.connected > connectedBefore[1], 'the hellos');
+}
+
+// Both sides play a round; resolves with what each side got from the other
+async function playRound(host, guest, hostGesture, guestGesture) {
+    const [hostGot, guestGot] = await within(Promise.all([
+        host.session.exchangeMove(hostGesture, GESTURES),
+        guest.session.exchangeMove(guestGesture, GESTURES)
+    ]), 'the round');
+    return { host: hostGot.gesture, guest: guestGot.gesture };
+}
+
+function disconnect(player, other) {
+    player.session.disconnect();
+    return until(() => !other.session.isConnected(), 'the other side to notice');
+}
+
+test('plays rounds over the data channel', async () => {
+    const host = createPlayer();
+    const guest = createPlayer();
+    await connect(host, guest);
+    assert.deepEqual(await playRound(host, guest, 'rock', 'paper'), { host: 'paper', guest: 'rock' });
+    assert.deepEqual(await playRound(host, guest, 'scissors', 'scissors'), { host: 'scissors', guest: 'scissors' });
+    await disconnect(guest, host);
+});
+
+test('a second session after the opponent reloads plays normally', async () => {
+    const host = createPlayer();
+    const guest = createPlayer();
+    await connect(host, guest);
+    await playRound(host, guest, 'rock', 'paper');
+    await playRound(host, guest, 'paper', 'paper');
+    await disconnect(guest, host);
+
+    const reloadedGuest = createPlayer(); // The page was reloaded: a fresh session counting from round 1
+    await connect(host, reloadedGuest);
+    assert.deepEqual(await playRound(host, reloadedGuest, 'scissors', 'rock'), { host: 'rock', guest: 'scissors' });
+    await disconnect(host, reloadedGuest);
+});
+
+test('both sides start over when they reconnect, even mid-round', async () => {
+    const host = createPlayer();
+    const guest = createPlayer();
+    await connect(host, guest);
+    await playRound(host, guest, 'rock', 'paper');
+
+    const dropped = assert.rejects(within(host.session.exchangeMove('rock', GESTURES), 'the dropped round'), { code: 'connectionLost' });
+    await disconnect(guest, host);
+    await dropped;
+
+    await connect(host, guest);
+    assert.deepEqual(await playRound(host, guest, 'paper', 'rock'), { host: 'rock', guest: 'paper' });
+    await disconnect(host, guest);
+});
+
+test('a round one side cancels doesn\'t desync the ones after it', async () => {
+    const host = createPlayer();
+    const guest = createPlayer();
+    await connect(host, guest);
+    await playRound(host, guest, 'rock', 'paper');
+
+    // The guest is waiting for round 2 when the host's hand is lost before "Shoot!"
+    const cancelled = assert.rejects(within(guest.session.exchangeMove('paper', GESTURES), 'the cancelled round'), { code: 'opponentCancelled' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    host.session.cancelRound();
+    await cancelled;
+
+    assert.deepEqual(await playRound(host, guest, 'scissors', 'rock'), { host: 'rock', guest: 'scissors' });
+    assert.deepEqual(await playRound(host, guest, 'paper', 'scissors'), { host: 'scissors', guest: 'paper' });
+    await disconnect(host, guest);
+});
+
+test('a round cancelled before the opponent started it is skipped by both sides', async () => {
+    const host = createPlayer();
+    const guest = createPlayer();
+    await connect(host, guest);
+
+    guest.session.cancelRound();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await assert.rejects(within(host.session.exchangeMove('rock', GESTURES), 'the cancelled round'), { code: 'opponentCancelled' });
+
+    assert.deepEqual(await playRound(host, guest, 'paper', 'rock'), { host: 'rock', guest: 'paper' });
+    await disconnect(host, guest);
+});
+
+test('catches up with an opponent who is rounds ahead', async () => {
+    const host = createPlayer();
+    const guest = createPlayer();
+    await connect(host, guest);
+
+    // The host skipped two rounds and is waiting in round 3 before the guest plays at all
+    host.session.cancelRound();
+    host.session.cancelRound();
+    const hostRound = host.session.exchangeMove('scissors', GESTURES);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const [hostGot, guestGot] = await within(Promise.all([hostRound, guest.session.exchangeMove('rock', GESTURES)]), 'the round');
+    assert.deepEqual({ host: hostGot.gesture, guest: guestGot.gesture }, { host: 'rock', guest: 'scissors' });
+
+    assert.deepEqual(await playRound(host, guest, 'paper', 'paper'), { host: 'paper', guest: 'paper' });
+    await disconnect(host, guest);
+});
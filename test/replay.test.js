@@ -0,0 +1,114 @@
+/**
+ * replay.test.js for Gesture Rock Paper Scissors Game
+ * Plays every round recording under test/fixtures/rounds through the replay provider, the
+ * classifier and the game engine on the replay clock, as the game does with ?replay=, and
+ * checks how the round ended against the recording's "expected":
+ *   reveal      { side: gesture }   the throws revealed
+ *   flags       { side: [flags] }   their throw flags ('late', 'changed')
+ *   aborted     'hand-lost' or 'no-throw'
+ *   noCountdown true when nobody should ever lock
+ * Solo rounds: the first hand in each frame plays side A, with the classic rules.
+ * The round recordings that come with the repo are synthetic (see test/fixtures/generate.js),
+ * timed to hit each case; they check the game logic, not detection on real camera input.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLASSIFIER_THRESHOLDS, classifyGesture } from '../docs/classifier.js';
+import { RULE_SETS, classificationToGesture } from '../docs/rules.js';
+import { createGameEngine } from '../docs/engine.js';
+import { createReplayClock, createReplayProvider } from '../docs/recorder.js';
+import { loadFixtures } from './helpers/fixtures.js';
+
+// Runs queued frames one after another instead of at their recorded gaps
+function createInstantPacing() {
+    const queue = [];
+    return {
+        setTimeout(handler) {
+            queue.push(handler);
+            return queue.length;
+        },
+        clearTimeout() {
+            queue.length = 0;
+        },
+        runAll() {
+            while (queue.length > 0) queue.shift()();
+        }
+    };
+}
+
+// Replays a recording and resolves with what the engine did
+async function replayRound(recording) {
+    const clock = createReplayClock();
+    const engine = createGameEngine({ timers: clock, now: clock.now });
+    const outcome = { reveals: [], aborts: [], countdowns: 0 };
+    engine.on('countdownStart', () => outcome.countdowns++);
+    engine.on('reveal', (reveal) => outcome.reveals.push(reveal));
+    engine.on('roundAborted', (aborted) => outcome.aborts.push(aborted.reason));
+
+    const pacing = createInstantPacing();
+    const aspectRatio = recording.width / recording.height;
+    const provider = createReplayProvider({
+        source: recording,
+        clock: clock,
+        timers: pacing,
+        onResults: (results, time) => {
+            const landmarks = results.multiHandLandmarks[0];
+            const classification = landmarks
+                ? classificationToGesture(RULE_SETS.classic, classifyGesture(landmarks, aspectRatio), CLASSIFIER_THRESHOLDS.minConfidence)
+                : null;
+            engine.handleFrame({
+                a: classification && { gesture: classification.gesture, gestureConfidence: classification.confidence, confidence: results.multiHandedness[0].score }
+            }, time);
+        }
+    });
+    await provider.start();
+    pacing.runAll();
+    provider.stop();
+    engine.reset(); // Drops any countdown the recording left running
+    return outcome;
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+const fixtures = loadFixtures('rounds');
+
+test('round fixtures say what to expect', () => {
+    assert.ok(fixtures.length > 0, 'no round fixtures found');
+    for (const fixture of fixtures) {
+        assert.ok(fixture.data.expected, `${fixture.name} has no "expected"`);
+    }
+});
+
+for (const fixture of fixtures) {
+    test(`replays ${fixture.name}`, async () => {
+        const expected = fixture.data.expected;
+        const outcome = await replayRound(fixture.recording);
+
+        if (expected.reveal) {
+            assert.deepEqual(outcome.aborts, [], 'round aborted');
+            assert.equal(outcome.reveals.length, 1, 'rounds revealed');
+            assert.deepEqual(outcome.reveals[0].gestures, expected.reveal);
+            assert.deepEqual(outcome.reveals[0].flags, expected.flags || { a: [] });
+        }
+        if (expected.aborted) {
+            assert.equal(outcome.reveals.length, 0, 'rounds revealed');
+            assert.deepEqual(outcome.aborts, [expected.aborted]);
+        }
+        if (expected.noCountdown) {
+            assert.equal(outcome.countdowns, 0, 'countdowns started');
+        }
+    });
+}
+
+test('a replay plays out the same every time', async () => {
+    const fixture = fixtures.find(f => f.name === 'late-throw');
+    const first = await replayRound(fixture.recording);
+    const second = await replayRound(fixture.recording);
+    assert.deepEqual(second, first);
+});